@@ -0,0 +1,317 @@
+/**
+ * Recipe graph benchmark
+ *
+ * Generates a synthetic recipe database and compares the indexed, synchronous
+ * breakdown against the previous approach of calling getAllRecipes() and
+ * scanning it by name at every node. Both must produce the same raw totals.
+ *
+ * Every path runs once untimed to warm up, then --runs timed times in
+ * alternating order, so JIT warm-up and GC pauses don't favour whichever
+ * path runs first; the medians are reported.
+ *
+ * Usage:
+ *   npm run benchmark:graph
+ *   npm run benchmark:graph -- --raw 1000 --tiers 5 --perTier 800 --crafted 2000 --selected 100 --runs 9
+ */
+
+import {
+  initializeCalculationService,
+  processRecipeListToRawComponents,
+  processRecipeListToCraftingTreesSync,
+  consolidateCraftingTrees,
+} from "../src/services/recipe/core/calculations.js";
+import { createRecipeGraph } from "../src/services/recipe/core/recipeGraph.js";
+
+const DEFAULT_OPTIONS = {
+  raw: 500, // Raw components
+  tiers: 4, // Intermediate tiers, each built from the tier below
+  perTier: 500, // Intermediate recipes per tier
+  crafted: 1000, // Crafted items built from the top tiers
+  components: 3, // Components per recipe
+  selected: 50, // Crafted items in the benchmarked recipe list
+  runs: 5, // Timed runs per path, after one warm-up run
+  seed: 42,
+};
+
+/**
+ * Small deterministic PRNG so every run uses the same dataset
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generate a flattened synthetic recipe list shaped like getAllRecipes()
+ * @param {Object} options - Dataset size options (see DEFAULT_OPTIONS)
+ * @returns {Array} Recipes with type information
+ */
+const generateSyntheticRecipes = (options) => {
+  const random = createRandom(options.seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const recipes = [];
+  let nextId = 1;
+
+  const createRecipe = (type, name, inputs) => ({
+    id: nextId++,
+    name,
+    type,
+    requirements: { playerLevel: 0, artisanLevel: "novice" },
+    recipe: {
+      artisanSkill: "metalworking",
+      workStation: "metalworking_bench",
+      components: Array.from({ length: options.components }, () => {
+        const input = pick(inputs);
+        return {
+          id: input.id,
+          name: input.name,
+          quantity: 1 + Math.floor(random() * 4),
+        };
+      }),
+    },
+  });
+
+  const raws = Array.from({ length: options.raw }, (_, index) => ({
+    id: nextId++,
+    name: `Synthetic Ore ${index}`,
+    type: "raw_components",
+    gathering: { skill: "mining", skillLevel: "novice" },
+  }));
+  recipes.push(...raws);
+
+  let inputs = raws;
+  for (let tier = 1; tier <= options.tiers; tier++) {
+    const tierInputs = inputs;
+    const tierRecipes = Array.from({ length: options.perTier }, (_, index) =>
+      createRecipe(
+        "intermediate_recipes",
+        `Synthetic Tier ${tier} Part ${index}`,
+        tierInputs
+      )
+    );
+    recipes.push(...tierRecipes);
+    inputs = [...tierRecipes, ...raws.slice(0, 10)];
+  }
+
+  for (let index = 0; index < options.crafted; index++) {
+    recipes.push(
+      createRecipe("crafted_items", `Synthetic Item ${index}`, inputs)
+    );
+  }
+
+  return recipes;
+};
+
+/**
+ * The previous breakdown: every node awaits getAllRecipes() twice and scans
+ * it by lowercase name
+ * @param {Function} getAllRecipes - Async recipe source
+ * @param {string} name - Item name
+ * @param {number} quantity - Quantity needed
+ * @param {Set} visited - Items on the current path
+ * @returns {Promise<Array>} Raw components
+ */
+const scanBreakDown = async (getAllRecipes, name, quantity, visited) => {
+  if (visited.has(name)) return [];
+
+  const key = name.toLowerCase();
+  const rawMatch = (await getAllRecipes()).find(
+    (entry) => entry.name.toLowerCase() === key
+  );
+  if (!rawMatch || !rawMatch.recipe?.components) {
+    return [{ id: rawMatch ? rawMatch.id : name, name, quantity }];
+  }
+
+  const recipe = (await getAllRecipes()).find(
+    (entry) => entry.name.toLowerCase() === key && entry.recipe?.components
+  );
+  const path = new Set(visited).add(name);
+  const components = [];
+  for (const component of recipe.recipe.components) {
+    components.push(
+      ...(await scanBreakDown(
+        getAllRecipes,
+        component.name,
+        component.quantity * quantity,
+        path
+      ))
+    );
+  }
+  return components;
+};
+
+/**
+ * Sum raw quantities by ID for result comparison
+ * @param {Array} components - Raw components
+ * @returns {Object} Totals keyed by ID
+ */
+const totalsById = (components) =>
+  components.reduce((totals, component) => {
+    totals[component.id] = (totals[component.id] || 0) + component.quantity;
+    return totals;
+  }, {});
+
+/**
+ * Time an async or sync function
+ * @param {Function} fn - Function to time
+ * @returns {Promise<Object>} { result, ms }
+ */
+const time = async (fn) => {
+  const start = performance.now();
+  const result = await fn();
+  return { result, ms: performance.now() - start };
+};
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Warm up every path, then time them over several runs
+ * Runs alternate between forward and reverse path order.
+ * @param {Array<Object>} paths - Paths {label, run}
+ * @param {number} runs - Timed runs per path
+ * @returns {Promise<Array>} Per path {label, result, ms}, where result comes
+ *   from the warm-up run and ms is the median
+ */
+const timePaths = async (paths, runs) => {
+  const results = [];
+  for (const path of paths) {
+    results.push({ label: path.label, result: await path.run() });
+  }
+
+  const timings = paths.map(() => []);
+  for (let run = 0; run < runs; run++) {
+    const order = paths.map((_, index) => index);
+    if (run % 2 === 1) order.reverse();
+
+    for (const index of order) {
+      timings[index].push((await time(paths[index].run)).ms);
+    }
+  }
+
+  return results.map((entry, index) => ({
+    ...entry,
+    ms: median(timings[index]),
+  }));
+};
+
+/**
+ * Parse --key value pairs into benchmark options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options merged over DEFAULT_OPTIONS
+ */
+const parseOptions = (args) => {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let index = 0; index < args.length; index += 2) {
+    const key = args[index].replace(/^--/, "");
+    if (key in options) {
+      options[key] = Number(args[index + 1]);
+    }
+  }
+  return options;
+};
+
+const runBenchmark = async () => {
+  const options = parseOptions(process.argv.slice(2));
+  const recipes = generateSyntheticRecipes(options);
+  const getAllRecipes = async () => recipes;
+  const recipeList = recipes
+    .filter((recipe) => recipe.type === "crafted_items")
+    .slice(0, options.selected)
+    .map((recipe) => ({ recipe, quantity: 1 }));
+
+  console.log(
+    `📊 ${recipes.length} recipes, ${recipeList.length} selected items, median of ${options.runs} runs`
+  );
+
+  const graph = createRecipeGraph(recipes);
+  // The async entry point still works against a plain getAllRecipes source
+  initializeCalculationService({ getAllRecipes });
+
+  const [scan, build, graphRun, asyncRun] = await timePaths(
+    [
+      {
+        label: "Linear scan breakdown:      ",
+        run: async () => {
+          const components = [];
+          for (const { recipe, quantity } of recipeList) {
+            components.push(
+              ...(await scanBreakDown(
+                getAllRecipes,
+                recipe.name,
+                quantity,
+                new Set()
+              ))
+            );
+          }
+          return totalsById(components);
+        },
+      },
+      {
+        label: "Graph build:                ",
+        run: () => createRecipeGraph(recipes),
+      },
+      {
+        label: "Graph breakdown (sync):     ",
+        run: () =>
+          totalsById(
+            consolidateCraftingTrees(
+              processRecipeListToCraftingTreesSync(graph, recipeList)
+            )
+          ),
+      },
+      {
+        label: "Graph breakdown (async API):",
+        run: async () => {
+          const originalLog = console.log;
+          console.log = () => {};
+          try {
+            return totalsById(
+              await processRecipeListToRawComponents(recipeList)
+            );
+          } finally {
+            console.log = originalLog;
+          }
+        },
+      },
+    ],
+    options.runs
+  );
+
+  const scanTotals = JSON.stringify(scan.result);
+  const matches =
+    scanTotals === JSON.stringify(graphRun.result) &&
+    scanTotals === JSON.stringify(asyncRun.result);
+
+  for (const { label, ms } of [scan, build, graphRun, asyncRun]) {
+    console.log(`⏱️ ${label} ${ms.toFixed(1)} ms`);
+  }
+  console.log(
+    `🚀 Speedup: ${(scan.ms / (build.ms + graphRun.ms)).toFixed(1)}x including graph build`
+  );
+  console.log(matches ? "✅ Results match" : "❌ Results differ");
+
+  if (!matches) {
+    process.exitCode = 1;
+  }
+};
+
+runBenchmark();
@@ -0,0 +1,122 @@
+/**
+ * Mock recipe server
+ *
+ * Serves a recipe database over the REST API the HTTP storage adapter uses,
+ * kept in memory for the life of the process:
+ *   GET /recipes → complete recipes data (404 when none is stored)
+ *   PUT /recipes ← complete recipes data as JSON
+ *
+ * Usage:
+ *   npm run mock:server
+ *   npm run mock:server -- --port 4100 --seed path/to/recipes.json
+ *   npm run mock:server -- --empty
+ *
+ * Then start the app against it:
+ *   REACT_APP_RECIPE_STORAGE=http REACT_APP_RECIPE_API_URL=http://localhost:4000 npm start
+ */
+
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+
+const DEFAULT_OPTIONS = {
+  port: 4000,
+  seed: new URL("../src/db/recipes.json", import.meta.url),
+  empty: false, // Start with nothing stored, so the app seeds the server
+};
+
+/**
+ * Parse --name value flags over the defaults
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Options
+ */
+const parseArgs = (args) => {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, "");
+    if (name === "empty") {
+      options.empty = true;
+    } else if (name in options) {
+      options[name] = name === "port" ? Number(args[++i]) : args[++i];
+    }
+  }
+  return options;
+};
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization",
+};
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to serialise
+ */
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    "Content-Type": "application/json",
+  });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Read a request body as JSON
+ * @param {IncomingMessage} request - Request
+ * @returns {Promise<*>} Parsed body
+ */
+const readJsonBody = async (request) => {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+};
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  let recipes = options.empty
+    ? null
+    : JSON.parse(readFileSync(options.seed, "utf8"));
+
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    console.log(`${request.method} ${pathname}`);
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+    if (pathname !== "/recipes") {
+      sendJson(response, 404, { error: `No route for ${pathname}` });
+      return;
+    }
+
+    if (request.method === "GET") {
+      if (recipes) {
+        sendJson(response, 200, recipes);
+      } else {
+        sendJson(response, 404, { error: "No recipes stored" });
+      }
+    } else if (request.method === "PUT") {
+      try {
+        recipes = await readJsonBody(request);
+        sendJson(response, 200, { success: true });
+      } catch (error) {
+        sendJson(response, 400, { error: `Invalid JSON: ${error.message}` });
+      }
+    } else {
+      sendJson(response, 405, { error: `${request.method} not allowed` });
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(
+      `Mock recipe server on http://localhost:${options.port}/recipes` +
+        (options.empty ? " (empty)" : "")
+    );
+  });
+};
+
+main();
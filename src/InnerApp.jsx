@@ -2,11 +2,46 @@ import React from "react";
 import Header from "./components/header/Header";
 import Footer from "./components/footer/Footer";
 import RecipeManagement from "./components/recipeManagement/RecipeManagement";
+import InventoryPanel from "./components/inventory/InventoryPanel";
 import ComponentList from "./components/componentList/ComponentList";
+import CraftingPlan from "./components/craftingPlan/CraftingPlan";
+import GatheringPlan from "./components/gatheringPlan/GatheringPlan";
+import PriceBookPanel from "./components/priceBook/PriceBookPanel";
+import SkillPlanner from "./components/skillPlanner/SkillPlanner";
+import RecipeDatabasePanel from "./components/recipeDatabase/RecipeDatabasePanel";
 import { useComponentCalculation } from "./hooks/useComponentCalculation";
+import { useSelectedList } from "./contexts/SelectedRecipeListContext";
 
 const InnerApp = () => {
-  const consolidatedComponents = useComponentCalculation();
+  const {
+    components: consolidatedComponents,
+    recipeVariants,
+    craftingPlan,
+    workstationPlan,
+    requirements,
+    gatheringPlan,
+    cost,
+    makeVsBuy,
+    stopPointItems,
+    circularDependencies,
+    referenceIssues,
+  } = useComponentCalculation();
+  const {
+    planSettings,
+    setRecipeChoice,
+    clearRecipeChoice,
+    setVariantStrategy,
+    addStopPoint,
+    removeStopPoint,
+  } = useSelectedList();
+
+  const handleVariantChange = (itemName, recipeId) =>
+    recipeId === null
+      ? clearRecipeChoice(itemName)
+      : setRecipeChoice(itemName, recipeId);
+
+  const handleStopPointChange = (itemId, acquire) =>
+    acquire ? addStopPoint(itemId) : removeStopPoint(itemId);
 
   return (
     <div className="App">
@@ -17,6 +52,16 @@ const InnerApp = () => {
           <RecipeManagement />
         </section>
 
+        <section className="App-section">
+          <h2>🎒 Inventory</h2>
+          <InventoryPanel />
+        </section>
+
+        <section className="App-section">
+          <h2>📈 Skill Planner</h2>
+          <SkillPlanner />
+        </section>
+
         <section className="App-section">
           <h2>🧱 Required Components</h2>
           <ComponentList
@@ -24,8 +69,37 @@ const InnerApp = () => {
             title="Consolidated Components"
             showQuantityControls={true}
             showBreakdown={true}
+            recipeVariants={recipeVariants}
+            variantStrategy={planSettings.variantStrategy}
+            onVariantChange={handleVariantChange}
+            onVariantStrategyChange={setVariantStrategy}
+            requirements={requirements}
+            stopPointItems={stopPointItems}
+            onStopPointChange={handleStopPointChange}
+            circularDependencies={circularDependencies}
+            referenceIssues={referenceIssues}
           />
         </section>
+
+        <section className="App-section">
+          <h2>💰 Material Costs</h2>
+          <PriceBookPanel cost={cost} makeVsBuy={makeVsBuy} />
+        </section>
+
+        <section className="App-section">
+          <h2>⛏️ Gathering Plan</h2>
+          <GatheringPlan groups={gatheringPlan} />
+        </section>
+
+        <section className="App-section">
+          <h2>🗺️ Crafting Plan</h2>
+          <CraftingPlan plan={craftingPlan} workstationPlan={workstationPlan} />
+        </section>
+
+        <section className="App-section">
+          <h2>🗄️ Recipe Database</h2>
+          <RecipeDatabasePanel />
+        </section>
       </main>
       <Footer />
     </div>
@@ -10,6 +10,7 @@ const BaseRecipeList = ({
   children,
   headerActions,
   itemRenderer,
+  getItemKey,
 }) => {
   if (items.length === 0) {
     return (
@@ -32,7 +33,10 @@ const BaseRecipeList = ({
 
       <ul className="base-list__items">
         {items.map((item, index) => (
-          <li key={item.id || item.name || index} className="base-list__item">
+          <li
+            key={getItemKey ? getItemKey(item) : item.id || item.name || index}
+            className="base-list__item"
+          >
             {itemRenderer ? itemRenderer(item, index) : children(item, index)}
           </li>
         ))}
@@ -49,6 +53,8 @@ BaseRecipeList.propTypes = {
   children: PropTypes.func,
   headerActions: PropTypes.node,
   itemRenderer: PropTypes.func,
+  /** Custom React key per item, for lists where IDs repeat */
+  getItemKey: PropTypes.func,
 };
 
 export default BaseRecipeList;
@@ -1,10 +1,16 @@
-import React from "react";
+import React, { useState } from "react";
 import PropTypes from "prop-types";
 import BaseRecipeList from "../baseRecipeList/BaseRecipeList";
 import ComponentItem from "./components/ComponentItem";
 import ComponentSummary from "./components/ComponentSummary";
+import RequirementsSummary from "./components/RequirementsSummary";
+import RecipeVariantPicker from "./components/RecipeVariantPicker";
+import StopPointPicker from "./components/StopPointPicker";
+import WhereUsedDetail from "./components/WhereUsedDetail";
 import { useComponentQuantities } from "../../hooks/useComponentQuantities";
 import { useComponentList } from "../../hooks/useComponentList";
+import { StatusMessage } from "../ui";
+import { getGradedItemKey, REFERENCE_ISSUES } from "../../services/recipe";
 import "./componentList.css";
 
 /**
@@ -29,7 +35,19 @@ const ComponentList = ({
   showQuantityControls = false,
   showBreakdown = false,
   onQuantityChange,
+  recipeVariants = [],
+  variantStrategy,
+  onVariantChange,
+  onVariantStrategyChange,
+  requirements,
+  stopPointItems = [],
+  onStopPointChange,
+  circularDependencies = [],
+  referenceIssues = [],
 }) => {
+  // Component whose "where used" detail view is open
+  const [selectedName, setSelectedName] = useState(null);
+
   // Use custom hooks for state management and configuration
   const {
     quantityMetrics,
@@ -54,6 +72,7 @@ const ComponentList = ({
         componentStatus={componentStatus}
         displayOptions={displayOptions}
         onQuantityChange={updateQuantity}
+        onSelect={(selected) => setSelectedName(selected.name)}
       />
     );
   };
@@ -64,11 +83,60 @@ const ComponentList = ({
   ) : null;
 
   return (
-    <BaseRecipeList
-      {...listConfig}
-      headerActions={headerActions}
-      itemRenderer={renderComponentItem}
-    />
+    <>
+      {circularDependencies.length > 0 && (
+        <StatusMessage type="error">
+          Circular dependencies found; what these items need is missing from the
+          totals below:
+          <ul>
+            {circularDependencies.map((cycle) => (
+              <li key={cycle.path.join("→")}>{cycle.path.join(" → ")}</li>
+            ))}
+          </ul>
+        </StatusMessage>
+      )}
+      {referenceIssues.length > 0 && (
+        <StatusMessage type="warning">
+          Some components are listed with an ID and name that disagree:
+          <ul>
+            {referenceIssues.map((issue) => (
+              <li key={`${issue.recipeId}-${issue.componentId}`}>
+                {issue.recipeName}: "{issue.componentName}" (ID{" "}
+                {issue.componentId}){" "}
+                {issue.issue === REFERENCE_ISSUES.NAME_MISMATCH
+                  ? `is ${issue.resolvedName} by ID`
+                  : issue.resolvedName
+                    ? `has an unknown ID; found ${issue.resolvedName} by name`
+                    : "has an unknown ID and name"}
+              </li>
+            ))}
+          </ul>
+        </StatusMessage>
+      )}
+      <RecipeVariantPicker
+        recipeVariants={recipeVariants}
+        variantStrategy={variantStrategy}
+        onVariantChange={onVariantChange}
+        onStrategyChange={onVariantStrategyChange}
+      />
+      <StopPointPicker
+        items={stopPointItems}
+        onStopPointChange={onStopPointChange}
+      />
+      {requirements && <RequirementsSummary requirements={requirements} />}
+      {selectedName && (
+        <WhereUsedDetail
+          itemName={selectedName}
+          onClose={() => setSelectedName(null)}
+        />
+      )}
+      <BaseRecipeList
+        {...listConfig}
+        headerActions={headerActions}
+        itemRenderer={renderComponentItem}
+        getItemKey={getGradedItemKey}
+      />
+    </>
   );
 };
 
@@ -83,6 +151,7 @@ ComponentList.propTypes = {
       isRaw: PropTypes.bool,
       isUnknown: PropTypes.bool,
       description: PropTypes.string,
+      grade: PropTypes.string,
     })
   ),
   /** List title */
@@ -93,6 +162,29 @@ ComponentList.propTypes = {
   showBreakdown: PropTypes.bool,
   /** Callback function when component quantity changes */
   onQuantityChange: PropTypes.func,
+  /** Items with alternative recipes and the variant used (see collectRecipeVariants) */
+  recipeVariants: PropTypes.array,
+  /** Strategy used for items without a recipe choice */
+  variantStrategy: PropTypes.string,
+  /** Callback (itemName, recipeId|null) when a recipe variant is switched */
+  onVariantChange: PropTypes.func,
+  /** Callback (strategy) when the variant strategy changes */
+  onVariantStrategyChange: PropTypes.func,
+  /** Skill and level requirements of the plan (see summarizePlanRequirements) */
+  requirements: PropTypes.object,
+  /** Intermediates that can be marked "acquire, don't craft" */
+  stopPointItems: PropTypes.array,
+  /** Callback (itemId, acquire) when a stop point is toggled */
+  onStopPointChange: PropTypes.func,
+  /** Circular dependencies the breakdown stopped at (see collectCircularDependencies) */
+  circularDependencies: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      path: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })
+  ),
+  /** Plan component references whose ID and name disagree (see findComponentReferenceIssues) */
+  referenceIssues: PropTypes.array,
 };
 
 export default ComponentList;
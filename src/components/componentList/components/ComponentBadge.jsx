@@ -23,7 +23,14 @@ const ComponentBadge = ({ type, children, className = "" }) => {
 
 ComponentBadge.propTypes = {
   /** Badge type variant */
-  type: PropTypes.oneOf(["raw", "unknown", "shortage", "complete"]).isRequired,
+  type: PropTypes.oneOf([
+    "raw",
+    "unknown",
+    "shortage",
+    "complete",
+    "gathering",
+    "acquire",
+  ]).isRequired,
   /** Badge content */
   children: PropTypes.node.isRequired,
   /** Additional CSS classes */
@@ -2,6 +2,9 @@ import React from "react";
 import PropTypes from "prop-types";
 import CraftComponent from "../../craftComponent/CraftComponent";
 import ComponentItemMeta from "./ComponentItemMeta";
+import ComponentUsedBy from "./ComponentUsedBy";
+import { getGradedItemKey } from "../../../services/recipe";
+import { formatGradedName } from "../../../utils/recipeUtils";
 
 // ✅ Extract static props outside component
 const STATIC_PROPS = {
@@ -33,6 +36,7 @@ const ComponentItem = ({
   componentStatus,
   displayOptions,
   onQuantityChange,
+  onSelect,
 }) => {
   const { isComplete, currentQuantity } = componentStatus;
   const { showQuantityControls, showBreakdown } = displayOptions;
@@ -46,12 +50,13 @@ const ComponentItem = ({
     <div {...containerProps}>
       <div {...STATIC_PROPS.header}>
         <CraftComponent
-          id={component.id}
-          name={component.name}
+          id={getGradedItemKey(component)}
+          name={formatGradedName(component.name, component.grade)}
           quantity={component.quantity}
           currentQuantity={currentQuantity}
           onQuantityChange={showQuantityControls ? onQuantityChange : undefined}
           readOnly={!showQuantityControls}
+          onNameClick={onSelect ? () => onSelect(component) : undefined}
         />
 
         <ComponentItemMeta
@@ -61,6 +66,10 @@ const ComponentItem = ({
         />
       </div>
 
+      {showBreakdown && component.usedBy && (
+        <ComponentUsedBy usedBy={component.usedBy} />
+      )}
+
       {component.description && (
         <p {...STATIC_PROPS.description}>{component.description}</p>
       )}
@@ -75,6 +84,8 @@ ComponentItem.propTypes = {
     name: PropTypes.string.isRequired,
     quantity: PropTypes.number.isRequired,
     description: PropTypes.string,
+    grade: PropTypes.string,
+    usedBy: PropTypes.array,
     isRaw: PropTypes.bool,
     isUnknown: PropTypes.bool,
   }).isRequired,
@@ -91,6 +102,8 @@ ComponentItem.propTypes = {
   }).isRequired,
   /** Quantity change handler */
   onQuantityChange: PropTypes.func,
+  /** Callback (component) when the component name is clicked */
+  onSelect: PropTypes.func,
 };
 
 export default ComponentItem;
@@ -1,6 +1,7 @@
 import React from "react";
 import PropTypes from "prop-types";
 import ComponentBadge from "./ComponentBadge";
+import { formatIdentifier } from "../../../utils/recipeUtils";
 
 /**
  * ComponentItemMeta Component
@@ -22,6 +23,17 @@ const ComponentItemMeta = ({ component, componentStatus, showBreakdown }) => {
         <ComponentBadge type="raw">Raw Material</ComponentBadge>
       )}
 
+      {component.source === "purchase" && (
+        <ComponentBadge type="acquire">Acquire</ComponentBadge>
+      )}
+
+      {component.gathering && (
+        <ComponentBadge type="gathering">
+          {formatIdentifier(component.gathering.skill)} ·{" "}
+          {component.gathering.skillLevel}
+        </ComponentBadge>
+      )}
+
       {component.isUnknown && (
         <ComponentBadge type="unknown">Unknown</ComponentBadge>
       )}
@@ -42,6 +54,11 @@ ComponentItemMeta.propTypes = {
   component: PropTypes.shape({
     isRaw: PropTypes.bool,
     isUnknown: PropTypes.bool,
+    source: PropTypes.string,
+    gathering: PropTypes.shape({
+      skill: PropTypes.string,
+      skillLevel: PropTypes.string,
+    }),
   }).isRequired,
   /** Component status object */
   componentStatus: PropTypes.shape({
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { formatGradedName } from "../../../utils/recipeUtils";
+
+// ✅ Extract static props outside component
+const STATIC_PROPS = {
+  usedBy: {
+    className: "component-list__used-by",
+  },
+  toggle: {
+    type: "button",
+    className: "component-list__used-by-toggle",
+  },
+  list: {
+    className: "component-list__used-by-list",
+  },
+};
+
+/**
+ * ComponentUsedBy Component
+ *
+ * Expandable breakdown of a consolidated component: how much of the total
+ * each selected recipe needs.
+ *
+ * @component
+ */
+const ComponentUsedBy = ({ usedBy }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (usedBy.length === 0) {
+    return null;
+  }
+
+  return (
+    <div {...STATIC_PROPS.usedBy}>
+      <button
+        {...STATIC_PROPS.toggle}
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        {isOpen ? "▾" : "▸"} Used by {usedBy.length}{" "}
+        {usedBy.length === 1 ? "recipe" : "recipes"}
+      </button>
+      {isOpen && (
+        <ul {...STATIC_PROPS.list}>
+          {usedBy.map((entry) => (
+            <li key={entry.key}>
+              {entry.quantity} × for {formatGradedName(entry.name, entry.grade)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+ComponentUsedBy.propTypes = {
+  /** Contribution records per selected recipe (see consolidateCraftingTrees) */
+  usedBy: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      grade: PropTypes.string,
+      quantity: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+};
+
+export default ComponentUsedBy;
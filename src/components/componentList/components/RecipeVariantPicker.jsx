@@ -0,0 +1,134 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Select } from "../../ui";
+import { VARIANT_STRATEGIES } from "../../../services/recipe";
+import { formatIdentifier } from "../../../utils/recipeUtils";
+
+// ✅ Extract static props outside component
+const STATIC_PROPS = {
+  picker: {
+    className: "component-list__variants",
+  },
+  header: {
+    className: "component-list__variants-header",
+  },
+  item: {
+    className: "component-list__variant",
+  },
+  name: {
+    className: "component-list__variant-name",
+  },
+  strategySelect: {
+    className: "component-list__variant-select",
+    placeholder: "Recipe strategy...",
+    getOptionValue: (option) => option.value,
+    getOptionLabel: (option) => option.label,
+    "aria-label": "Strategy for items without a recipe choice",
+  },
+  variantSelect: {
+    className: "component-list__variant-select",
+    placeholder: "Use strategy",
+    getOptionValue: (option) => option.id,
+  },
+};
+
+const STRATEGY_OPTIONS = [
+  { value: VARIANT_STRATEGIES.DEFAULT, label: "Default recipe" },
+  {
+    value: VARIANT_STRATEGIES.CHEAPEST,
+    label: "Cheapest (fewest raw materials)",
+  },
+];
+
+// Pure function for alternative recipe labels
+const formatVariantLabel = (alternative) => {
+  const variantName = alternative.variant || `Recipe #${alternative.id}`;
+  const station = formatIdentifier(alternative.workStation);
+  return station ? `${variantName} (${station})` : variantName;
+};
+
+/**
+ * RecipeVariantPicker Component
+ *
+ * Shows which recipe the breakdown used for every item that has alternative
+ * recipes, and lets the user switch it or change the strategy used for
+ * items without an explicit choice.
+ *
+ * @component
+ */
+const RecipeVariantPicker = ({
+  recipeVariants,
+  variantStrategy,
+  onVariantChange,
+  onStrategyChange,
+}) => {
+  if (recipeVariants.length === 0) {
+    return null;
+  }
+
+  const selectedStrategy = STRATEGY_OPTIONS.find(
+    (option) => option.value === variantStrategy
+  );
+
+  return (
+    <div {...STATIC_PROPS.picker}>
+      <div {...STATIC_PROPS.header}>
+        <h4>🔀 Recipe Variants</h4>
+        <Select
+          {...STATIC_PROPS.strategySelect}
+          options={STRATEGY_OPTIONS}
+          value={selectedStrategy}
+          onChange={(option) =>
+            onStrategyChange?.(option?.value || VARIANT_STRATEGIES.DEFAULT)
+          }
+        />
+      </div>
+      <ul>
+        {recipeVariants.map((item) => (
+          <li key={item.name} {...STATIC_PROPS.item}>
+            <span {...STATIC_PROPS.name}>{item.name}</span>
+            <Select
+              {...STATIC_PROPS.variantSelect}
+              options={item.alternatives}
+              value={item.alternatives.find(
+                (alternative) => alternative.id === item.selectedId
+              )}
+              getOptionLabel={formatVariantLabel}
+              onChange={(alternative) =>
+                onVariantChange?.(item.name, alternative?.id ?? null)
+              }
+              aria-label={`Recipe used for ${item.name}`}
+            />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+RecipeVariantPicker.propTypes = {
+  /** Items with alternative recipes and the variant used for each */
+  recipeVariants: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      selectedId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+      alternatives: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+            .isRequired,
+          variant: PropTypes.string,
+          workStation: PropTypes.string,
+        })
+      ).isRequired,
+    })
+  ).isRequired,
+  /** Strategy used for items without an explicit choice */
+  variantStrategy: PropTypes.string,
+  /** Callback (itemName, recipeId|null) when a variant is picked or cleared */
+  onVariantChange: PropTypes.func,
+  /** Callback (strategy) when the variant strategy changes */
+  onStrategyChange: PropTypes.func,
+};
+
+export default RecipeVariantPicker;
@@ -0,0 +1,97 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { formatIdentifier } from "../../../utils/recipeUtils";
+
+// ✅ Extract static props outside component
+const STATIC_PROPS = {
+  summary: {
+    className: "component-list__requirements",
+  },
+  group: {
+    className: "component-list__requirements-group",
+  },
+  source: {
+    className: "component-list__requirements-source",
+  },
+};
+
+/**
+ * RequirementsSummary Component
+ *
+ * Pure component listing the skill levels the current plan requires:
+ * the minimum player level, the highest artisan level per artisan skill
+ * and the highest gathering level per gathering skill, each with the recipe
+ * that drives it.
+ *
+ * @component
+ */
+const RequirementsSummary = ({ requirements }) => {
+  const { playerLevel, artisanSkills, gatheringSkills } = requirements;
+
+  if (!playerLevel && gatheringSkills.length === 0) {
+    return null;
+  }
+
+  return (
+    <div {...STATIC_PROPS.summary}>
+      <strong>📜 Requirements</strong>
+      {playerLevel && (
+        <div {...STATIC_PROPS.group}>
+          Player level {playerLevel.level}{" "}
+          <span {...STATIC_PROPS.source}>({playerLevel.recipeName})</span>
+        </div>
+      )}
+      {artisanSkills.length > 0 && (
+        <div {...STATIC_PROPS.group}>
+          <span>🔨 Artisan:</span>
+          <ul>
+            {artisanSkills.map((entry) => (
+              <li key={entry.skill}>
+                {formatIdentifier(entry.skill)}: {entry.level}{" "}
+                <span {...STATIC_PROPS.source}>({entry.recipeName})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {gatheringSkills.length > 0 && (
+        <div {...STATIC_PROPS.group}>
+          <span>⛏️ Gathering:</span>
+          <ul>
+            {gatheringSkills.map((entry) => (
+              <li key={entry.skill}>
+                {formatIdentifier(entry.skill)}: {entry.level}{" "}
+                <span {...STATIC_PROPS.source}>
+                  ({entry.itemName}
+                  {entry.recipeName && ` for ${entry.recipeName}`})
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const requirementShape = PropTypes.shape({
+  skill: PropTypes.string.isRequired,
+  level: PropTypes.string.isRequired,
+  recipeId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  recipeName: PropTypes.string,
+});
+
+RequirementsSummary.propTypes = {
+  /** Summary from summarizePlanRequirements */
+  requirements: PropTypes.shape({
+    playerLevel: PropTypes.shape({
+      level: PropTypes.number.isRequired,
+      recipeId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      recipeName: PropTypes.string,
+    }),
+    artisanSkills: PropTypes.arrayOf(requirementShape).isRequired,
+    gatheringSkills: PropTypes.arrayOf(requirementShape).isRequired,
+  }).isRequired,
+};
+
+export default RequirementsSummary;
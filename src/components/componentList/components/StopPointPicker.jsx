@@ -0,0 +1,65 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+// ✅ Extract static props outside component
+const STATIC_PROPS = {
+  picker: {
+    className: "component-list__stop-points",
+  },
+  item: {
+    className: "component-list__stop-point",
+  },
+};
+
+/**
+ * StopPointPicker Component
+ *
+ * Lists the intermediates in the plan and lets the user mark any of them
+ * "acquire, don't craft". Marked items are not broken down any further and
+ * show up in the component list as items to acquire.
+ *
+ * @component
+ */
+const StopPointPicker = ({ items, onStopPointChange }) => {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div {...STATIC_PROPS.picker}>
+      <h4>🛑 Acquire, Don't Craft</h4>
+      <ul>
+        {items.map((item) => (
+          <li key={item.id} {...STATIC_PROPS.item}>
+            <label>
+              <input
+                type="checkbox"
+                checked={item.isStopPoint}
+                onChange={(event) =>
+                  onStopPointChange?.(item.id, event.target.checked)
+                }
+              />{" "}
+              {item.name} ×{item.quantity}
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+StopPointPicker.propTypes = {
+  /** Intermediates in the plan and whether each is acquired */
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      name: PropTypes.string.isRequired,
+      quantity: PropTypes.number.isRequired,
+      isStopPoint: PropTypes.bool.isRequired,
+    })
+  ).isRequired,
+  /** Callback (itemId, acquire) when an item is marked or unmarked */
+  onStopPointChange: PropTypes.func,
+};
+
+export default StopPointPicker;
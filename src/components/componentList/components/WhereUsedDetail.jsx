@@ -0,0 +1,102 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { IconButton, StatusMessage } from "../../ui";
+import { useWhereUsed } from "../../../hooks/useWhereUsed";
+
+// ✅ Extract static props outside component
+const STATIC_PROPS = {
+  detail: {
+    className: "component-list__where-used",
+  },
+  header: {
+    className: "component-list__where-used-header",
+  },
+  tree: {
+    className: "component-list__where-used-tree",
+  },
+  closeButton: {
+    icon: "×",
+    size: "small",
+  },
+};
+
+/**
+ * Format a per-unit quantity, keeping fractions from multi-output recipes short
+ * @param {number} quantity - Quantity to format
+ * @returns {string} Formatted quantity
+ */
+const formatQuantity = (quantity) =>
+  Number.isInteger(quantity) ? String(quantity) : quantity.toFixed(2);
+
+/**
+ * Render one level of the where-used tree
+ * @param {Array} nodes - Where-used nodes
+ * @param {string} itemName - Item being traced
+ * @returns {JSX.Element} Nested list
+ */
+const renderUsers = (nodes, itemName) => (
+  <ul>
+    {nodes.map((node) => (
+      <li key={node.id}>
+        <strong>{node.name}</strong> · {formatQuantity(node.quantity)} ×{" "}
+        {itemName} each
+        {node.isCircular && " (circular)"}
+        {node.usedBy.length > 0 && renderUsers(node.usedBy, itemName)}
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * WhereUsedDetail Component
+ *
+ * Detail view for one component: every recipe that uses it, directly or
+ * through intermediates, with the quantity of the component in one of each.
+ *
+ * @component
+ */
+const WhereUsedDetail = ({ itemName, onClose }) => {
+  const { tree, isLoading } = useWhereUsed(itemName);
+
+  const renderTree = () => {
+    if (isLoading || !tree) {
+      return <StatusMessage type="loading">Tracing recipes...</StatusMessage>;
+    }
+
+    if (tree.usedBy.length === 0) {
+      return (
+        <StatusMessage type="empty">No recipe uses {itemName}.</StatusMessage>
+      );
+    }
+
+    return (
+      <div {...STATIC_PROPS.tree}>
+        <p>Used in {tree.recipeCount} recipes:</p>
+        {renderUsers(tree.usedBy, itemName)}
+      </div>
+    );
+  };
+
+  return (
+    <div {...STATIC_PROPS.detail}>
+      <div {...STATIC_PROPS.header}>
+        <h4>🔗 Where {itemName} Is Used</h4>
+        <IconButton
+          {...STATIC_PROPS.closeButton}
+          onClick={onClose}
+          aria-label="Close where-used view"
+        />
+      </div>
+      {renderTree()}
+    </div>
+  );
+};
+
+WhereUsedDetail.propTypes = {
+  /** Name of the component to trace */
+  itemName: PropTypes.string.isRequired,
+  /** Callback when the view is closed */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default WhereUsedDetail;
@@ -1,5 +1,8 @@
 export { default } from "./ComponentList";
 export { default as ComponentBadge } from "./components/ComponentBadge";
 export { default as ComponentSummary } from "./components/ComponentSummary";
+export { default as RequirementsSummary } from "./components/RequirementsSummary";
 export { default as ComponentItem } from "./components/ComponentItem";
 export { default as ComponentItemMeta } from "./components/ComponentItemMeta";
+export { default as RecipeVariantPicker } from "./components/RecipeVariantPicker";
+export { default as StopPointPicker } from "./components/StopPointPicker";
@@ -10,6 +10,7 @@ const CraftComponent = ({
   currentQuantity = 0,
   onQuantityChange,
   readOnly = false,
+  onNameClick,
 }) => {
   const handleQuantityChange = (newValue) => {
     if (onQuantityChange && !readOnly) {
@@ -24,7 +25,17 @@ const CraftComponent = ({
       }`}
     >
       <div className="craft-component__info">
-        <span className="craft-component__name">{name}</span>
+        {onNameClick ? (
+          <button
+            type="button"
+            className="craft-component__name craft-component__name--link"
+            onClick={onNameClick}
+          >
+            {name}
+          </button>
+        ) : (
+          <span className="craft-component__name">{name}</span>
+        )}
         <span className="craft-component__quantity">Required: {quantity}</span>
         {!readOnly && (
           <span className="craft-component__current">
@@ -57,6 +68,7 @@ CraftComponent.propTypes = {
   currentQuantity: PropTypes.number,
   onQuantityChange: PropTypes.func,
   readOnly: PropTypes.bool,
+  onNameClick: PropTypes.func,
 };
 
 export default CraftComponent;
@@ -0,0 +1,126 @@
+import React from "react";
+import { useSelectedList } from "../../contexts/SelectedRecipeListContext.js";
+import { useCraftableRecipes } from "../../hooks/useCraftableRecipes";
+import { Button, StatusMessage } from "../ui";
+import { formatGradedName } from "../../utils/recipeUtils";
+import "./craftableRecipes.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  panel: {
+    className: "craftable-recipes",
+  },
+  title: {
+    className: "craftable-recipes__title",
+  },
+  list: {
+    className: "craftable-recipes__list",
+  },
+  item: {
+    className: "craftable-recipes__item",
+  },
+  name: {
+    className: "craftable-recipes__name",
+  },
+  shortfall: {
+    className: "craftable-recipes__shortfall",
+  },
+  addButton: {
+    variant: "outline",
+    size: "small",
+    icon: "➕",
+    children: "Add",
+  },
+};
+
+/**
+ * CraftableRecipesPanel Component
+ *
+ * "What can I craft": lists every recipe the inventory can craft right now and
+ * how many times, then the recipes one or two materials short with exactly
+ * what is missing. Craftable recipes can be added to the selected list.
+ *
+ * @component
+ */
+const CraftableRecipesPanel = () => {
+  const { inventory, addRecipes } = useSelectedList();
+  const { craftable, nearMisses, isLoading, error } = useCraftableRecipes();
+
+  if (Object.keys(inventory).length === 0) {
+    return (
+      <div {...STATIC_PROPS.panel}>
+        <StatusMessage type="empty">
+          Add what is in your bags to the inventory to see what you can craft.
+        </StatusMessage>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div {...STATIC_PROPS.panel}>
+        <StatusMessage type="error">{error}</StatusMessage>
+      </div>
+    );
+  }
+
+  return (
+    <div {...STATIC_PROPS.panel}>
+      <h3 {...STATIC_PROPS.title}>🎒 Craftable Now</h3>
+      {isLoading && craftable.length === 0 ? (
+        <StatusMessage type="loading">Checking your inventory...</StatusMessage>
+      ) : craftable.length === 0 ? (
+        <StatusMessage type="empty">
+          Nothing can be crafted from your inventory yet.
+        </StatusMessage>
+      ) : (
+        <ul {...STATIC_PROPS.list}>
+          {craftable.map((entry) => (
+            <li key={entry.id} {...STATIC_PROPS.item}>
+              <span {...STATIC_PROPS.name}>
+                {entry.name} ×{entry.crafts}
+                {entry.quantity !== entry.crafts && ` (${entry.quantity} made)`}
+              </span>
+              <Button
+                {...STATIC_PROPS.addButton}
+                onClick={() =>
+                  addRecipes([
+                    { recipe: entry.recipe, quantity: entry.quantity },
+                  ])
+                }
+                aria-label={`Add ${entry.name} to selected recipes`}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nearMisses.length > 0 && (
+        <>
+          <h3 {...STATIC_PROPS.title}>🔍 Almost There</h3>
+          <ul {...STATIC_PROPS.list}>
+            {nearMisses.map((entry) => (
+              <li key={entry.id} {...STATIC_PROPS.item}>
+                <span {...STATIC_PROPS.name}>{entry.name}</span>
+                <span {...STATIC_PROPS.shortfall}>
+                  Missing{" "}
+                  {entry.shortfall
+                    .map(
+                      (missing) =>
+                        `${missing.quantity} × ${formatGradedName(
+                          missing.name,
+                          missing.grade
+                        )}`
+                    )
+                    .join(", ")}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CraftableRecipesPanel;
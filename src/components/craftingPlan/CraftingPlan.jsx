@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { Button, StatusMessage } from "../ui";
+import PlanStep from "./components/PlanStep";
+import WorkstationPlan from "./components/WorkstationPlan";
+import { formatDuration, formatGradedName } from "../../utils/recipeUtils";
+import "./craftingPlan.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  plan: {
+    className: "crafting-plan",
+  },
+  header: {
+    className: "crafting-plan__header",
+  },
+  summary: {
+    className: "crafting-plan__summary",
+  },
+  leftovers: {
+    className: "crafting-plan__leftovers",
+  },
+  steps: {
+    className: "crafting-plan__steps",
+  },
+  viewToggle: {
+    className: "crafting-plan__view-toggle",
+    role: "group",
+    "aria-label": "Crafting plan view",
+  },
+};
+
+const PLAN_VIEWS = {
+  STEPS: "steps",
+  STATIONS: "stations",
+};
+
+/**
+ * CraftingPlan Component
+ *
+ * Renders the build order for the selected recipes: gather the raw
+ * materials, then craft each intermediate once, lowest tier first.
+ * Can switch to a workstation view that groups crafts into station visits.
+ * Units left over from crafting in whole batches are listed under the summary.
+ *
+ * @component
+ */
+const CraftingPlan = ({ plan, workstationPlan }) => {
+  const [view, setView] = useState(PLAN_VIEWS.STEPS);
+  const {
+    steps,
+    gatherCount,
+    craftCount,
+    totalCrafts,
+    totalTime,
+    untimedSteps,
+    leftovers = [],
+  } = plan;
+
+  if (steps.length === 0) {
+    return (
+      <StatusMessage type="empty">
+        Add recipes to see the crafting plan.
+      </StatusMessage>
+    );
+  }
+
+  return (
+    <div {...STATIC_PROPS.plan}>
+      <div {...STATIC_PROPS.header}>
+        <p {...STATIC_PROPS.summary}>
+          {gatherCount} materials to gather · {craftCount} items to craft ·{" "}
+          {totalCrafts} crafts in total · ⏱️ {formatDuration(totalTime)}{" "}
+          crafting
+          {untimedSteps > 0 && ` (+ ${untimedSteps} steps without a time)`}
+        </p>
+        {workstationPlan && (
+          <div {...STATIC_PROPS.viewToggle}>
+            <Button
+              size="small"
+              variant={view === PLAN_VIEWS.STEPS ? "primary" : "outline"}
+              onClick={() => setView(PLAN_VIEWS.STEPS)}
+            >
+              By Step
+            </Button>
+            <Button
+              size="small"
+              variant={view === PLAN_VIEWS.STATIONS ? "primary" : "outline"}
+              onClick={() => setView(PLAN_VIEWS.STATIONS)}
+            >
+              By Workstation
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {leftovers.length > 0 && (
+        <p {...STATIC_PROPS.leftovers}>
+          📦 Left over after crafting:{" "}
+          {leftovers
+            .map(
+              (item) =>
+                `${formatGradedName(item.name, item.grade)} ×${item.quantity}`
+            )
+            .join(", ")}
+        </p>
+      )}
+
+      {view === PLAN_VIEWS.STATIONS && workstationPlan ? (
+        <WorkstationPlan workstationPlan={workstationPlan} />
+      ) : (
+        <ol {...STATIC_PROPS.steps}>
+          {steps.map((step) => (
+            <PlanStep key={`${step.type}-${step.key}`} step={step} />
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+CraftingPlan.propTypes = {
+  /** Plan from buildCraftingPlan */
+  plan: PropTypes.shape({
+    steps: PropTypes.array.isRequired,
+    gatherCount: PropTypes.number.isRequired,
+    craftCount: PropTypes.number.isRequired,
+    totalCrafts: PropTypes.number.isRequired,
+    totalTime: PropTypes.number,
+    untimedSteps: PropTypes.number,
+    leftovers: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+        name: PropTypes.string.isRequired,
+        grade: PropTypes.string,
+        quantity: PropTypes.number.isRequired,
+      })
+    ),
+  }).isRequired,
+  /** Same plan grouped by groupCraftingPlanByWorkstation */
+  workstationPlan: PropTypes.object,
+};
+
+export default CraftingPlan;
@@ -0,0 +1,106 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { PLAN_STEP_TYPES } from "../../../services/recipe";
+import {
+  formatIdentifier,
+  formatDuration,
+  formatGradedName,
+} from "../../../utils/recipeUtils";
+
+const STEP_ICONS = {
+  [PLAN_STEP_TYPES.GATHER]: "⛏️",
+  [PLAN_STEP_TYPES.CRAFT]: "🔨",
+};
+
+// Pure function for the step verb; bought intermediates are gather steps too
+const getStepDisplay = (step) => {
+  if (step.type === PLAN_STEP_TYPES.CRAFT) {
+    return { icon: STEP_ICONS[step.type], verb: "Craft" };
+  }
+  if (step.source === "purchase") {
+    return { icon: "🪙", verb: "Buy" };
+  }
+  return { icon: STEP_ICONS[step.type], verb: "Gather" };
+};
+
+// Pure function for the craft step details line
+const formatCraftDetails = (step, showWorkStation) => {
+  const details = [];
+  if (showWorkStation && step.workStation) {
+    details.push(`at the ${formatIdentifier(step.workStation)}`);
+  }
+  if (step.artisanSkill) {
+    details.push(`(${formatIdentifier(step.artisanSkill)})`);
+  }
+  if (step.quantity !== step.crafts) {
+    details.push(`· ${step.crafts} crafts`);
+  }
+  if (step.time) {
+    details.push(`· ⏱️ ${formatDuration(step.time)}`);
+  }
+  return details.join(" ");
+};
+
+/**
+ * PlanStep Component
+ *
+ * Pure component for one gather or craft step of the crafting plan.
+ *
+ * @component
+ */
+const PlanStep = ({ step, showWorkStation = true }) => {
+  const isCraft = step.type === PLAN_STEP_TYPES.CRAFT;
+  const { icon, verb } = getStepDisplay(step);
+
+  return (
+    <li className={`crafting-plan__step crafting-plan__step--${step.type}`}>
+      <span className="crafting-plan__icon">{icon}</span>
+      <div className="crafting-plan__body">
+        <div>
+          <strong>
+            {verb} {formatGradedName(step.name, step.grade)} ×{step.quantity}
+          </strong>{" "}
+          {isCraft && (
+            <span className="crafting-plan__details">
+              {formatCraftDetails(step, showWorkStation)}
+            </span>
+          )}
+          {step.error && (
+            <span className="crafting-plan__error"> ⚠️ {step.error}</span>
+          )}
+        </div>
+        {isCraft && (
+          <ul className="crafting-plan__inputs">
+            {step.inputs.map((input) => (
+              <li key={`${input.id}-${input.grade}`}>
+                {formatGradedName(input.name, input.grade)} ×{input.quantity}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </li>
+  );
+};
+
+PlanStep.propTypes = {
+  /** Step from buildCraftingPlan */
+  step: PropTypes.shape({
+    type: PropTypes.oneOf(Object.values(PLAN_STEP_TYPES)).isRequired,
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    name: PropTypes.string.isRequired,
+    grade: PropTypes.string,
+    quantity: PropTypes.number.isRequired,
+    source: PropTypes.string,
+    crafts: PropTypes.number,
+    time: PropTypes.number,
+    workStation: PropTypes.string,
+    artisanSkill: PropTypes.string,
+    inputs: PropTypes.array,
+    error: PropTypes.string,
+  }).isRequired,
+  /** Whether to name the workstation (hidden when grouped by station) */
+  showWorkStation: PropTypes.bool,
+};
+
+export default PlanStep;
@@ -0,0 +1,98 @@
+import React from "react";
+import PropTypes from "prop-types";
+import PlanStep from "./PlanStep";
+import { formatIdentifier, formatDuration } from "../../../utils/recipeUtils";
+
+// Pure function for station names, including recipes without one
+const formatStation = (workStation) =>
+  workStation ? formatIdentifier(workStation) : "No workstation";
+
+/**
+ * WorkstationPlan Component
+ *
+ * Renders the crafting plan grouped into workstation visits, in dependency
+ * order, with the crafts done at each station.
+ *
+ * @component
+ */
+const WorkstationPlan = ({ workstationPlan }) => {
+  const { visits, stations, gatherSteps } = workstationPlan;
+
+  return (
+    <div className="crafting-plan__stations">
+      <div className="crafting-plan__station-summary">
+        <strong>Stations to visit:</strong>
+        <ul>
+          {stations.map((station) => (
+            <li key={station.workStation || "none"}>
+              {formatStation(station.workStation)} — {station.crafts} crafts
+              {station.visits > 1 && ` over ${station.visits} visits`} · ⏱️{" "}
+              {formatDuration(station.totalTime)}
+              {station.untimedSteps > 0 && "+"}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <ol className="crafting-plan__steps">
+        {gatherSteps.length > 0 && (
+          <li className="crafting-plan__visit">
+            <h4>⛏️ Gathering</h4>
+            <ul className="crafting-plan__steps">
+              {gatherSteps.map((step) => (
+                <PlanStep key={`${step.type}-${step.key}`} step={step} />
+              ))}
+            </ul>
+          </li>
+        )}
+        {visits.map((visit) => (
+          <li key={visit.order} className="crafting-plan__visit">
+            <h4>
+              🏭 {formatStation(visit.workStation)} · {visit.crafts} crafts · ⏱️{" "}
+              {formatDuration(visit.totalTime)}
+              {visit.untimedSteps > 0 && "+"}
+            </h4>
+            <ul className="crafting-plan__steps">
+              {visit.steps.map((step) => (
+                <PlanStep
+                  key={`${step.type}-${step.key}`}
+                  step={step}
+                  showWorkStation={false}
+                />
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+WorkstationPlan.propTypes = {
+  /** Grouped plan from groupCraftingPlanByWorkstation */
+  workstationPlan: PropTypes.shape({
+    visits: PropTypes.arrayOf(
+      PropTypes.shape({
+        order: PropTypes.number.isRequired,
+        workStation: PropTypes.string,
+        steps: PropTypes.array.isRequired,
+        crafts: PropTypes.number.isRequired,
+        totalTime: PropTypes.number,
+        untimedSteps: PropTypes.number,
+      })
+    ).isRequired,
+    stations: PropTypes.arrayOf(
+      PropTypes.shape({
+        workStation: PropTypes.string,
+        steps: PropTypes.number.isRequired,
+        crafts: PropTypes.number.isRequired,
+        visits: PropTypes.number.isRequired,
+        totalTime: PropTypes.number,
+        untimedSteps: PropTypes.number,
+      })
+    ).isRequired,
+    gatherSteps: PropTypes.array.isRequired,
+  }).isRequired,
+};
+
+export default WorkstationPlan;
@@ -0,0 +1,118 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { StatusMessage } from "../ui";
+import { getGradedItemKey } from "../../services/recipe";
+import { formatIdentifier, formatGradedName } from "../../utils/recipeUtils";
+import "./gatheringPlan.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  plan: {
+    className: "gathering-plan",
+  },
+  group: {
+    className: "gathering-plan__group",
+  },
+  header: {
+    className: "gathering-plan__header",
+  },
+  items: {
+    className: "gathering-plan__items",
+  },
+  item: {
+    className: "gathering-plan__item",
+  },
+  level: {
+    className: "gathering-plan__level",
+  },
+  description: {
+    className: "gathering-plan__description",
+  },
+};
+
+const SKILL_ICONS = {
+  mining: "⛏️",
+  lumberjacking: "🪓",
+  herbalism: "🌿",
+  fishing: "🎣",
+  hunting: "🏹",
+  vendor: "🪙",
+};
+
+/**
+ * GatheringPlan Component
+ *
+ * Renders the raw shopping list grouped by gathering skill, so gathering
+ * can be split between players by skill. Each group lists its materials
+ * from the lowest skill level up.
+ *
+ * @component
+ */
+const GatheringPlan = ({ groups }) => {
+  if (groups.length === 0) {
+    return (
+      <StatusMessage type="empty">
+        Add recipes to see what needs gathering.
+      </StatusMessage>
+    );
+  }
+
+  return (
+    <div {...STATIC_PROPS.plan}>
+      {groups.map((group) => (
+        <div key={group.skill || "other"} {...STATIC_PROPS.group}>
+          <h4 {...STATIC_PROPS.header}>
+            {SKILL_ICONS[group.skill] || "📦"}{" "}
+            {group.skill ? formatIdentifier(group.skill) : "Other"} ·{" "}
+            {group.totalQuantity} items
+          </h4>
+          <ul {...STATIC_PROPS.items}>
+            {group.components.map((component) => (
+              <li key={getGradedItemKey(component)} {...STATIC_PROPS.item}>
+                <strong>
+                  {formatGradedName(component.name, component.grade)} ×
+                  {component.quantity}
+                </strong>
+                {component.gathering?.skillLevel && (
+                  <span {...STATIC_PROPS.level}>
+                    {component.gathering.skillLevel}
+                  </span>
+                )}
+                {component.description && (
+                  <span {...STATIC_PROPS.description}>
+                    {component.description}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+GatheringPlan.propTypes = {
+  /** Groups from groupComponentsByGathering */
+  groups: PropTypes.arrayOf(
+    PropTypes.shape({
+      skill: PropTypes.string,
+      totalQuantity: PropTypes.number.isRequired,
+      components: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+            .isRequired,
+          name: PropTypes.string.isRequired,
+          quantity: PropTypes.number.isRequired,
+          description: PropTypes.string,
+          gathering: PropTypes.shape({
+            skill: PropTypes.string,
+            skillLevel: PropTypes.string,
+          }),
+        })
+      ).isRequired,
+    })
+  ).isRequired,
+};
+
+export default GatheringPlan;
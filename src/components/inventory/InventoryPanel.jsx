@@ -0,0 +1,145 @@
+import React, { useState, useCallback } from "react";
+import { useAvailableList } from "../../contexts/AvailableRecipeListContext.js";
+import { useSelectedList } from "../../contexts/SelectedRecipeListContext.js";
+import { useInventoryItems } from "../../hooks/useInventoryItems.js";
+import BaseRecipeList from "../baseRecipeList/BaseRecipeList";
+import { Select, Button, IconButton, QuantityControl } from "../ui";
+import {
+  MATERIAL_GRADES,
+  MATERIAL_GRADE_ORDER,
+  getGradedItemKey,
+} from "../../services/recipe";
+import { formatGradedName } from "../../utils/recipeUtils";
+import "./inventory.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  clearButton: {
+    variant: "danger",
+    size: "small",
+    icon: "🗑️",
+    children: "Clear All",
+  },
+  removeButton: {
+    icon: "×",
+    variant: "danger",
+    size: "small",
+    className: "inventory-panel__remove-btn",
+  },
+  list: {
+    className: "inventory-panel__list",
+    emptyMessage:
+      "Your inventory is empty. Add raw or intermediate items you already own.",
+  },
+};
+
+/**
+ * InventoryPanel Component
+ *
+ * Lets the player enter items they already own. Quantities are netted out of
+ * the component breakdown before recipes are expanded, so owned intermediates
+ * reduce the raw materials needed. Items are owned at a grade, and graded
+ * stock covers needs of that grade or lower.
+ *
+ * @component
+ */
+const InventoryPanel = () => {
+  const { availableRecipes } = useAvailableList();
+  const {
+    inventory,
+    setInventoryQuantity,
+    removeInventoryItem,
+    clearInventory,
+  } = useSelectedList();
+  const { itemOptions, ownedItems } = useInventoryItems(
+    availableRecipes,
+    inventory
+  );
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [selectedGrade, setSelectedGrade] = useState(MATERIAL_GRADES.COMMON);
+
+  const handleAddItem = useCallback(
+    (event) => {
+      event?.preventDefault();
+      if (!selectedItem) return;
+
+      // Adding an item already owned at this grade adds one more
+      const itemKey = getGradedItemKey({
+        id: selectedItem.id,
+        grade: selectedGrade,
+      });
+      setInventoryQuantity(itemKey, (Number(inventory[itemKey]) || 0) + 1);
+      setSelectedItem(null);
+    },
+    [selectedItem, selectedGrade, inventory, setInventoryQuantity]
+  );
+
+  const renderInventoryItem = (item) => (
+    <div className="inventory-panel__item">
+      <span className="inventory-panel__name">
+        {formatGradedName(item.name, item.grade)}
+      </span>
+      <QuantityControl
+        value={item.quantity}
+        onChange={(quantity) => setInventoryQuantity(item.key, quantity)}
+        min={0}
+        size="small"
+        aria-label={`Owned quantity of ${formatGradedName(item.name, item.grade)}`}
+      />
+      <IconButton
+        {...STATIC_PROPS.removeButton}
+        onClick={() => removeInventoryItem(item.key)}
+        aria-label={`Remove ${formatGradedName(item.name, item.grade)} from inventory`}
+      />
+    </div>
+  );
+
+  const headerActions = (
+    <Button
+      {...STATIC_PROPS.clearButton}
+      onClick={clearInventory}
+      disabled={ownedItems.length === 0}
+    />
+  );
+
+  return (
+    <div className="inventory-panel">
+      <div className="inventory-panel__controls">
+        <Select
+          options={itemOptions}
+          value={selectedItem}
+          onChange={setSelectedItem}
+          placeholder="Select an owned item..."
+          getOptionValue={(item) => item?.id}
+          getOptionLabel={(item) => item?.name}
+          className="inventory-panel__dropdown"
+        />
+        <Select
+          options={MATERIAL_GRADE_ORDER}
+          value={selectedGrade}
+          onChange={(grade) => grade && setSelectedGrade(grade)}
+          aria-label="Grade of the owned item"
+          className="inventory-panel__grade"
+        />
+        <Button
+          onClick={handleAddItem}
+          disabled={!selectedItem}
+          variant="primary"
+        >
+          Add to Inventory
+        </Button>
+      </div>
+
+      <BaseRecipeList
+        {...STATIC_PROPS.list}
+        items={ownedItems}
+        title={`Inventory (${ownedItems.length} items)`}
+        headerActions={headerActions}
+        itemRenderer={renderInventoryItem}
+        getItemKey={(item) => item.key}
+      />
+    </div>
+  );
+};
+
+export default InventoryPanel;
@@ -2,7 +2,9 @@ import React from "react";
 import PropTypes from "prop-types";
 import RecipeCard from "../recipeCard/RecipeCard";
 import BaseRecipeList from "../baseRecipeList/BaseRecipeList";
-import { Button, IconButton } from "../ui";
+import { Button, IconButton, Select } from "../ui";
+import { MATERIAL_GRADE_ORDER } from "../../services/recipe";
+import { STALE_RECIPE_REASONS } from "../../reducers/recipeListReducer";
 import "./manageableRecipeList.css";
 
 // ✅ EXCELLENT: Extract static props outside component
@@ -24,6 +26,17 @@ const STATIC_PROPS = {
     className: "manageable-recipe-list__remove-btn",
   },
 
+  // Target grade select static props
+  gradeField: {
+    className: "manageable-recipe-list__grade",
+  },
+
+  // Stale recipe notice static props
+  staleNotice: {
+    className: "manageable-recipe-list__stale",
+    role: "note",
+  },
+
   // List static props
   list: {
     className: "manageable-recipe-list",
@@ -32,7 +45,12 @@ const STATIC_PROPS = {
   },
 };
 
-const ManageableRecipeList = ({ recipes, onRemoveRecipe, onClearList }) => {
+const ManageableRecipeList = ({
+  recipes,
+  onRemoveRecipe,
+  onClearList,
+  onGradeChange,
+}) => {
   // ✅ GOOD: Only dynamic props inside component
   const clearButtonDynamicProps = {
     onClick: onClearList,
@@ -95,6 +113,28 @@ const ManageableRecipeList = ({ recipes, onRemoveRecipe, onClearList }) => {
           {...removeButtonDynamicProps}
         />
         <RecipeCard recipe={recipe} />
+        {recipe.stale && (
+          <p {...STATIC_PROPS.staleNotice}>
+            {recipe.stale === STALE_RECIPE_REASONS.REMOVED
+              ? "⚠️ No longer in the recipe database; left out of the breakdown."
+              : `⚠️ Updated since it was saved${
+                  recipe.savedName !== recipe.name
+                    ? ` (was "${recipe.savedName}")`
+                    : ""
+                }.`}
+          </p>
+        )}
+        {onGradeChange && (
+          <label {...STATIC_PROPS.gradeField}>
+            Target grade
+            <Select
+              options={MATERIAL_GRADE_ORDER}
+              value={recipe.grade}
+              onChange={(grade) => grade && onGradeChange(recipe, grade)}
+              aria-label={`Target grade of ${recipe.name}`}
+            />
+          </label>
+        )}
       </>
     );
   };
@@ -114,10 +154,16 @@ ManageableRecipeList.propTypes = {
     PropTypes.shape({
       id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
       name: PropTypes.string.isRequired,
+      grade: PropTypes.string,
+      /** Set when the saved recipe no longer matches the database */
+      stale: PropTypes.oneOf(Object.values(STALE_RECIPE_REASONS)),
+      savedName: PropTypes.string,
     })
   ).isRequired,
   onRemoveRecipe: PropTypes.func.isRequired,
   onClearList: PropTypes.func.isRequired,
+  /** Callback (recipe, grade) when a recipe's target output grade changes */
+  onGradeChange: PropTypes.func,
 };
 
 export default ManageableRecipeList;
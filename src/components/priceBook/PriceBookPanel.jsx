@@ -0,0 +1,169 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { useSelectedList } from "../../contexts/SelectedRecipeListContext.js";
+import BaseRecipeList from "../baseRecipeList/BaseRecipeList";
+import { Button, IconButton } from "../ui";
+import CoinInput from "./components/CoinInput";
+import MakeVsBuyReport from "./components/MakeVsBuyReport";
+import { PRICE_SOURCES, getGradedItemKey } from "../../services/recipe";
+import { formatCoins, formatGradedName } from "../../utils/recipeUtils";
+import "./priceBook.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  clearButton: {
+    variant: "danger",
+    size: "small",
+    icon: "🗑️",
+    children: "Clear Market Prices",
+  },
+  resetButton: {
+    icon: "↺",
+    variant: "ghost",
+    size: "small",
+    className: "price-book__reset-btn",
+  },
+  list: {
+    className: "price-book__list",
+    emptyMessage: "Add recipes to price their materials.",
+  },
+  intermediateList: {
+    className: "price-book__list",
+    title: "Intermediate Prices (per unit, market)",
+    emptyMessage: "No intermediates are crafted in this plan.",
+  },
+};
+
+const SOURCE_LABELS = {
+  [PRICE_SOURCES.MARKET]: "Market",
+  [PRICE_SOURCES.VENDOR]: "Vendor",
+};
+
+/**
+ * PriceBookPanel Component
+ *
+ * Shows the material cost of each selected recipe and of the whole plan, and
+ * lets the player enter market prices for the plan's raw materials. Vendor
+ * prices from the database are used until a market price is entered.
+ * Intermediates can be priced as well, for the make-versus-buy optimiser.
+ *
+ * @component
+ */
+const PriceBookPanel = ({ cost, makeVsBuy }) => {
+  const {
+    priceBook,
+    planSettings,
+    setMarketPrice,
+    removeMarketPrice,
+    clearMarketPrices,
+    setMakeVsBuy,
+  } = useSelectedList();
+  const { materials, intermediates, recipes, total, unpriced, isComplete } =
+    cost;
+
+  const renderMaterial = (material) => (
+    <div className="price-book__item">
+      <span className="price-book__name">
+        {formatGradedName(material.name, material.grade)} ×{material.quantity}
+      </span>
+      {material.priceSource && (
+        <span
+          className={`price-book__source price-book__source--${material.priceSource}`}
+        >
+          {SOURCE_LABELS[material.priceSource]}
+        </span>
+      )}
+      <CoinInput
+        value={material.unitPrice}
+        onChange={(price) => setMarketPrice(material.id, price)}
+        label={`Unit price of ${material.name}`}
+      />
+      {material.priceSource === PRICE_SOURCES.MARKET && (
+        <IconButton
+          {...STATIC_PROPS.resetButton}
+          onClick={() => removeMarketPrice(material.id)}
+          aria-label={`Remove market price of ${material.name}`}
+        />
+      )}
+      <span className="price-book__cost">
+        {material.cost === null ? "—" : formatCoins(material.cost)}
+      </span>
+    </div>
+  );
+
+  const headerActions = (
+    <Button
+      {...STATIC_PROPS.clearButton}
+      onClick={clearMarketPrices}
+      disabled={Object.keys(priceBook.prices).length === 0}
+    />
+  );
+
+  return (
+    <div className="price-book">
+      {recipes.length > 0 && (
+        <div className="price-book__summary">
+          <ul className="price-book__recipes">
+            {recipes.map((recipe) => (
+              <li key={recipe.id}>
+                {recipe.name} ×{recipe.quantity}:{" "}
+                <strong>{formatCoins(recipe.cost)}</strong>
+                {recipe.unpriced.length > 0 && " + unpriced materials"}
+              </li>
+            ))}
+          </ul>
+          <p className="price-book__total">
+            💰 Plan total: <strong>{formatCoins(total)}</strong>
+            {!isComplete && (
+              <span className="price-book__warning">
+                {" "}
+                (missing prices for{" "}
+                {unpriced.map((item) => item.name).join(", ")})
+              </span>
+            )}
+          </p>
+        </div>
+      )}
+
+      <BaseRecipeList
+        {...STATIC_PROPS.list}
+        items={materials}
+        title="Material Prices (per unit)"
+        headerActions={headerActions}
+        itemRenderer={renderMaterial}
+        getItemKey={getGradedItemKey}
+      />
+
+      <MakeVsBuyReport
+        enabled={planSettings.makeVsBuy}
+        onToggle={setMakeVsBuy}
+        report={makeVsBuy}
+      />
+
+      {intermediates.length > 0 && (
+        <BaseRecipeList
+          {...STATIC_PROPS.intermediateList}
+          items={intermediates}
+          itemRenderer={renderMaterial}
+          getItemKey={getGradedItemKey}
+        />
+      )}
+    </div>
+  );
+};
+
+PriceBookPanel.propTypes = {
+  /** Cost roll-up from calculatePlanCost plus priced materials */
+  cost: PropTypes.shape({
+    materials: PropTypes.array.isRequired,
+    intermediates: PropTypes.array.isRequired,
+    recipes: PropTypes.array.isRequired,
+    total: PropTypes.number.isRequired,
+    unpriced: PropTypes.array.isRequired,
+    isComplete: PropTypes.bool.isRequired,
+  }).isRequired,
+  /** Make-versus-buy result (see optimizeMakeVsBuy), null when off */
+  makeVsBuy: PropTypes.object,
+};
+
+export default PriceBookPanel;
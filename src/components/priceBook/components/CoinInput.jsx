@@ -0,0 +1,60 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { splitCoins, COIN_VALUES } from "../../../services/recipe";
+
+const COIN_FIELDS = [
+  { key: "gold", suffix: "g", value: COIN_VALUES.GOLD },
+  { key: "silver", suffix: "s", value: COIN_VALUES.SILVER },
+  { key: "copper", suffix: "c", value: COIN_VALUES.COPPER },
+];
+
+/**
+ * CoinInput Component
+ *
+ * Gold, silver and copper inputs for one price. Reports the price in copper.
+ *
+ * @component
+ */
+const CoinInput = ({ value, onChange, label }) => {
+  const coins = splitCoins(value || 0);
+
+  const handleChange = (key, fieldValue) => {
+    const next = { ...coins, [key]: Math.max(0, Number(fieldValue) || 0) };
+    onChange(
+      COIN_FIELDS.reduce(
+        (total, field) => total + next[field.key] * field.value,
+        0
+      )
+    );
+  };
+
+  return (
+    <span className="price-book__coins" role="group" aria-label={label}>
+      {COIN_FIELDS.map((field) => (
+        <label key={field.key} className="price-book__coin">
+          <input
+            type="number"
+            min={0}
+            value={
+              value === null || value === undefined ? "" : coins[field.key]
+            }
+            onChange={(event) => handleChange(field.key, event.target.value)}
+            aria-label={`${label} ${field.key}`}
+          />
+          {field.suffix}
+        </label>
+      ))}
+    </span>
+  );
+};
+
+CoinInput.propTypes = {
+  /** Price in copper, null or undefined when not set */
+  value: PropTypes.number,
+  /** Callback (copper) when any coin field changes */
+  onChange: PropTypes.func.isRequired,
+  /** Accessible label for the price */
+  label: PropTypes.string.isRequired,
+};
+
+export default CoinInput;
@@ -0,0 +1,100 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { MAKE_VS_BUY_DECISIONS } from "../../../services/recipe";
+import { formatCoins } from "../../../utils/recipeUtils";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  report: {
+    className: "price-book__make-vs-buy",
+  },
+  toggle: {
+    className: "price-book__toggle",
+  },
+  decisions: {
+    className: "price-book__decisions",
+  },
+};
+
+/**
+ * MakeVsBuyReport Component
+ *
+ * Toggles the make-versus-buy optimiser and lists, for each intermediate
+ * with a market price, whether it is bought or crafted and what that saves.
+ *
+ * @component
+ */
+const MakeVsBuyReport = ({ enabled, onToggle, report }) => (
+  <div {...STATIC_PROPS.report}>
+    <label {...STATIC_PROPS.toggle}>
+      <input
+        type="checkbox"
+        checked={enabled}
+        onChange={(event) => onToggle(event.target.checked)}
+      />{" "}
+      Buy intermediates when the market price beats crafting them
+    </label>
+
+    {enabled && report && report.decisions.length === 0 && (
+      <p>Enter market prices for intermediates to compare make and buy.</p>
+    )}
+
+    {enabled && report && report.decisions.length > 0 && (
+      <>
+        <ul {...STATIC_PROPS.decisions}>
+          {report.decisions.map((decision) => (
+            <li key={decision.id}>
+              {decision.decision === MAKE_VS_BUY_DECISIONS.BUY
+                ? "🪙 Buy"
+                : "🔨 Make"}{" "}
+              <strong>
+                {decision.name} ×{decision.quantity}
+              </strong>
+              : buy {formatCoins(decision.buyCost)} vs make{" "}
+              {formatCoins(decision.craftCost)}
+              {decision.incomplete && "+"} — saves{" "}
+              {formatCoins(decision.savings)}
+              {decision.incomplete && (
+                <span className="price-book__warning">
+                  {" "}
+                  (no price for {decision.unpriced.join(", ")})
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+        <p className="price-book__total">
+          Buying saves <strong>{formatCoins(report.totalSavings)}</strong>
+        </p>
+      </>
+    )}
+  </div>
+);
+
+MakeVsBuyReport.propTypes = {
+  /** Whether the optimiser is on */
+  enabled: PropTypes.bool.isRequired,
+  /** Callback (enabled) when the optimiser is toggled */
+  onToggle: PropTypes.func.isRequired,
+  /** Result from optimizeMakeVsBuy, null when off */
+  report: PropTypes.shape({
+    decisions: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+          .isRequired,
+        name: PropTypes.string.isRequired,
+        quantity: PropTypes.number.isRequired,
+        decision: PropTypes.oneOf(Object.values(MAKE_VS_BUY_DECISIONS))
+          .isRequired,
+        buyCost: PropTypes.number.isRequired,
+        craftCost: PropTypes.number.isRequired,
+        savings: PropTypes.number.isRequired,
+        incomplete: PropTypes.bool,
+        unpriced: PropTypes.arrayOf(PropTypes.string),
+      })
+    ).isRequired,
+    totalSavings: PropTypes.number.isRequired,
+  }),
+};
+
+export default MakeVsBuyReport;
@@ -2,6 +2,7 @@ import React, { useState } from "react";
 import PropTypes from "prop-types";
 import CraftComponent from "../craftComponent/CraftComponent";
 import { recipePropType } from "../../types/recipePropTypes";
+import { formatGradedName } from "../../utils/recipeUtils";
 
 const RecipeCard = ({
   recipe, // ✅ SINGLE source of truth
@@ -95,7 +96,7 @@ const RecipeCard = ({
               >
                 <CraftComponent
                   id={component.id || index}
-                  name={component.name}
+                  name={formatGradedName(component.name, component.minGrade)}
                   quantity={component.quantity}
                   onQuantityChange={(id, name, value) => {
                     console.log(`Updated ${name} (${id}) quantity to ${value}`);
@@ -0,0 +1,286 @@
+import React, { useState, useCallback, useRef } from "react";
+import { useAvailableList } from "../../contexts/AvailableRecipeListContext.js";
+import { Button, StatusMessage } from "../ui";
+import ImportReview from "./components/ImportReview";
+import CsvImportErrors from "./components/CsvImportErrors";
+import SeedUpdateNotice from "./components/SeedUpdateNotice";
+import { STORAGE_ADAPTERS } from "../../services/recipe";
+import "./recipeDatabase.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  panel: {
+    className: "recipe-database",
+  },
+  summary: {
+    className: "recipe-database__summary",
+  },
+  actions: {
+    className: "recipe-database__actions",
+  },
+  exportButton: {
+    variant: "outline",
+    size: "small",
+    icon: "💾",
+    children: "Export DB",
+  },
+  importButton: {
+    variant: "outline",
+    size: "small",
+    icon: "📂",
+    children: "Import DB",
+  },
+  exportCsvButton: {
+    variant: "outline",
+    size: "small",
+    icon: "📊",
+    children: "Export CSV",
+  },
+  importCsvButton: {
+    variant: "outline",
+    size: "small",
+    icon: "📥",
+    children: "Import CSV",
+  },
+  fileInput: {
+    type: "file",
+    accept: "application/json,.json",
+    hidden: true,
+    "aria-label": "Recipe database file to import",
+  },
+  csvFileInput: {
+    type: "file",
+    accept: "text/csv,.csv",
+    hidden: true,
+    "aria-label": "Recipe CSV file to import",
+  },
+};
+
+const STORAGE_LABELS = {
+  [STORAGE_ADAPTERS.JSON]: "the bundled recipes.json",
+  [STORAGE_ADAPTERS.INDEXED_DB]: "this browser",
+  [STORAGE_ADAPTERS.HTTP]: "the recipe server",
+  [STORAGE_ADAPTERS.MEMORY]: "memory",
+};
+
+/**
+ * RecipeDatabasePanel Component
+ *
+ * Manages the recipe database in the active storage (see STORAGE_ADAPTERS).
+ * Exporting downloads the database as a recipes.json file, ready to replace
+ * the bundled seed. Importing compares an exported file with the database
+ * and applies the differences the user accepts.
+ *
+ * The CSV export and import are for editing recipes in a spreadsheet, one
+ * row per component. A CSV with invalid rows lists them by row and column
+ * instead of going to the review.
+ *
+ * When the bundled recipes.json is newer than the stored database, its
+ * changes are offered for the same review, or the database can be re-seeded.
+ *
+ * @component
+ */
+const RecipeDatabasePanel = () => {
+  const { availableRecipes, recipeService, reloadRecipes } = useAvailableList();
+  const [status, setStatus] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [csvErrors, setCsvErrors] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+  const fileInputRef = useRef(null);
+  const csvFileInputRef = useRef(null);
+  const storageAdapter = recipeService.getStorageAdapter();
+  const seedUpdate = recipeService.getSeedUpdate();
+
+  const handleExport = useCallback(async () => {
+    try {
+      await recipeService.exportRecipes();
+      setStatus({ type: "success", message: "Recipe database exported." });
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  }, [recipeService]);
+
+  const handleExportCsv = useCallback(async () => {
+    try {
+      await recipeService.exportRecipesCsv();
+      setStatus({ type: "success", message: "Recipes exported as CSV." });
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  }, [recipeService]);
+
+  /**
+   * Create a file input change handler that previews the chosen file
+   * @param {Function} preview - Service preview function (text) → preview
+   * @returns {Function} Change handler
+   */
+  const createFileChangeHandler = useCallback(
+    (preview) => async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = "";
+      if (!file) return;
+
+      setImportPreview(null);
+      setCsvErrors(null);
+      try {
+        const { errors = [], ...result } = await preview(await file.text());
+        if (errors.length > 0) {
+          setCsvErrors({ fileName: file.name, errors });
+        } else {
+          setImportPreview({ fileName: file.name, ...result });
+        }
+        setStatus(null);
+      } catch (error) {
+        setStatus({
+          type: "error",
+          message: `${file.name} can't be imported: ${error.message}`,
+        });
+      }
+    },
+    []
+  );
+
+  const handleReviewSeed = useCallback(async () => {
+    setCsvErrors(null);
+    try {
+      const result = await recipeService.previewSeedMerge();
+      setImportPreview({
+        fileName: "Bundled recipes.json",
+        isSeedMerge: true,
+        ...result,
+      });
+      setStatus(null);
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  }, [recipeService]);
+
+  /**
+   * Create a handler that runs a seed action and reloads the recipes
+   * @param {Function} action - Service function () → Promise
+   * @param {string} message - Status shown once it is done
+   * @returns {Function} Click handler
+   */
+  const createSeedActionHandler = useCallback(
+    (action, message) => async () => {
+      setIsApplying(true);
+      try {
+        await action();
+        setImportPreview(null);
+        setStatus({ type: "success", message });
+        await reloadRecipes();
+      } catch (error) {
+        setStatus({ type: "error", message: error.message });
+      } finally {
+        setIsApplying(false);
+      }
+    },
+    [reloadRecipes]
+  );
+
+  const handleApply = useCallback(
+    async (changes) => {
+      const applyChanges = importPreview?.isSeedMerge
+        ? recipeService.applySeedMerge
+        : recipeService.applyRecipeImport;
+      setIsApplying(true);
+      try {
+        const { applied, failed } = await applyChanges(changes);
+        setImportPreview(null);
+        setStatus({
+          type: failed.length > 0 ? "warning" : "success",
+          message: [
+            `Applied ${applied.length} of ${changes.length} changes.`,
+            ...failed.map(
+              ({ change, message }) => `${change.name}: ${message}`
+            ),
+          ].join(" "),
+        });
+        await reloadRecipes();
+      } catch (error) {
+        setStatus({ type: "error", message: error.message });
+      } finally {
+        setIsApplying(false);
+      }
+    },
+    [importPreview, recipeService, reloadRecipes]
+  );
+
+  return (
+    <div {...STATIC_PROPS.panel}>
+      <p {...STATIC_PROPS.summary}>
+        {availableRecipes.length} recipes from{" "}
+        {STORAGE_LABELS[storageAdapter.name] || storageAdapter.name}.{" "}
+        {!storageAdapter.persistent && "Changes last until reload. "}
+        Export the database to keep a copy or to update the bundled
+        recipes.json, or import one someone else exported. Use CSV to edit
+        recipes in a spreadsheet.
+      </p>
+      <div {...STATIC_PROPS.actions}>
+        <Button {...STATIC_PROPS.exportButton} onClick={handleExport} />
+        <Button
+          {...STATIC_PROPS.importButton}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isApplying}
+        />
+        <input
+          {...STATIC_PROPS.fileInput}
+          ref={fileInputRef}
+          onChange={createFileChangeHandler(recipeService.previewRecipeImport)}
+        />
+        <Button {...STATIC_PROPS.exportCsvButton} onClick={handleExportCsv} />
+        <Button
+          {...STATIC_PROPS.importCsvButton}
+          onClick={() => csvFileInputRef.current?.click()}
+          disabled={isApplying}
+        />
+        <input
+          {...STATIC_PROPS.csvFileInput}
+          ref={csvFileInputRef}
+          onChange={createFileChangeHandler(
+            recipeService.previewRecipeCsvImport
+          )}
+        />
+      </div>
+      {status && (
+        <StatusMessage type={status.type}>{status.message}</StatusMessage>
+      )}
+      {seedUpdate && !importPreview && (
+        <SeedUpdateNotice
+          storedVersion={seedUpdate.storedVersion}
+          bundledVersion={seedUpdate.bundledVersion}
+          isApplying={isApplying}
+          onReview={handleReviewSeed}
+          onReseed={createSeedActionHandler(
+            recipeService.reseedRecipes,
+            "Recipe database replaced with the bundled recipes."
+          )}
+          onKeep={createSeedActionHandler(
+            recipeService.acceptSeedVersion,
+            "Kept your recipe database as it is."
+          )}
+        />
+      )}
+      {csvErrors && (
+        <CsvImportErrors
+          fileName={csvErrors.fileName}
+          errors={csvErrors.errors}
+          onDismiss={() => setCsvErrors(null)}
+        />
+      )}
+      {importPreview && (
+        <ImportReview
+          key={importPreview.fileName}
+          fileName={importPreview.fileName}
+          changes={importPreview.changes}
+          unchanged={importPreview.unchanged}
+          isApplying={isApplying}
+          onApply={handleApply}
+          onCancel={() => setImportPreview(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RecipeDatabasePanel;
@@ -0,0 +1,69 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Button, StatusMessage } from "../../ui";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  review: {
+    className: "recipe-database__review",
+  },
+  list: {
+    className: "recipe-database__csv-errors",
+  },
+  location: {
+    className: "recipe-database__csv-error-location",
+  },
+  actions: {
+    className: "recipe-database__actions",
+  },
+};
+
+/**
+ * CsvImportErrors Component
+ *
+ * Lists the rows of an uploaded recipe CSV that failed validation, by
+ * spreadsheet row and column. Nothing from the file is written until it
+ * imports without errors.
+ *
+ * @component
+ */
+const CsvImportErrors = ({ fileName, errors, onDismiss }) => (
+  <div {...STATIC_PROPS.review}>
+    <StatusMessage type="error">
+      {fileName} has {errors.length} problems; nothing was imported. Fix them in
+      the spreadsheet and import it again.
+    </StatusMessage>
+    <ul {...STATIC_PROPS.list}>
+      {errors.map(({ row, column, message }, index) => (
+        <li key={`${row}-${column}-${index}`}>
+          <span {...STATIC_PROPS.location}>
+            Row {row}, {column}
+          </span>{" "}
+          {message}
+        </li>
+      ))}
+    </ul>
+    <div {...STATIC_PROPS.actions}>
+      <Button size="small" variant="ghost" onClick={onDismiss}>
+        Dismiss
+      </Button>
+    </div>
+  </div>
+);
+
+CsvImportErrors.propTypes = {
+  /** Name of the uploaded file */
+  fileName: PropTypes.string.isRequired,
+  /** Errors from previewRecipeCsvImport */
+  errors: PropTypes.arrayOf(
+    PropTypes.shape({
+      row: PropTypes.number.isRequired,
+      column: PropTypes.string.isRequired,
+      message: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** Callback to close the list */
+  onDismiss: PropTypes.func.isRequired,
+};
+
+export default CsvImportErrors;
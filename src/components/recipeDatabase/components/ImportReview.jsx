@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../../ui";
+import {
+  IMPORT_CHANGE_KINDS,
+  VALID_RECIPE_TYPES,
+} from "../../../services/recipe";
+import { formatIdentifier } from "../../../utils/recipeUtils";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  review: {
+    className: "recipe-database__review",
+  },
+  summary: {
+    className: "recipe-database__summary",
+  },
+  list: {
+    className: "recipe-database__changes",
+  },
+  detail: {
+    className: "recipe-database__change-detail",
+  },
+  actions: {
+    className: "recipe-database__actions",
+  },
+};
+
+const KIND_LABELS = {
+  [IMPORT_CHANGE_KINDS.ADDED]: "New",
+  [IMPORT_CHANGE_KINDS.CHANGED]: "Changed",
+  [IMPORT_CHANGE_KINDS.REMOVED]: "Removed",
+  [IMPORT_CHANGE_KINDS.ID_COLLISION]: "ID collision",
+};
+
+// Removals and collisions overwrite or drop current data; opt in to those
+const ACCEPTED_BY_DEFAULT = new Set([
+  IMPORT_CHANGE_KINDS.ADDED,
+  IMPORT_CHANGE_KINDS.CHANGED,
+]);
+
+/**
+ * Describe what a change does
+ * @param {Object} change - Change from previewRecipeImport
+ * @returns {string} Description
+ */
+const describeChange = (change) => {
+  switch (change.kind) {
+    case IMPORT_CHANGE_KINDS.ADDED:
+      return `Adds ${formatIdentifier(change.type)}`;
+    case IMPORT_CHANGE_KINDS.REMOVED:
+      return "Not in the import; accepting removes it";
+    case IMPORT_CHANGE_KINDS.ID_COLLISION:
+      return `ID is ${change.current.name} (${formatIdentifier(
+        change.currentType
+      )}) here and ${change.name} (${formatIdentifier(
+        change.type
+      )}) in the import; accepting replaces it`;
+    default:
+      return `Changes ${change.fields.join(", ")}`;
+  }
+};
+
+/**
+ * ImportReview Component
+ *
+ * Lists the differences between an uploaded recipe database and the current
+ * one, and lets the user accept or reject each before applying them. New and
+ * changed recipes start accepted; removals and ID collisions start rejected.
+ *
+ * @component
+ */
+const ImportReview = ({
+  fileName,
+  changes,
+  unchanged,
+  isApplying = false,
+  onApply,
+  onCancel,
+}) => {
+  const [accepted, setAccepted] = useState(
+    () =>
+      new Set(
+        changes
+          .filter((change) => ACCEPTED_BY_DEFAULT.has(change.kind))
+          .map((change) => change.key)
+      )
+  );
+
+  const setChangeAccepted = (key, isAccepted) =>
+    setAccepted((previous) => {
+      const next = new Set(previous);
+      if (isAccepted) {
+        next.add(key);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    });
+
+  const acceptedChanges = changes.filter((change) => accepted.has(change.key));
+
+  return (
+    <div {...STATIC_PROPS.review}>
+      <p {...STATIC_PROPS.summary}>
+        {fileName}: {changes.length} differences, {unchanged} recipes unchanged.
+      </p>
+
+      {changes.length > 0 && (
+        <ul {...STATIC_PROPS.list}>
+          {changes.map((change) => (
+            <li
+              key={change.key}
+              className={`recipe-database__change recipe-database__change--${change.kind}`}
+            >
+              <label>
+                <input
+                  type="checkbox"
+                  checked={accepted.has(change.key)}
+                  onChange={(event) =>
+                    setChangeAccepted(change.key, event.target.checked)
+                  }
+                  aria-label={`Accept ${KIND_LABELS[change.kind]} ${change.name}`}
+                />{" "}
+                <strong>{KIND_LABELS[change.kind]}</strong> {change.name} (ID{" "}
+                {change.id})
+              </label>
+              <span {...STATIC_PROPS.detail}>{describeChange(change)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div {...STATIC_PROPS.actions}>
+        <Button
+          size="small"
+          variant="outline"
+          onClick={() => setAccepted(new Set(changes.map((c) => c.key)))}
+          disabled={isApplying}
+        >
+          Accept All
+        </Button>
+        <Button
+          size="small"
+          variant="outline"
+          onClick={() => setAccepted(new Set())}
+          disabled={isApplying}
+        >
+          Reject All
+        </Button>
+        <Button
+          size="small"
+          variant="primary"
+          onClick={() => onApply(acceptedChanges)}
+          disabled={isApplying || acceptedChanges.length === 0}
+        >
+          Apply {acceptedChanges.length} Changes
+        </Button>
+        <Button
+          size="small"
+          variant="ghost"
+          onClick={onCancel}
+          disabled={isApplying}
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+ImportReview.propTypes = {
+  /** Name of the uploaded file */
+  fileName: PropTypes.string.isRequired,
+  /** Changes from previewRecipeImport */
+  changes: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      kind: PropTypes.oneOf(Object.values(IMPORT_CHANGE_KINDS)).isRequired,
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      name: PropTypes.string,
+      type: PropTypes.oneOf(VALID_RECIPE_TYPES),
+      fields: PropTypes.arrayOf(PropTypes.string),
+    })
+  ).isRequired,
+  /** Number of recipes identical in both */
+  unchanged: PropTypes.number.isRequired,
+  /** True while the accepted changes are being applied */
+  isApplying: PropTypes.bool,
+  /** Callback (acceptedChanges) to apply the accepted changes */
+  onApply: PropTypes.func.isRequired,
+  /** Callback to discard the import */
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default ImportReview;
@@ -0,0 +1,88 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Button, StatusMessage } from "../../ui";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  review: {
+    className: "recipe-database__review",
+  },
+  actions: {
+    className: "recipe-database__actions",
+  },
+  reviewButton: {
+    variant: "primary",
+    size: "small",
+    children: "Review changes",
+  },
+  reseedButton: {
+    variant: "danger",
+    size: "small",
+    children: "Replace with bundled recipes",
+  },
+  keepButton: {
+    variant: "ghost",
+    size: "small",
+    children: "Keep mine",
+  },
+};
+
+/**
+ * SeedUpdateNotice Component
+ *
+ * Shown when the bundled recipes.json is newer than the recipes this browser
+ * was seeded with. The changes can be reviewed and merged like an import,
+ * the database replaced with the bundled recipes, or kept as it is.
+ *
+ * @component
+ */
+const SeedUpdateNotice = ({
+  storedVersion,
+  bundledVersion,
+  isApplying = false,
+  onReview,
+  onReseed,
+  onKeep,
+}) => (
+  <div {...STATIC_PROPS.review}>
+    <StatusMessage type="info">
+      The app ships updated recipes (version {bundledVersion}; this database is
+      version {storedVersion}). Review the changes to merge the ones you want,
+      or replace the database and lose your own edits.
+    </StatusMessage>
+    <div {...STATIC_PROPS.actions}>
+      <Button
+        {...STATIC_PROPS.reviewButton}
+        onClick={onReview}
+        disabled={isApplying}
+      />
+      <Button
+        {...STATIC_PROPS.reseedButton}
+        onClick={onReseed}
+        disabled={isApplying}
+      />
+      <Button
+        {...STATIC_PROPS.keepButton}
+        onClick={onKeep}
+        disabled={isApplying}
+      />
+    </div>
+  </div>
+);
+
+SeedUpdateNotice.propTypes = {
+  /** Data version of the stored recipes */
+  storedVersion: PropTypes.number.isRequired,
+  /** Data version of the bundled recipes.json */
+  bundledVersion: PropTypes.number.isRequired,
+  /** Whether a change to the database is in progress */
+  isApplying: PropTypes.bool,
+  /** Callback to review the bundled changes */
+  onReview: PropTypes.func.isRequired,
+  /** Callback to replace the database with the bundled recipes */
+  onReseed: PropTypes.func.isRequired,
+  /** Callback to keep the database as it is */
+  onKeep: PropTypes.func.isRequired,
+};
+
+export default SeedUpdateNotice;
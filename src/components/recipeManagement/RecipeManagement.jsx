@@ -6,12 +6,15 @@ import { useRecipeSelection } from "../../hooks/useRecipeSelection.js";
 import { useRecipeStats } from "../../hooks/useRecipeStats.js";
 import { useRecipeValidation } from "../../hooks/useRecipeValidation.js";
 import RecipeSelector from "../recipeSelector/RecipeSelector.jsx";
+import CraftableRecipesPanel from "../craftableRecipes/CraftableRecipesPanel.jsx";
 import ManageableRecipeList from "../manageableRecipeList/ManageableRecipeList.jsx";
+import { MATERIAL_GRADES } from "../../services/recipe";
 import "./recipeManagement.css";
 
 const RecipeManagement = () => {
   const { isLoading, error } = useAvailableList();
-  const { recipeList, addRecipe, removeRecipe, clearList } = useSelectedList();
+  const { recipeList, addRecipe, removeRecipe, clearList, updateGrade } =
+    useSelectedList();
   const { craftableRecipes, ...stats } = useRecipeStats();
   const { selectedRecipe, handleRecipeChange } =
     useRecipeSelection(craftableRecipes);
@@ -37,6 +40,13 @@ const RecipeManagement = () => {
     [removeRecipe]
   );
 
+  const handleGradeChange = useCallback(
+    (recipe, grade) => {
+      updateGrade(recipe.recipeId, grade);
+    },
+    [updateGrade]
+  );
+
   const handleClearList = useCallback(() => {
     clearList();
   }, [clearList]);
@@ -83,8 +93,12 @@ const RecipeManagement = () => {
     return {
       ...item.recipe,
       id: item.id,
+      recipeId: item.recipe?.id,
       name: item.recipe?.name || "Unknown Recipe",
       quantity: item.quantity || 1,
+      grade: item.grade || MATERIAL_GRADES.COMMON,
+      stale: item.stale,
+      savedName: item.savedName,
     };
   });
 
@@ -99,12 +113,14 @@ const RecipeManagement = () => {
           recipeListCount={recipeList.length}
         />
         <RecipeSelectionStats stats={stats} validation={validation} />
+        <CraftableRecipesPanel />
       </div>
       <div className="recipe-management__list">
         <ManageableRecipeList
           recipes={transformedRecipeList}
           onRemoveRecipe={handleRemoveRecipe}
           onClearList={handleClearList}
+          onGradeChange={handleGradeChange}
         />
       </div>
     </div>
@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import { useSelectedList } from "../../contexts/SelectedRecipeListContext.js";
+import { useSkillProgression } from "../../hooks/useSkillProgression";
+import { Button, Select, StatusMessage } from "../ui";
+import { PROGRESSION_STRATEGIES } from "../../services/recipe";
+import {
+  formatIdentifier,
+  formatCoins,
+  formatDuration,
+} from "../../utils/recipeUtils";
+import "./skillPlanner.css";
+
+// Extract static props outside component
+const STATIC_PROPS = {
+  planner: {
+    className: "skill-planner",
+  },
+  form: {
+    className: "skill-planner__form",
+  },
+  field: {
+    className: "skill-planner__field",
+  },
+  strategyToggle: {
+    className: "skill-planner__strategy",
+    role: "group",
+    "aria-label": "Progression strategy",
+  },
+  summary: {
+    className: "skill-planner__summary",
+  },
+  steps: {
+    className: "skill-planner__steps",
+  },
+  warning: {
+    className: "skill-planner__warning",
+  },
+  addButton: {
+    variant: "primary",
+    size: "small",
+    icon: "➕",
+    children: "Add to Selected Recipes",
+  },
+};
+
+const STRATEGY_LABELS = {
+  [PROGRESSION_STRATEGIES.CHEAPEST]: "Cheapest",
+  [PROGRESSION_STRATEGIES.FASTEST]: "Fastest",
+};
+
+/**
+ * SkillPlanner Component
+ *
+ * Plans how to level an artisan skill: given the player's current XP and a
+ * target level it suggests which recipes to craft and how many, cheapest or
+ * fastest, and adds them to the selected recipe list in one click.
+ *
+ * @component
+ */
+const SkillPlanner = () => {
+  const { addRecipes } = useSelectedList();
+  const [skill, setSkill] = useState(null);
+  const [currentXp, setCurrentXp] = useState(0);
+  const [targetLevel, setTargetLevel] = useState(null);
+  const [strategy, setStrategy] = useState(PROGRESSION_STRATEGIES.CHEAPEST);
+  const { skills, levels, plan, error } = useSkillProgression({
+    skill,
+    currentXp,
+    targetLevel,
+    strategy,
+  });
+
+  const renderPlan = () => {
+    if (error) {
+      return <StatusMessage type="error">{error}</StatusMessage>;
+    }
+
+    if (!plan) {
+      return (
+        <StatusMessage type="empty">
+          Choose a skill and a target level to plan your crafts.
+        </StatusMessage>
+      );
+    }
+
+    if (plan.xpNeeded === 0) {
+      return (
+        <StatusMessage type="empty">
+          You have already reached {plan.targetLevel}.
+        </StatusMessage>
+      );
+    }
+
+    return (
+      <>
+        <p {...STATIC_PROPS.summary}>
+          {plan.currentLevel} → {plan.targetLevel}: {plan.xpNeeded} XP needed ·{" "}
+          {formatCoins(plan.totalCost)} · ⏱️ {formatDuration(plan.totalTime)}
+          {plan.incomplete && "+"}
+        </p>
+        <ol {...STATIC_PROPS.steps}>
+          {plan.steps.map((step, index) => (
+            <li key={`${step.recipeId}-${index}`}>
+              At {step.level}: craft <strong>{step.name}</strong> ×{step.crafts}{" "}
+              for {step.xp} XP · {formatCoins(step.cost)}
+              {step.unpriced.length > 0 && "+"} · ⏱️ {formatDuration(step.time)}
+              {step.untimedCrafts > 0 && "+"}
+            </li>
+          ))}
+        </ol>
+        {plan.incomplete && (
+          <p {...STATIC_PROPS.warning}>
+            + Some materials have no price or some recipes no crafting time.
+          </p>
+        )}
+        {!plan.reachable && (
+          <p {...STATIC_PROPS.warning}>
+            {plan.error ||
+              `No recipe gives ${formatIdentifier(plan.skill)} XP at ${
+                plan.blockedAt
+              }`}
+            ; the plan stops there.
+          </p>
+        )}
+        {plan.recipeList.length > 0 && (
+          <Button
+            {...STATIC_PROPS.addButton}
+            onClick={() => addRecipes(plan.recipeList)}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div {...STATIC_PROPS.planner}>
+      <div {...STATIC_PROPS.form}>
+        <label {...STATIC_PROPS.field}>
+          Skill
+          <Select
+            options={skills}
+            value={skill}
+            onChange={setSkill}
+            getOptionLabel={formatIdentifier}
+            placeholder="Select a skill..."
+          />
+        </label>
+        <label {...STATIC_PROPS.field}>
+          Current XP
+          <input
+            type="number"
+            min="0"
+            value={currentXp}
+            onChange={(event) => setCurrentXp(event.target.value)}
+          />
+        </label>
+        <label {...STATIC_PROPS.field}>
+          Target level
+          <Select
+            options={levels.map((threshold) => threshold.level)}
+            value={targetLevel}
+            onChange={setTargetLevel}
+            placeholder="Select a level..."
+          />
+        </label>
+        <div {...STATIC_PROPS.strategyToggle}>
+          {Object.values(PROGRESSION_STRATEGIES).map((value) => (
+            <Button
+              key={value}
+              size="small"
+              variant={strategy === value ? "primary" : "outline"}
+              onClick={() => setStrategy(value)}
+            >
+              {STRATEGY_LABELS[value]}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {renderPlan()}
+    </div>
+  );
+};
+
+export default SkillPlanner;
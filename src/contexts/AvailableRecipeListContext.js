@@ -27,6 +27,7 @@
  * - availableRecipes: Array of recipes fetched from the service.
  * - isLoading: Boolean indicating if recipes are being loaded.
  * - error: Error message if loading fails.
+ * - reloadRecipes: Function to load the recipes again after the database changes (e.g. an import).
  * - recipeService: The service object used to fetch/manipulate recipes.
  * - stateManagers: Additional state management utilities or objects passed from parent.
  *
@@ -34,7 +35,13 @@
  * for sharing state and actions across many components.
  */
 
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+} from "react";
 
 /**
  * The context object for available recipes.
@@ -68,35 +75,37 @@ export const AvailableRecipeListProvider = ({
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    const loadRecipes = async () => {
-      if (!recipeService?.getAllRecipes) {
-        setIsLoading(true);
-        return;
-      }
+  // Load (or reload) the recipes from the service.
+  const loadRecipes = useCallback(async () => {
+    if (!recipeService?.getAllRecipes) {
+      setIsLoading(true);
+      return;
+    }
 
-      try {
-        setIsLoading(true);
-        setError(null);
-        const recipes = await recipeService.getAllRecipes();
-        setAvailableRecipes(Array.isArray(recipes) ? recipes : []);
-      } catch (err) {
-        console.error("Error loading recipes:", err);
-        setError(err.message);
-        setAvailableRecipes([]);
-      } finally {
-        setIsLoading(false);
-      }
-    };
+    try {
+      setIsLoading(true);
+      setError(null);
+      const recipes = await recipeService.getAllRecipes();
+      setAvailableRecipes(Array.isArray(recipes) ? recipes : []);
+    } catch (err) {
+      console.error("Error loading recipes:", err);
+      setError(err.message);
+      setAvailableRecipes([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [recipeService]);
 
+  useEffect(() => {
     loadRecipes();
-  }, [recipeService]);
+  }, [loadRecipes]);
 
   // Context value provided to consumers.
   const contextValue = {
     availableRecipes,
     isLoading,
     error,
+    reloadRecipes: loadRecipes,
     recipeService,
     stateManagers,
   };
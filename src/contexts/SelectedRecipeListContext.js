@@ -25,12 +25,34 @@
  *   // Now you can read the selected recipes and call actions to modify them.
  *
  * Provider Value:
- * - recipeList: Array of selected recipes.
+ * - recipeList: Array of selected recipes, saved to local storage; restored items that no longer
+ *   match the database carry a `stale` flag (see STALE_RECIPE_REASONS).
  * - count: Number of selected recipes.
  * - addRecipe: Function to add a recipe to the list.
+ * - addRecipes: Function to add several { recipe, quantity } items, adding to existing quantities.
  * - removeRecipe: Function to remove a recipe by ID.
  * - clearList: Function to clear all selected recipes.
  * - updateQuantity: Function to update the quantity of a selected recipe.
+ * - updateGrade: Function to set the target output grade of a selected recipe.
+ * - haveQuantities: "Have" counts on the component list by component key, saved to local storage.
+ * - setHaveQuantity: Function to set the "Have" count of a component.
+ * - clearHaveQuantities: Function to reset every "Have" count.
+ * - inventory: Owned item quantities keyed by graded item key, netted out of the breakdown, saved to local storage.
+ * - setInventoryQuantity: Function to set the owned quantity of an item at a grade.
+ * - removeInventoryItem: Function to remove an item from the inventory.
+ * - clearInventory: Function to clear the inventory.
+ * - planSettings: Per-plan breakdown settings ({ recipeChoices, variantStrategy, makeVsBuy, stopPoints }), saved to local storage.
+ * - setRecipeChoice: Function to choose which alternative recipe makes an item.
+ * - clearRecipeChoice: Function to drop the recipe choice for an item.
+ * - setVariantStrategy: Function to set the strategy for items without a choice.
+ * - setMakeVsBuy: Function to turn the make-versus-buy optimiser on or off.
+ * - addStopPoint: Function to mark an item "acquire, don't craft".
+ * - removeStopPoint: Function to craft a stopped item again.
+ * - clearStopPoints: Function to remove every stop point.
+ * - priceBook: Market prices in copper ({ prices }), saved to local storage.
+ * - setMarketPrice: Function to set the market price of an item.
+ * - removeMarketPrice: Function to drop an item's market price.
+ * - clearMarketPrices: Function to clear all market prices.
  *
  * This pattern is recommended by the React team and is widely used in modern React codebases
  * for sharing state and actions across many components.
@@ -38,6 +60,7 @@
 
 import React, { createContext, useContext } from "react";
 import { useAppReducer } from "../hooks/useAppReducer";
+import { useAvailableList } from "./AvailableRecipeListContext.js";
 
 /**
  * The context object for selected recipes.
@@ -61,9 +84,23 @@ export const useSelectedList = () => {
 /**
  * Provider component for selected recipes.
  * Wrap your app (or subtree) with this to provide selected recipe state and actions.
+ * Must sit inside AvailableRecipeListProvider, whose recipes the restored list is checked against.
  */
 export const SelectedRecipeListProvider = ({ children }) => {
-  const { state, recipeList, recipeListActions } = useAppReducer();
+  const { availableRecipes, isLoading, error } = useAvailableList();
+  const {
+    state,
+    recipeList,
+    recipeListActions,
+    haveQuantities,
+    componentListActions,
+    inventory,
+    inventoryActions,
+    planSettings,
+    planSettingsActions,
+    priceBook,
+    priceBookActions,
+  } = useAppReducer(isLoading || error ? null : availableRecipes);
 
   // Wrapper for adding a recipe, returns a result object for compatibility.
   const addRecipe = async (recipe) => {
@@ -90,9 +127,30 @@ export const SelectedRecipeListProvider = ({ children }) => {
     recipeList,
     count: state.recipeList.count,
     addRecipe,
+    addRecipes: recipeListActions.addRecipes,
     removeRecipe,
     clearList,
     updateQuantity: recipeListActions.updateQuantity,
+    updateGrade: recipeListActions.updateGrade,
+    haveQuantities,
+    setHaveQuantity: componentListActions.setHaveQuantity,
+    clearHaveQuantities: componentListActions.clearHaveQuantities,
+    inventory,
+    setInventoryQuantity: inventoryActions.setItemQuantity,
+    removeInventoryItem: inventoryActions.removeItem,
+    clearInventory: inventoryActions.clearInventory,
+    planSettings,
+    setRecipeChoice: planSettingsActions.setRecipeChoice,
+    clearRecipeChoice: planSettingsActions.clearRecipeChoice,
+    setVariantStrategy: planSettingsActions.setVariantStrategy,
+    setMakeVsBuy: planSettingsActions.setMakeVsBuy,
+    addStopPoint: planSettingsActions.addStopPoint,
+    removeStopPoint: planSettingsActions.removeStopPoint,
+    clearStopPoints: planSettingsActions.clearStopPoints,
+    priceBook,
+    setMarketPrice: priceBookActions.setPrice,
+    removeMarketPrice: priceBookActions.removePrice,
+    clearMarketPrices: priceBookActions.clearPrices,
   };
 
   return (
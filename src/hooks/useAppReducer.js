@@ -1,16 +1,96 @@
-import { useReducer, useCallback } from "react";
+import { useReducer, useCallback, useEffect } from "react";
 import {
   rootReducer,
   initialAppState,
   recipeListActions,
   componentListActions,
+  inventoryActions,
+  planSettingsActions,
+  priceBookActions,
 } from "../reducers/rootReducer";
+import {
+  loadPersistedState,
+  savePersistedState,
+} from "../utils/persistedState";
+
+/**
+ * Check whether a saved value is a plain object
+ * @param {*} value - Saved value
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Restore the saved state into the initial state
+ * Saved values are merged over the initial slice, so fields added later, or
+ * missing from an older save, keep their defaults
+ * @param {Object} initialState - Initial app state
+ * @returns {Object} Initial state with the saved slices
+ */
+export const loadSavedState = (initialState) => {
+  const saved = loadPersistedState();
+  const mergeSlice = (slice, value) =>
+    isPlainObject(value)
+      ? { ...initialState[slice], ...value }
+      : initialState[slice];
+  const recipes = Array.isArray(saved.recipeList)
+    ? saved.recipeList.filter((item) => item?.recipe?.id !== undefined)
+    : [];
+
+  return {
+    ...initialState,
+    recipeList: { ...initialState.recipeList, recipes, count: recipes.length },
+    componentList: mergeSlice(
+      "componentList",
+      isPlainObject(saved.haveQuantities)
+        ? { haveQuantities: saved.haveQuantities }
+        : null
+    ),
+    planSettings: mergeSlice("planSettings", saved.planSettings),
+    priceBook: mergeSlice("priceBook", saved.priceBook),
+    inventory: mergeSlice("inventory", saved.inventory),
+  };
+};
 
 /**
  * Custom hook that provides reducer-based state management
+ * The selected recipe list, "Have" counts, plan settings, price book and
+ * inventory are saved to local storage and restored on load (see utils/persistedState).
+ * Restored recipes are checked against the current database once it is
+ * loaded, so removed or changed recipes are flagged instead of breaking the
+ * breakdown.
+ * @param {Array|null} currentRecipes - Recipes in the database, or null
+ *   while they are loading
  */
-export const useAppReducer = () => {
-  const [state, dispatch] = useReducer(rootReducer, initialAppState);
+export const useAppReducer = (currentRecipes = null) => {
+  const [state, dispatch] = useReducer(
+    rootReducer,
+    initialAppState,
+    loadSavedState
+  );
+
+  useEffect(() => {
+    if (currentRecipes) {
+      dispatch(recipeListActions.syncRecipes(currentRecipes));
+    }
+  }, [currentRecipes]);
+
+  useEffect(() => {
+    savePersistedState({
+      recipeList: state.recipeList.recipes,
+      haveQuantities: state.componentList.haveQuantities,
+      planSettings: state.planSettings,
+      priceBook: state.priceBook,
+      inventory: state.inventory,
+    });
+  }, [
+    state.recipeList.recipes,
+    state.componentList.haveQuantities,
+    state.planSettings,
+    state.priceBook,
+    state.inventory,
+  ]);
 
   // Recipe List Actions
   const recipeListHandlers = {
@@ -19,6 +99,11 @@ export const useAppReducer = () => {
       dispatch(recipeListActions.addRecipe(recipe));
     }, []),
 
+    addRecipes: useCallback((items) => {
+      console.log("🔧 useAppReducer - Adding recipes:", items?.length);
+      dispatch(recipeListActions.addRecipes(items));
+    }, []),
+
     removeRecipe: useCallback((recipeId) => {
       console.log("🔧 useAppReducer - Removing recipe:", recipeId);
       dispatch(recipeListActions.removeRecipe(recipeId));
@@ -33,6 +118,11 @@ export const useAppReducer = () => {
       console.log("🔧 useAppReducer - Updating quantity:", recipeId, quantity);
       dispatch(recipeListActions.updateQuantity(recipeId, quantity));
     }, []),
+
+    updateGrade: useCallback((recipeId, grade) => {
+      console.log("🔧 useAppReducer - Updating grade:", recipeId, grade);
+      dispatch(recipeListActions.updateGrade(recipeId, grade));
+    }, []),
   };
 
   // Component List Actions
@@ -59,6 +149,75 @@ export const useAppReducer = () => {
     clearComponents: useCallback(() => {
       dispatch(componentListActions.clearComponents());
     }, []),
+
+    setHaveQuantity: useCallback((componentKey, quantity) => {
+      dispatch(componentListActions.setHaveQuantity(componentKey, quantity));
+    }, []),
+
+    clearHaveQuantities: useCallback(() => {
+      dispatch(componentListActions.clearHaveQuantities());
+    }, []),
+  };
+
+  // Inventory Actions
+  const inventoryHandlers = {
+    setItemQuantity: useCallback((itemKey, quantity) => {
+      dispatch(inventoryActions.setItemQuantity(itemKey, quantity));
+    }, []),
+
+    removeItem: useCallback((itemKey) => {
+      dispatch(inventoryActions.removeItem(itemKey));
+    }, []),
+
+    clearInventory: useCallback(() => {
+      dispatch(inventoryActions.clearInventory());
+    }, []),
+  };
+
+  // Plan Settings Actions
+  const planSettingsHandlers = {
+    setRecipeChoice: useCallback((itemName, recipeId) => {
+      dispatch(planSettingsActions.setRecipeChoice(itemName, recipeId));
+    }, []),
+
+    clearRecipeChoice: useCallback((itemName) => {
+      dispatch(planSettingsActions.clearRecipeChoice(itemName));
+    }, []),
+
+    setVariantStrategy: useCallback((strategy) => {
+      dispatch(planSettingsActions.setVariantStrategy(strategy));
+    }, []),
+
+    setMakeVsBuy: useCallback((enabled) => {
+      dispatch(planSettingsActions.setMakeVsBuy(enabled));
+    }, []),
+
+    addStopPoint: useCallback((itemId) => {
+      dispatch(planSettingsActions.addStopPoint(itemId));
+    }, []),
+
+    removeStopPoint: useCallback((itemId) => {
+      dispatch(planSettingsActions.removeStopPoint(itemId));
+    }, []),
+
+    clearStopPoints: useCallback(() => {
+      dispatch(planSettingsActions.clearStopPoints());
+    }, []),
+  };
+
+  // Price Book Actions
+  const priceBookHandlers = {
+    setPrice: useCallback((itemId, price) => {
+      dispatch(priceBookActions.setPrice(itemId, price));
+    }, []),
+
+    removePrice: useCallback((itemId) => {
+      dispatch(priceBookActions.removePrice(itemId));
+    }, []),
+
+    clearPrices: useCallback(() => {
+      dispatch(priceBookActions.clearPrices());
+    }, []),
   };
 
   return {
@@ -66,10 +225,17 @@ export const useAppReducer = () => {
     state,
     recipeList: state.recipeList.recipes,
     components: state.componentList.components,
+    haveQuantities: state.componentList.haveQuantities,
+    inventory: state.inventory.items,
+    planSettings: state.planSettings,
+    priceBook: state.priceBook,
 
     // Actions
     recipeListActions: recipeListHandlers,
     componentListActions: componentListHandlers,
+    inventoryActions: inventoryHandlers,
+    planSettingsActions: planSettingsHandlers,
+    priceBookActions: priceBookHandlers,
 
     // Raw dispatch for custom actions
     dispatch,
@@ -0,0 +1,64 @@
+import { loadSavedState } from "./useAppReducer.js";
+import {
+  rootReducer,
+  initialAppState,
+  componentListActions,
+} from "../reducers/rootReducer";
+import { PERSISTED_STATE_KEY } from "../utils/persistedState";
+
+/**
+ * Save a versioned state the way savePersistedState does
+ * @param {Object} state - Saved slices
+ */
+const saveState = (state) =>
+  window.localStorage.setItem(
+    PERSISTED_STATE_KEY,
+    JSON.stringify({ version: 1, savedAt: "2026-01-01T00:00:00Z", state })
+  );
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("loadSavedState", () => {
+  test("starts from the initial state with empty storage", () => {
+    const state = loadSavedState(initialAppState);
+
+    expect(state.componentList.haveQuantities).toEqual({});
+    expect(state.inventory.items).toEqual({});
+    expect(state.recipeList.recipes).toEqual([]);
+  });
+
+  test("keeps the default Have counts when the save has none", () => {
+    saveState({ recipeList: [], planSettings: { makeVsBuy: true } });
+    const state = loadSavedState(initialAppState);
+
+    expect(state.componentList.haveQuantities).toEqual({});
+    expect(state.planSettings.makeVsBuy).toBe(true);
+
+    const next = rootReducer(
+      state,
+      componentListActions.setHaveQuantity("2400", 3)
+    );
+    expect(next.componentList.haveQuantities).toEqual({ 2400: 3 });
+  });
+
+  test("ignores saved Have counts that are not an object", () => {
+    saveState({ haveQuantities: [1, 2] });
+
+    expect(loadSavedState(initialAppState).componentList.haveQuantities).toEqual(
+      {}
+    );
+  });
+
+  test("restores saved Have counts and inventory", () => {
+    saveState({
+      haveQuantities: { "2400:rare": 2 },
+      inventory: { items: { 1000: 5 } },
+    });
+    const state = loadSavedState(initialAppState);
+
+    expect(state.componentList.haveQuantities).toEqual({ "2400:rare": 2 });
+    expect(state.inventory.items).toEqual({ 1000: 5 });
+  });
+});
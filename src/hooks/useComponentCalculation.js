@@ -1,37 +1,168 @@
 import { useState, useEffect } from "react";
-import { processRecipeListToRawComponents } from "../services/recipe";
+import {
+  loadRecipeGraph,
+  processRecipeListToCraftingTreesSync,
+  consolidateCraftingTrees,
+  collectRecipeVariants,
+  collectCircularDependencies,
+  buildCraftingPlan,
+  groupCraftingPlanByWorkstation,
+  summarizePlanRequirements,
+  groupComponentsByGathering,
+  calculatePlanCost,
+  priceComponents,
+  optimizeMakeVsBuy,
+  findComponentReferenceIssues,
+  PLAN_STEP_TYPES,
+} from "../services/recipe";
 import { useSelectedList } from "../contexts/SelectedRecipeListContext";
+import { STALE_RECIPE_REASONS } from "../reducers/recipeListReducer";
+
+const EMPTY_PLAN = buildCraftingPlan([]);
+const EMPTY_RESULT = {
+  components: [],
+  recipeVariants: [],
+  craftingPlan: EMPTY_PLAN,
+  workstationPlan: groupCraftingPlanByWorkstation(EMPTY_PLAN),
+  requirements: summarizePlanRequirements([]),
+  gatheringPlan: [],
+  cost: { ...calculatePlanCost([]), materials: [], intermediates: [] },
+  makeVsBuy: null,
+  stopPointItems: [],
+  circularDependencies: [],
+  referenceIssues: [],
+};
 
 /**
  * Custom hook for calculating consolidated components from selected recipe list in context
+ * Owned inventory and the plan's recipe choices from context are applied
+ * before recipes are expanded. Restored recipes that are no longer in the
+ * database are left out.
  *
  * Encapsulates component calculation logic with proper error handling.
  * Uses direct import instead of dependency injection for better maintainability.
  *
- * @returns {Array} Consolidated components
+ * @returns {Object} { components, recipeVariants, craftingPlan, workstationPlan, requirements, gatheringPlan, cost, makeVsBuy, stopPointItems, circularDependencies, referenceIssues }
+ *   consolidated raw components, the items with alternative recipes showing
+ *   the variant used, the step-by-step build order, the same order grouped
+ *   into workstation visits, the skill levels the plan requires, the raw
+ *   components grouped by gathering skill, the material cost roll-up and,
+ *   when make-versus-buy is on, the decisions and savings behind the plan,
+ *   the intermediates that can be marked "acquire, don't craft", the
+ *   circular dependencies the breakdown stopped at (missing from the totals)
+ *   and the plan's component references whose ID and name disagree
  */
 export const useComponentCalculation = () => {
-  const { recipeList } = useSelectedList();
-  const [consolidatedComponents, setConsolidatedComponents] = useState([]);
+  const {
+    recipeList: selectedList,
+    inventory,
+    planSettings,
+    priceBook,
+  } = useSelectedList();
+  const [result, setResult] = useState(EMPTY_RESULT);
 
   useEffect(() => {
+    const recipeList = selectedList?.filter(
+      (item) => item.stale !== STALE_RECIPE_REASONS.REMOVED
+    );
+
     const processComponents = async () => {
       // Early return for empty or invalid recipe list
       if (!recipeList || recipeList.length === 0) {
-        setConsolidatedComponents([]);
+        setResult(EMPTY_RESULT);
         return;
       }
 
       try {
-        const consolidated = await processRecipeListToRawComponents(recipeList);
-        setConsolidatedComponents(consolidated);
+        const graph = await loadRecipeGraph();
+        const breakdownOptions = {
+          inventory,
+          recipeChoices: planSettings.recipeChoices,
+          variantStrategy: planSettings.variantStrategy,
+          stopAt: planSettings.stopPoints,
+        };
+        const makeVsBuy = planSettings.makeVsBuy
+          ? optimizeMakeVsBuy(graph, recipeList, {
+              ...breakdownOptions,
+              prices: priceBook.prices,
+            })
+          : null;
+        const trees = makeVsBuy
+          ? makeVsBuy.trees
+          : processRecipeListToCraftingTreesSync(
+              graph,
+              recipeList,
+              breakdownOptions
+            );
+        const components = consolidateCraftingTrees(trees);
+        const craftingPlan = buildCraftingPlan(trees);
+
+        // Recipes crafted anywhere in the plan
+        const craftedIds = new Set(
+          craftingPlan.steps
+            .filter((step) => step.type === PLAN_STEP_TYPES.CRAFT)
+            .map((step) => String(step.id))
+        );
+
+        // Intermediates crafted for the selected recipes can be priced too
+        const selectedIds = new Set(trees.map((tree) => tree.id));
+        const intermediates = craftingPlan.steps.filter(
+          (step) =>
+            step.type === PLAN_STEP_TYPES.CRAFT && !selectedIds.has(step.id)
+        );
+
+        // Intermediates the player can mark "acquire, don't craft", and back;
+        // an item needed at several grades is one entry
+        const stopPoints = new Set(planSettings.stopPoints);
+        const stopPointsById = new Map();
+        for (const item of [
+          ...intermediates.map((step) => ({ ...step, isStopPoint: false })),
+          ...components
+            .filter((component) => stopPoints.has(String(component.id)))
+            .map((component) => ({ ...component, isStopPoint: true })),
+        ]) {
+          const entry = stopPointsById.get(item.id);
+          if (entry) {
+            entry.quantity += item.quantity;
+          } else {
+            const { id, name, quantity, isStopPoint } = item;
+            stopPointsById.set(id, { id, name, quantity, isStopPoint });
+          }
+        }
+        const stopPointItems = [...stopPointsById.values()].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        );
+
+        setResult({
+          components,
+          recipeVariants: collectRecipeVariants(trees),
+          craftingPlan,
+          workstationPlan: groupCraftingPlanByWorkstation(craftingPlan),
+          requirements: summarizePlanRequirements(trees, graph),
+          gatheringPlan: groupComponentsByGathering(components),
+          cost: {
+            ...calculatePlanCost(trees, graph, priceBook.prices),
+            materials: priceComponents(components, graph, priceBook.prices),
+            intermediates: priceComponents(
+              intermediates,
+              graph,
+              priceBook.prices
+            ),
+          },
+          makeVsBuy,
+          stopPointItems,
+          circularDependencies: collectCircularDependencies(trees),
+          referenceIssues: findComponentReferenceIssues(graph).filter((issue) =>
+            craftedIds.has(String(issue.recipeId))
+          ),
+        });
       } catch (err) {
-        setConsolidatedComponents([]);
+        setResult(EMPTY_RESULT);
       }
     };
 
     processComponents();
-  }, [recipeList]);
+  }, [selectedList, inventory, planSettings, priceBook]);
 
-  return consolidatedComponents;
+  return result;
 };
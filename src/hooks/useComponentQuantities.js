@@ -1,30 +1,31 @@
-import { useState, useCallback, useMemo } from "react";
+import { useCallback, useMemo } from "react";
+import { getGradedItemKey } from "../services/recipe";
+import { useSelectedList } from "../contexts/SelectedRecipeListContext";
 
 /**
  * Custom hook for managing component quantities state
  *
  * Encapsulates all quantity management logic with immutable updates.
  * Follows single responsibility principle by handling only quantity state.
+ * Quantities are keyed by component ID and grade (see getGradedItemKey) and
+ * kept in the app state, so they are saved with the plan and survive a reload.
  *
  * @param {Array} components - Array of components
  * @param {Function} onQuantityChange - External quantity change handler
  * @returns {Object} Quantity state and handlers
  */
 export const useComponentQuantities = (components = [], onQuantityChange) => {
-  const [componentQuantities, setComponentQuantities] = useState({});
+  const { haveQuantities: componentQuantities, setHaveQuantity } =
+    useSelectedList();
 
-  // Pure function for quantity updates with immutability
   const updateQuantity = useCallback(
-    (componentId, componentName, newQuantity) => {
-      setComponentQuantities((prev) => ({
-        ...prev,
-        [componentId]: newQuantity,
-      }));
+    (componentKey, componentName, newQuantity) => {
+      setHaveQuantity(componentKey, newQuantity);
 
       // Notify external handler if provided
-      onQuantityChange?.(componentId, componentName, newQuantity);
+      onQuantityChange?.(componentKey, componentName, newQuantity);
     },
-    [onQuantityChange]
+    [setHaveQuantity, onQuantityChange]
   );
 
   // Memoized calculations to prevent unnecessary recalculations
@@ -32,7 +33,8 @@ export const useComponentQuantities = (components = [], onQuantityChange) => {
     const totalComponents = components.length;
     const completedComponents = components.filter(
       (component) =>
-        (componentQuantities[component.id] || 0) >= component.quantity
+        (componentQuantities[getGradedItemKey(component)] || 0) >=
+        component.quantity
     ).length;
 
     const totalQuantityNeeded = components.reduce(
@@ -41,7 +43,8 @@ export const useComponentQuantities = (components = [], onQuantityChange) => {
     );
 
     const totalQuantityHave = components.reduce(
-      (sum, component) => sum + (componentQuantities[component.id] || 0),
+      (sum, component) =>
+        sum + (componentQuantities[getGradedItemKey(component)] || 0),
       0
     );
 
@@ -60,7 +63,8 @@ export const useComponentQuantities = (components = [], onQuantityChange) => {
   // Pure function to get component status
   const getComponentStatus = useCallback(
     (component) => {
-      const currentQuantity = componentQuantities[component.id] || 0;
+      const currentQuantity =
+        componentQuantities[getGradedItemKey(component)] || 0;
       const isComplete = currentQuantity >= component.quantity;
       const shortage = Math.max(0, component.quantity - currentQuantity);
 
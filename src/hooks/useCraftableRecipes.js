@@ -0,0 +1,55 @@
+import { useState, useEffect } from "react";
+import { findCraftableRecipes } from "../services/recipe";
+import { useSelectedList } from "../contexts/SelectedRecipeListContext";
+
+const EMPTY_RESULT = { craftable: [], nearMisses: [] };
+
+/**
+ * Custom hook for the "what can I craft" calculator
+ *
+ * Recalculates, whenever the inventory or the plan's recipe choices change,
+ * which recipes the owned items can craft and which are a few materials short.
+ *
+ * @param {number} [maxMissing=2] - Most distinct missing materials for a near miss
+ * @returns {Object} { craftable, nearMisses, isLoading, error }
+ */
+export const useCraftableRecipes = (maxMissing = 2) => {
+  const { inventory, planSettings } = useSelectedList();
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const findRecipes = async () => {
+      setIsLoading(true);
+      try {
+        const found = await findCraftableRecipes(inventory, {
+          maxMissing,
+          recipeChoices: planSettings.recipeChoices,
+          variantStrategy: planSettings.variantStrategy,
+        });
+        if (!cancelled) {
+          setResult(found);
+          setError(null);
+        }
+      } catch (err) {
+        console.error("❌ Error finding craftable recipes:", err);
+        if (!cancelled) {
+          setResult(EMPTY_RESULT);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    findRecipes();
+    return () => {
+      cancelled = true;
+    };
+  }, [inventory, planSettings, maxMissing]);
+
+  return { ...result, isLoading, error };
+};
@@ -0,0 +1,63 @@
+import { useMemo } from "react";
+import { MATERIAL_GRADE_ORDER, parseGradedItemKey } from "../services/recipe";
+import { sortByName } from "../services/recipe/processing/sorting.js";
+
+/**
+ * Custom hook for inventory item options and owned item rows
+ *
+ * Joins the inventory quantities (keyed by graded item key) with the recipe
+ * database so the inventory panel can show names and offer every raw or
+ * crafted item. An item can be owned at several grades, so every item stays
+ * on offer and each owned grade gets its own row.
+ *
+ * @param {Array} availableItems - All database entries (raw components and recipes)
+ * @param {Object} inventory - Owned quantities keyed by graded item key
+ * @returns {Object} Item options for selection and owned item rows
+ */
+export const useInventoryItems = (availableItems = [], inventory = {}) => {
+  // Memoized lookup of database entries by ID
+  const itemsById = useMemo(
+    () =>
+      availableItems.reduce((lookup, item) => {
+        lookup[item.id] = item;
+        return lookup;
+      }, {}),
+    [availableItems]
+  );
+
+  // Every item stays on offer; the grade is picked alongside it
+  const itemOptions = useMemo(
+    () => sortByName(availableItems, "asc"),
+    [availableItems]
+  );
+
+  // Owned items with display data, one row per grade
+  const ownedItems = useMemo(
+    () =>
+      Object.entries(inventory)
+        .map(([itemKey, quantity]) => {
+          const { id: itemId, grade } = parseGradedItemKey(itemKey);
+          const item = itemsById[itemId];
+          return {
+            key: itemKey,
+            id: item ? item.id : itemId,
+            name: item?.name || `Unknown item ${itemId}`,
+            type: item?.type,
+            grade,
+            quantity,
+          };
+        })
+        .sort(
+          (a, b) =>
+            a.name.localeCompare(b.name) ||
+            MATERIAL_GRADE_ORDER.indexOf(a.grade) -
+              MATERIAL_GRADE_ORDER.indexOf(b.grade)
+        ),
+    [inventory, itemsById]
+  );
+
+  return {
+    itemOptions,
+    ownedItems,
+  };
+};
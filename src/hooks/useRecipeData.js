@@ -4,6 +4,8 @@ import { createRecipeServiceFunctions } from "../services/recipe/recipeService.j
 /**
  * Hook to load and manage recipe data
  * Initializes recipe service and provides functions for recipe operations
+ * The recipe storage is chosen with REACT_APP_RECIPE_STORAGE (see
+ * STORAGE_ADAPTERS) and, for HTTP storage, REACT_APP_RECIPE_API_URL.
  */
 export const useRecipeData = () => {
   const [recipeServiceFunctions, setRecipeServiceFunctions] = useState(null);
@@ -26,7 +28,10 @@ export const useRecipeData = () => {
         console.log("🔧 Initializing recipe service...");
 
         // Initialize the service (loads data)
-        const result = await serviceFunctions.initialize();
+        const result = await serviceFunctions.initialize({
+          storage: process.env.REACT_APP_RECIPE_STORAGE,
+          baseUrl: process.env.REACT_APP_RECIPE_API_URL,
+        });
 
         if (result.success) {
           console.log("✅ Recipe service initialized successfully");
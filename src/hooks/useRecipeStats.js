@@ -1,6 +1,7 @@
 import { useMemo } from "react";
 import { useAvailableList } from "../contexts/AvailableRecipeListContext";
 import { useSelectedList } from "../contexts/SelectedRecipeListContext";
+import { normalizeRecipeName } from "../services/recipe/core/recipeGraph.js";
 
 /**
  * Hook for calculating recipe statistics
@@ -15,14 +16,23 @@ export const useRecipeStats = () => {
 
   return useMemo(() => {
     // Filter craftable recipes (same logic as RecipeManagement)
+    // Alternative recipes share an item name; list the item once, the variant
+    // used is chosen per plan in the component list
+    const seenNames = new Set();
     const craftableRecipes =
       availableRecipes?.filter((recipe) => {
-        return (
+        const isCraftable =
           recipe.recipe &&
           (recipe.recipe.artisanSkill ||
             recipe.recipe.workStation ||
-            recipe.recipe.components)
-        );
+            recipe.recipe.components);
+        const nameKey = normalizeRecipeName(recipe.name);
+        if (!isCraftable || seenNames.has(nameKey)) {
+          return false;
+        }
+
+        seenNames.add(nameKey);
+        return true;
       }) || [];
 
     const totalRecipes = craftableRecipes.length;
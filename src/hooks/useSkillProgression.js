@@ -0,0 +1,86 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  loadRecipeGraph,
+  queries,
+  getSkillLevelThresholds,
+  planSkillProgression,
+} from "../services/recipe";
+import { useSelectedList } from "../contexts/SelectedRecipeListContext";
+
+/**
+ * Custom hook for the artisan skill progression planner
+ *
+ * Loads the recipe graph and the artisan level XP thresholds once, then plans
+ * the crafts for the requested skill and target level with the plan's market
+ * prices, recipe choices and stop points.
+ *
+ * @param {Object} request - {skill, currentXp, targetLevel, strategy}
+ * @returns {Object} { skills, levels, plan, error }
+ *   artisan skills with XP data, levels with an XP threshold, the progression
+ *   plan (null until a skill and target level are chosen) and any error
+ */
+export const useSkillProgression = ({
+  skill,
+  currentXp,
+  targetLevel,
+  strategy,
+}) => {
+  const { planSettings, priceBook } = useSelectedList();
+  const [data, setData] = useState({ graph: null, levels: [] });
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [graph, artisanLevels] = await Promise.all([
+          loadRecipeGraph(),
+          queries.getArtisanSkills(),
+        ]);
+        setData({ graph, levels: getSkillLevelThresholds(artisanLevels) });
+      } catch (err) {
+        setData({ graph: null, levels: [] });
+      }
+    };
+
+    loadData();
+  }, []);
+
+  // Skills with at least one recipe that gives XP
+  const skills = useMemo(() => {
+    if (!data.graph) return [];
+
+    const found = new Set();
+    for (const entry of data.graph.byId.values()) {
+      if (entry.recipe?.artisanSkill && entry.recipe.artisanXp > 0) {
+        found.add(entry.recipe.artisanSkill);
+      }
+    }
+    return [...found].sort();
+  }, [data.graph]);
+
+  const { plan, error } = useMemo(() => {
+    if (!data.graph || !skill || !targetLevel) {
+      return { plan: null, error: null };
+    }
+
+    try {
+      return {
+        plan: planSkillProgression(data.graph, {
+          skill,
+          currentXp: Math.max(0, Number(currentXp) || 0),
+          targetLevel,
+          thresholds: data.levels,
+          strategy,
+          prices: priceBook.prices,
+          recipeChoices: planSettings.recipeChoices,
+          variantStrategy: planSettings.variantStrategy,
+          stopAt: planSettings.stopPoints,
+        }),
+        error: null,
+      };
+    } catch (err) {
+      return { plan: null, error: err.message };
+    }
+  }, [data, skill, currentXp, targetLevel, strategy, planSettings, priceBook]);
+
+  return { skills, levels: data.levels, plan, error };
+};
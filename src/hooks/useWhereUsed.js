@@ -0,0 +1,40 @@
+import { useState, useEffect } from "react";
+import { queries } from "../services/recipe";
+
+/**
+ * Custom hook for the "where used" tree of an item
+ *
+ * Loads the recursive where-used tree whenever the item name changes.
+ *
+ * @param {string|null} itemName - Item to trace (null clears the tree)
+ * @returns {Object} { tree, isLoading } where tree is null until loaded
+ */
+export const useWhereUsed = (itemName) => {
+  const [tree, setTree] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!itemName) {
+      setTree(null);
+      return undefined;
+    }
+
+    const loadTree = async () => {
+      setIsLoading(true);
+      const found = await queries.getWhereUsedTree(itemName);
+      if (!cancelled) {
+        setTree(found);
+        setIsLoading(false);
+      }
+    };
+
+    loadTree();
+    return () => {
+      cancelled = true;
+    };
+  }, [itemName]);
+
+  return { tree, isLoading };
+};
@@ -4,6 +4,9 @@
  * This reducer manages the state for a list of components required for crafting.
  * It supports adding, removing, updating, and clearing components.
  *
+ * It also keeps the "Have" counts entered against the list, keyed by
+ * component ID and grade (see getGradedItemKey), so they survive a reload.
+ *
  * Each component should have at least:
  *   - id: unique identifier (string or number)
  *   - name: display name (string)
@@ -37,12 +40,15 @@ export const COMPONENT_LIST_ACTIONS = {
   ADD_COMPONENT: "ADD_COMPONENT", // Add a new component
   REMOVE_COMPONENT: "REMOVE_COMPONENT", // Remove a component by id
   CLEAR_COMPONENTS: "CLEAR_COMPONENTS", // Remove all components
+  SET_HAVE_QUANTITY: "SET_HAVE_QUANTITY", // Set the "Have" count for one component
+  CLEAR_HAVE_QUANTITIES: "CLEAR_HAVE_QUANTITIES", // Reset all "Have" counts
 };
 
 // Initial State
 export const initialComponentListState = {
   components: [], // Array of component objects
   isCalculating: false, // Optional: can be used for loading state
+  haveQuantities: {}, // { [componentKey]: quantity } entered as "Have"
 };
 
 // Action Creators
@@ -105,6 +111,29 @@ export const componentListActions = {
   clearComponents: () => ({
     type: COMPONENT_LIST_ACTIONS.CLEAR_COMPONENTS,
   }),
+
+  /**
+   * Set the "Have" count of a component.
+   * @param {string} componentKey - Component ID and grade (see getGradedItemKey)
+   * @param {number} quantity - Quantity the player has
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(componentListActions.setHaveQuantity("1000:uncommon", 12))
+   */
+  setHaveQuantity: (componentKey, quantity) => ({
+    type: COMPONENT_LIST_ACTIONS.SET_HAVE_QUANTITY,
+    payload: { componentKey, quantity },
+  }),
+
+  /**
+   * Reset every "Have" count.
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(componentListActions.clearHaveQuantities())
+   */
+  clearHaveQuantities: () => ({
+    type: COMPONENT_LIST_ACTIONS.CLEAR_HAVE_QUANTITIES,
+  }),
 };
 
 /**
@@ -180,6 +209,27 @@ export const componentListReducer = (
       };
     }
 
+    case COMPONENT_LIST_ACTIONS.SET_HAVE_QUANTITY: {
+      // Set the "Have" count for one component
+      const { componentKey, quantity } = action.payload;
+
+      return {
+        ...state,
+        haveQuantities: {
+          ...state.haveQuantities,
+          [componentKey]: Math.max(0, quantity),
+        },
+      };
+    }
+
+    case COMPONENT_LIST_ACTIONS.CLEAR_HAVE_QUANTITIES: {
+      // Reset all "Have" counts
+      return {
+        ...state,
+        haveQuantities: {},
+      };
+    }
+
     default:
       return state;
   }
@@ -0,0 +1,118 @@
+/**
+ * Inventory Reducer - Owned items fed into the component breakdown
+ *
+ * This reducer manages the quantities of items the player already owns.
+ * Unlike the "Have" counts on the final component list, inventory covers raw
+ * and intermediate items and is subtracted before recipes are expanded, so
+ * owning Copper Fragments lowers the Copper Ore requirement.
+ *
+ * State shape:
+ *   - items: { [itemKey]: quantity } keyed by graded item key: the database
+ *     item ID for common grade, "id:grade" above it (see getGradedItemKey)
+ *
+ * Example usage:
+ *   dispatch(inventoryActions.setItemQuantity(2400, 10))
+ *   dispatch(inventoryActions.setItemQuantity("2400:rare", 3))
+ *   dispatch(inventoryActions.removeItem(2400))
+ *   dispatch(inventoryActions.clearInventory())
+ *
+ * NOTE:
+ * This file only exports reducer and action creators.
+ * The `dispatch` function comes from React's useReducer (see useAppReducer).
+ */
+
+// Action Types
+export const INVENTORY_ACTIONS = {
+  SET_ITEM_QUANTITY: "SET_INVENTORY_ITEM_QUANTITY", // Set owned quantity for one item
+  REMOVE_ITEM: "REMOVE_INVENTORY_ITEM", // Remove an item by graded key
+  CLEAR_INVENTORY: "CLEAR_INVENTORY", // Remove all items
+};
+
+// Initial State
+export const initialInventoryState = {
+  items: {}, // { [itemKey]: quantity }
+};
+
+/**
+ * Action creators for inventory reducer
+ */
+export const inventoryActions = {
+  /**
+   * Set the owned quantity of an item at a grade.
+   * @param {string|number} itemKey - Graded item key (see getGradedItemKey)
+   * @param {number} quantity - Owned quantity
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(inventoryActions.setItemQuantity(2400, 10))
+   */
+  setItemQuantity: (itemKey, quantity) => ({
+    type: INVENTORY_ACTIONS.SET_ITEM_QUANTITY,
+    payload: { itemKey, quantity },
+  }),
+
+  /**
+   * Remove an item at a grade from the inventory.
+   * @param {string|number} itemKey - Graded item key (see getGradedItemKey)
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(inventoryActions.removeItem(2400))
+   */
+  removeItem: (itemKey) => ({
+    type: INVENTORY_ACTIONS.REMOVE_ITEM,
+    payload: itemKey,
+  }),
+
+  /**
+   * Clear all items from the inventory.
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(inventoryActions.clearInventory())
+   */
+  clearInventory: () => ({
+    type: INVENTORY_ACTIONS.CLEAR_INVENTORY,
+  }),
+};
+
+/**
+ * Pure reducer for inventory state management.
+ *
+ * @param {Object} state - Current state
+ * @param {Object} action - Redux action
+ * @returns {Object} New state
+ */
+export const inventoryReducer = (state = initialInventoryState, action) => {
+  switch (action.type) {
+    case INVENTORY_ACTIONS.SET_ITEM_QUANTITY: {
+      const { itemKey, quantity } = action.payload;
+      console.log("🎒 Setting inventory quantity:", itemKey, quantity);
+
+      return {
+        ...state,
+        items: {
+          ...state.items,
+          [itemKey]: Math.max(0, quantity),
+        },
+      };
+    }
+
+    case INVENTORY_ACTIONS.REMOVE_ITEM: {
+      const { [action.payload]: _removed, ...remainingItems } = state.items;
+
+      return {
+        ...state,
+        items: remainingItems,
+      };
+    }
+
+    case INVENTORY_ACTIONS.CLEAR_INVENTORY: {
+      console.log("🧹 Clearing inventory");
+      return {
+        ...state,
+        items: {},
+      };
+    }
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,231 @@
+import { VARIANT_STRATEGIES } from "../services/recipe/constants.js";
+import { normalizeRecipeName } from "../services/recipe/core/recipeGraph.js";
+
+/**
+ * Plan Settings Reducer - Per-plan choices fed into the component breakdown
+ *
+ * This reducer manages how the current plan is broken down, starting with
+ * which recipe to use for items that have several alternative recipes.
+ * An explicit choice for an item wins; items without one follow the
+ * variant strategy (first listed recipe, or cheapest in raw materials).
+ * With make-versus-buy on, intermediates that are cheaper on the market than
+ * to craft are bought instead (see optimizeMakeVsBuy). Stop points mark
+ * items the player will acquire rather than craft, so they are not expanded.
+ *
+ * State shape:
+ *   - recipeChoices: { [normalised item name]: recipeId }, keyed with
+ *     normalizeRecipeName so they match the breakdown's lookups
+ *   - variantStrategy: VARIANT_STRATEGIES value
+ *   - makeVsBuy: whether to buy intermediates when the market is cheaper
+ *   - stopPoints: [itemId] items to acquire instead of craft (IDs as strings)
+ *
+ * Example usage:
+ *   dispatch(planSettingsActions.setRecipeChoice("Copper Fragments", 2401))
+ *   dispatch(planSettingsActions.clearRecipeChoice("Copper Fragments"))
+ *   dispatch(planSettingsActions.setVariantStrategy("cheapest"))
+ *   dispatch(planSettingsActions.setMakeVsBuy(true))
+ *   dispatch(planSettingsActions.addStopPoint(2400))
+ *   dispatch(planSettingsActions.removeStopPoint(2400))
+ *
+ * NOTE:
+ * This file only exports reducer and action creators.
+ * The `dispatch` function comes from React's useReducer (see useAppReducer).
+ */
+
+// Action Types
+export const PLAN_SETTINGS_ACTIONS = {
+  SET_RECIPE_CHOICE: "SET_RECIPE_CHOICE", // Use a specific recipe for an item
+  CLEAR_RECIPE_CHOICE: "CLEAR_RECIPE_CHOICE", // Fall back to the strategy for an item
+  SET_VARIANT_STRATEGY: "SET_VARIANT_STRATEGY", // Strategy for items without a choice
+  SET_MAKE_VS_BUY: "SET_MAKE_VS_BUY", // Turn the make-versus-buy optimiser on or off
+  ADD_STOP_POINT: "ADD_STOP_POINT", // Acquire an item instead of crafting it
+  REMOVE_STOP_POINT: "REMOVE_STOP_POINT", // Craft an item again
+  CLEAR_STOP_POINTS: "CLEAR_STOP_POINTS", // Craft every item again
+};
+
+// Initial State
+export const initialPlanSettingsState = {
+  recipeChoices: {}, // { [normalised item name]: recipeId }
+  variantStrategy: VARIANT_STRATEGIES.DEFAULT,
+  makeVsBuy: false,
+  stopPoints: [], // [itemId]
+};
+
+/**
+ * Action creators for plan settings reducer
+ */
+export const planSettingsActions = {
+  /**
+   * Choose which recipe makes an item in this plan.
+   * @param {string} itemName - Name of the item with alternative recipes
+   * @param {string|number} recipeId - ID of the recipe to use
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.setRecipeChoice("Copper Fragments", 2401))
+   */
+  setRecipeChoice: (itemName, recipeId) => ({
+    type: PLAN_SETTINGS_ACTIONS.SET_RECIPE_CHOICE,
+    payload: { itemName, recipeId },
+  }),
+
+  /**
+   * Remove the recipe choice for an item.
+   * @param {string} itemName - Name of the item
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.clearRecipeChoice("Copper Fragments"))
+   */
+  clearRecipeChoice: (itemName) => ({
+    type: PLAN_SETTINGS_ACTIONS.CLEAR_RECIPE_CHOICE,
+    payload: itemName,
+  }),
+
+  /**
+   * Set the strategy used for items without a recipe choice.
+   * @param {string} strategy - VARIANT_STRATEGIES value
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.setVariantStrategy("cheapest"))
+   */
+  setVariantStrategy: (strategy) => ({
+    type: PLAN_SETTINGS_ACTIONS.SET_VARIANT_STRATEGY,
+    payload: strategy,
+  }),
+
+  /**
+   * Turn the make-versus-buy optimiser on or off.
+   * @param {boolean} enabled - Whether to buy intermediates when cheaper
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.setMakeVsBuy(true))
+   */
+  setMakeVsBuy: (enabled) => ({
+    type: PLAN_SETTINGS_ACTIONS.SET_MAKE_VS_BUY,
+    payload: enabled,
+  }),
+
+  /**
+   * Mark an item as "acquire, don't craft" so the breakdown stops at it.
+   * @param {string|number} itemId - Database ID of the craftable item
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.addStopPoint(2400))
+   */
+  addStopPoint: (itemId) => ({
+    type: PLAN_SETTINGS_ACTIONS.ADD_STOP_POINT,
+    payload: itemId,
+  }),
+
+  /**
+   * Remove a stop point so the item is crafted again.
+   * @param {string|number} itemId - Database ID of the item
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.removeStopPoint(2400))
+   */
+  removeStopPoint: (itemId) => ({
+    type: PLAN_SETTINGS_ACTIONS.REMOVE_STOP_POINT,
+    payload: itemId,
+  }),
+
+  /**
+   * Remove every stop point.
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(planSettingsActions.clearStopPoints())
+   */
+  clearStopPoints: () => ({
+    type: PLAN_SETTINGS_ACTIONS.CLEAR_STOP_POINTS,
+  }),
+};
+
+/**
+ * Pure reducer for plan settings state management.
+ *
+ * @param {Object} state - Current state
+ * @param {Object} action - Redux action
+ * @returns {Object} New state
+ */
+export const planSettingsReducer = (
+  state = initialPlanSettingsState,
+  action
+) => {
+  switch (action.type) {
+    case PLAN_SETTINGS_ACTIONS.SET_RECIPE_CHOICE: {
+      const { itemName, recipeId } = action.payload;
+      console.log("🔀 Choosing recipe for item:", itemName, recipeId);
+
+      return {
+        ...state,
+        recipeChoices: {
+          ...state.recipeChoices,
+          [normalizeRecipeName(itemName)]: recipeId,
+        },
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.CLEAR_RECIPE_CHOICE: {
+      const {
+        [normalizeRecipeName(action.payload)]: _removed,
+        ...remainingChoices
+      } = state.recipeChoices;
+
+      return {
+        ...state,
+        recipeChoices: remainingChoices,
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.SET_VARIANT_STRATEGY: {
+      if (!Object.values(VARIANT_STRATEGIES).includes(action.payload)) {
+        console.warn("Unknown variant strategy:", action.payload);
+        return state;
+      }
+
+      return {
+        ...state,
+        variantStrategy: action.payload,
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.SET_MAKE_VS_BUY: {
+      console.log("💱 Make-versus-buy:", action.payload ? "on" : "off");
+      return {
+        ...state,
+        makeVsBuy: Boolean(action.payload),
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.ADD_STOP_POINT: {
+      const itemId = String(action.payload);
+      if (state.stopPoints.includes(itemId)) {
+        return state;
+      }
+      console.log("🛑 Acquiring instead of crafting:", itemId);
+
+      return {
+        ...state,
+        stopPoints: [...state.stopPoints, itemId],
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.REMOVE_STOP_POINT: {
+      const itemId = String(action.payload);
+
+      return {
+        ...state,
+        stopPoints: state.stopPoints.filter((id) => id !== itemId),
+      };
+    }
+
+    case PLAN_SETTINGS_ACTIONS.CLEAR_STOP_POINTS: {
+      return {
+        ...state,
+        stopPoints: [],
+      };
+    }
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Price Book Reducer - Market prices entered by the player
+ *
+ * This reducer manages the prices the player has seen on the market, in
+ * copper per unit. Vendor prices come from the recipe database
+ * (`vendorPrice` on raw components); a market price entered here for the
+ * same item takes precedence in the cost roll-up.
+ *
+ * State shape:
+ *   - prices: { [itemId]: copper } keyed by database item ID
+ *
+ * Example usage:
+ *   dispatch(priceBookActions.setPrice(1000, 35))
+ *   dispatch(priceBookActions.removePrice(1000))
+ *   dispatch(priceBookActions.clearPrices())
+ *
+ * NOTE:
+ * This file only exports reducer and action creators.
+ * The price book is saved to local storage by useAppReducer.
+ */
+
+// Action Types
+export const PRICE_BOOK_ACTIONS = {
+  SET_PRICE: "SET_MARKET_PRICE", // Set the market price of one item
+  REMOVE_PRICE: "REMOVE_MARKET_PRICE", // Remove an item's market price
+  CLEAR_PRICES: "CLEAR_MARKET_PRICES", // Remove all market prices
+};
+
+// Initial State
+export const initialPriceBookState = {
+  prices: {}, // { [itemId]: copper }
+};
+
+/**
+ * Action creators for price book reducer
+ */
+export const priceBookActions = {
+  /**
+   * Set the market price of an item.
+   * @param {string|number} itemId - Database ID of the item
+   * @param {number} price - Price per unit in copper
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(priceBookActions.setPrice(1000, 35))
+   */
+  setPrice: (itemId, price) => ({
+    type: PRICE_BOOK_ACTIONS.SET_PRICE,
+    payload: { itemId, price },
+  }),
+
+  /**
+   * Remove an item's market price, falling back to its vendor price.
+   * @param {string|number} itemId - Database ID of the item
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(priceBookActions.removePrice(1000))
+   */
+  removePrice: (itemId) => ({
+    type: PRICE_BOOK_ACTIONS.REMOVE_PRICE,
+    payload: itemId,
+  }),
+
+  /**
+   * Clear all market prices.
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(priceBookActions.clearPrices())
+   */
+  clearPrices: () => ({
+    type: PRICE_BOOK_ACTIONS.CLEAR_PRICES,
+  }),
+};
+
+/**
+ * Pure reducer for price book state management.
+ *
+ * @param {Object} state - Current state
+ * @param {Object} action - Redux action
+ * @returns {Object} New state
+ */
+export const priceBookReducer = (state = initialPriceBookState, action) => {
+  switch (action.type) {
+    case PRICE_BOOK_ACTIONS.SET_PRICE: {
+      const { itemId, price } = action.payload;
+      if (typeof price !== "number" || Number.isNaN(price)) {
+        console.warn("⚠️ Ignoring invalid market price:", itemId, price);
+        return state;
+      }
+
+      return {
+        ...state,
+        prices: {
+          ...state.prices,
+          [itemId]: Math.max(0, Math.round(price)),
+        },
+      };
+    }
+
+    case PRICE_BOOK_ACTIONS.REMOVE_PRICE: {
+      const { [action.payload]: _removed, ...remainingPrices } = state.prices;
+
+      return {
+        ...state,
+        prices: remainingPrices,
+      };
+    }
+
+    case PRICE_BOOK_ACTIONS.CLEAR_PRICES: {
+      console.log("🧹 Clearing market prices");
+      return {
+        ...state,
+        prices: {},
+      };
+    }
+
+    default:
+      return state;
+  }
+};
@@ -7,12 +7,18 @@
  * Each recipe item should have:
  *   - recipe: the recipe object (must have id, name, etc.)
  *   - quantity: required amount (number)
+ *   - grade: target output grade (optional, see MATERIAL_GRADES; common if unset)
+ *   - stale: set by syncRecipes when the saved recipe no longer matches the
+ *     database (see STALE_RECIPE_REASONS)
  *
  * Example usage:
  *   dispatch(recipeListActions.addRecipe(recipeObj))
+ *   dispatch(recipeListActions.addRecipes([{ recipe: recipeObj, quantity: 3 }]))
  *   dispatch(recipeListActions.updateQuantity(recipeObj.id, 5))
+ *   dispatch(recipeListActions.updateGrade(recipeObj.id, "uncommon"))
  *   dispatch(recipeListActions.removeRecipe(recipeObj.id))
  *   dispatch(recipeListActions.clearList())
+ *   dispatch(recipeListActions.syncRecipes(currentRecipes))
  *
  * NOTE:
  * This file only exports reducer and action creators.
@@ -32,9 +38,18 @@
 // Action Types
 export const RECIPE_LIST_ACTIONS = {
   ADD_RECIPE: "ADD_RECIPE", // Add a new recipe to the list
+  ADD_RECIPES: "ADD_RECIPES", // Add several recipes with quantities
   REMOVE_RECIPE: "REMOVE_RECIPE", // Remove a recipe by id
   CLEAR_LIST: "CLEAR_LIST", // Remove all recipes
   UPDATE_QUANTITY: "UPDATE_QUANTITY", // Change quantity for one recipe
+  UPDATE_GRADE: "UPDATE_GRADE", // Change target output grade for one recipe
+  SYNC_RECIPES: "SYNC_RECIPES", // Check saved recipes against the database
+};
+
+// Why a saved recipe was flagged by SYNC_RECIPES
+export const STALE_RECIPE_REASONS = {
+  REMOVED: "removed", // No recipe with this ID any more; kept as saved
+  CHANGED: "changed", // Recipe was edited since it was saved; now up to date
 };
 
 // Initial State
@@ -59,6 +74,19 @@ export const recipeListActions = {
     payload: recipe,
   }),
 
+  /**
+   * Add several recipes with quantities to the list.
+   * Recipes already in the list have the quantity added to theirs.
+   * @param {Array} items - Array of { recipe, quantity }
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(recipeListActions.addRecipes([{ recipe: recipeObj, quantity: 3 }]))
+   */
+  addRecipes: (items) => ({
+    type: RECIPE_LIST_ACTIONS.ADD_RECIPES,
+    payload: items,
+  }),
+
   /**
    * Remove a recipe from the list by id.
    * @param {string|number} recipeId - The id of the recipe to remove
@@ -93,6 +121,33 @@ export const recipeListActions = {
     type: RECIPE_LIST_ACTIONS.UPDATE_QUANTITY,
     payload: { recipeId, quantity },
   }),
+
+  /**
+   * Update the target output grade of a specific recipe.
+   * @param {string|number} recipeId - The id of the recipe to update
+   * @param {string} grade - Target grade (see MATERIAL_GRADES)
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(recipeListActions.updateGrade(recipeObj.id, "uncommon"))
+   */
+  updateGrade: (recipeId, grade) => ({
+    type: RECIPE_LIST_ACTIONS.UPDATE_GRADE,
+    payload: { recipeId, grade },
+  }),
+
+  /**
+   * Check the listed recipes against the current recipe database.
+   * Recipes are matched by id and replaced with the database copy; ones that
+   * changed or were removed are flagged (see STALE_RECIPE_REASONS).
+   * @param {Array} currentRecipes - All recipes in the database
+   * @returns {Object} Redux action
+   * @example
+   * dispatch(recipeListActions.syncRecipes(await getAllRecipes()))
+   */
+  syncRecipes: (currentRecipes) => ({
+    type: RECIPE_LIST_ACTIONS.SYNC_RECIPES,
+    payload: currentRecipes,
+  }),
 };
 
 /**
@@ -136,6 +191,34 @@ export const recipeListReducer = (state = initialRecipeListState, action) => {
       };
     }
 
+    case RECIPE_LIST_ACTIONS.ADD_RECIPES: {
+      const newRecipes = [...state.recipes];
+
+      for (const { recipe, quantity } of action.payload || []) {
+        if (!recipe || !(quantity > 0)) continue;
+
+        const index = newRecipes.findIndex(
+          (item) => item.recipe?.id === recipe.id
+        );
+        if (index === -1) {
+          newRecipes.push({ recipe, quantity });
+        } else {
+          newRecipes[index] = {
+            ...newRecipes[index],
+            quantity: newRecipes[index].quantity + quantity,
+          };
+        }
+      }
+
+      console.log("✅ Adding recipe items:", action.payload);
+
+      return {
+        ...state,
+        recipes: newRecipes,
+        count: newRecipes.length,
+      };
+    }
+
     case RECIPE_LIST_ACTIONS.REMOVE_RECIPE: {
       const recipeId = action.payload;
       console.log("🗑️ Removing recipe with ID:", recipeId);
@@ -176,6 +259,55 @@ export const recipeListReducer = (state = initialRecipeListState, action) => {
       };
     }
 
+    case RECIPE_LIST_ACTIONS.UPDATE_GRADE: {
+      const { recipeId, grade } = action.payload;
+      console.log("🔢 Updating grade:", recipeId, grade);
+
+      const updatedRecipes = state.recipes.map((item) =>
+        item.recipe?.id === recipeId ? { ...item, grade } : item
+      );
+
+      return {
+        ...state,
+        recipes: updatedRecipes,
+      };
+    }
+
+    case RECIPE_LIST_ACTIONS.SYNC_RECIPES: {
+      const currentById = new Map(
+        (action.payload || []).map((recipe) => [String(recipe.id), recipe])
+      );
+
+      const syncedRecipes = state.recipes.map(
+        ({ stale, savedName, ...item }) => {
+          const current = currentById.get(String(item.recipe?.id));
+          if (!current) {
+            return { ...item, stale: STALE_RECIPE_REASONS.REMOVED };
+          }
+          if (JSON.stringify(current) !== JSON.stringify(item.recipe)) {
+            return {
+              ...item,
+              recipe: current,
+              stale: STALE_RECIPE_REASONS.CHANGED,
+              savedName: item.recipe.name,
+            };
+          }
+          return { ...item, recipe: current };
+        }
+      );
+
+      console.log(
+        "🔄 Synced recipe list:",
+        syncedRecipes.filter((item) => item.stale).length,
+        "stale"
+      );
+
+      return {
+        ...state,
+        recipes: syncedRecipes,
+      };
+    }
+
     default:
       return state;
   }
@@ -3,6 +3,12 @@ import {
   componentListReducer,
   initialComponentListState,
 } from "./componentListReducer";
+import { inventoryReducer, initialInventoryState } from "./inventoryReducer";
+import {
+  planSettingsReducer,
+  initialPlanSettingsState,
+} from "./planSettingsReducer";
+import { priceBookReducer, initialPriceBookState } from "./priceBookReducer";
 
 /**
  * Root Reducer - Combines all reducers
@@ -12,6 +18,9 @@ import {
 export const initialAppState = {
   recipeList: initialRecipeListState,
   componentList: initialComponentListState,
+  inventory: initialInventoryState,
+  planSettings: initialPlanSettingsState,
+  priceBook: initialPriceBookState,
 };
 
 // Root Reducer Function
@@ -19,9 +28,15 @@ export const rootReducer = (state = initialAppState, action) => {
   return {
     recipeList: recipeListReducer(state.recipeList, action),
     componentList: componentListReducer(state.componentList, action),
+    inventory: inventoryReducer(state.inventory, action),
+    planSettings: planSettingsReducer(state.planSettings, action),
+    priceBook: priceBookReducer(state.priceBook, action),
   };
 };
 
 // Export all actions for convenience
 export { recipeListActions } from "./recipeListReducer";
 export { componentListActions } from "./componentListReducer";
+export { inventoryActions } from "./inventoryReducer";
+export { planSettingsActions } from "./planSettingsReducer";
+export { priceBookActions } from "./priceBookReducer";
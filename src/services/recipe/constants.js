@@ -19,6 +19,23 @@ export const SKILL_LEVELS = {
   MASTER: "master",
 };
 
+// Skill levels from lowest to highest, for comparing levels
+export const SKILL_LEVEL_ORDER = Object.values(SKILL_LEVELS);
+
+/**
+ * Material grades; better materials raise the grade of what they craft
+ */
+export const MATERIAL_GRADES = {
+  COMMON: "common",
+  UNCOMMON: "uncommon",
+  RARE: "rare",
+  EPIC: "epic",
+  LEGENDARY: "legendary",
+};
+
+// Material grades from lowest to highest, for comparing grades
+export const MATERIAL_GRADE_ORDER = Object.values(MATERIAL_GRADES);
+
 export const GATHERING_SKILLS = {
   MINING: "mining",
   LUMBERJACKING: "lumberjacking",
@@ -51,6 +68,75 @@ export const ITEM_TYPES = {
   CRAFTED: "crafted",
 };
 
+/**
+ * How the breakdown picks between alternative recipes for the same item
+ * when the plan has no explicit choice for it
+ */
+export const VARIANT_STRATEGIES = {
+  DEFAULT: "default", // First recipe listed in the database
+  CHEAPEST: "cheapest", // Fewest raw materials per unit produced
+};
+
+/**
+ * Step types in a crafting plan
+ */
+export const PLAN_STEP_TYPES = {
+  GATHER: "gather",
+  CRAFT: "craft",
+};
+
+/**
+ * Coin values in copper; prices are stored in copper
+ */
+export const COIN_VALUES = {
+  GOLD: 10000,
+  SILVER: 100,
+  COPPER: 1,
+};
+
+/**
+ * Where an item's unit price comes from
+ */
+export const PRICE_SOURCES = {
+  MARKET: "market", // Entered by the player in the price book
+  VENDOR: "vendor", // vendorPrice in the recipe database
+};
+
+/**
+ * Make-versus-buy outcomes for an intermediate item
+ */
+export const MAKE_VS_BUY_DECISIONS = {
+  MAKE: "make", // Crafting from materials is cheaper
+  BUY: "buy", // The market price beats crafting
+};
+
+/**
+ * What the skill progression planner minimises per XP
+ */
+export const PROGRESSION_STRATEGIES = {
+  CHEAPEST: "cheapest", // Lowest material cost
+  FASTEST: "fastest", // Shortest crafting time
+};
+
+/**
+ * Problems with a component reference, where its ID and name disagree
+ */
+export const REFERENCE_ISSUES = {
+  NAME_MISMATCH: "name-mismatch", // The ID belongs to an item with another name
+  UNKNOWN_ID: "unknown-id", // No item has the ID; resolved by name if possible
+};
+
+/**
+ * Kinds of change found when comparing an imported recipe database with the
+ * current one (see recipeImport.js)
+ */
+export const IMPORT_CHANGE_KINDS = {
+  ADDED: "added", // ID only in the import
+  CHANGED: "changed", // Same ID and name, different details
+  REMOVED: "removed", // ID only in the current database
+  ID_COLLISION: "id-collision", // Same ID used for a different item or type
+};
+
 export const SPECIAL_CATEGORIES = {
   SPECIAL: "special",
   RESERVED: "reserved",
@@ -62,6 +148,17 @@ export const SPECIAL_CATEGORIES = {
   OTHER_CONSUMABLES: "other_consumables",
 };
 
+/**
+ * Storage adapters the recipe database can be read from and written to
+ * (see data/adapters and initializeService)
+ */
+export const STORAGE_ADAPTERS = {
+  JSON: "json", // Bundled recipes.json; changes last until reload
+  INDEXED_DB: "indexeddb", // Browser IndexedDB, seeded from recipes.json
+  HTTP: "http", // REST server: GET/PUT {baseUrl}/recipes
+  MEMORY: "memory", // In-memory fixture, for tests
+};
+
 /**
  * Cache duration in milliseconds
  * @type {number}
@@ -1,6 +1,25 @@
+import {
+  RECIPE_TYPES,
+  ITEM_TYPES,
+  VARIANT_STRATEGIES,
+  MATERIAL_GRADES,
+  MATERIAL_GRADE_ORDER,
+} from "../constants.js";
+import {
+  createRecipeGraph,
+  normalizeRecipeName,
+  getGraphRecipesByName,
+  getReferenceName,
+  resolveItemReference,
+} from "./recipeGraph.js";
+
 /**
  * Recipe calculation and breakdown service
  * Handles recipe component breakdown, validation, and list processing
+ *
+ * The breakdown runs synchronously against an indexed recipe graph (see
+ * recipeGraph.js). The async entry points load the graph once per call; the
+ * *Sync variants take a prebuilt graph.
  */
 
 // We need access to the recipe service to find recipes and raw components
@@ -15,237 +34,1079 @@ export const initializeCalculationService = (recipeService) => {
 };
 
 /**
- * Find a recipe by name in the recipe database
- * @param {string} recipeName - Name of recipe to find
- * @returns {Object|null} Recipe object or null if not found
+ * Load the recipe graph the breakdown runs against
+ * Uses the service's cached graph when it provides one, otherwise indexes
+ * getAllRecipes()
+ * @returns {Promise<Object>} Recipe graph (see createRecipeGraph)
  */
-const findRecipeByName = async (recipeName) => {
+export const loadRecipeGraph = async () => {
   if (!recipeServiceInstance) {
     console.warn("Recipe service not initialized");
-    return null;
+    return createRecipeGraph([]);
   }
 
   try {
-    // Use async getAllRecipes since it's an async function
+    if (recipeServiceInstance.getRecipeGraph) {
+      return await recipeServiceInstance.getRecipeGraph();
+    }
+
     const allRecipes = await recipeServiceInstance.getAllRecipes();
     if (!allRecipes || !Array.isArray(allRecipes)) {
       console.warn("No recipes array returned from getAllRecipes");
-      return null;
-    }
-
-    console.log(
-      `🔍 Searching for recipe: "${recipeName}" in ${allRecipes.length} recipes`
-    );
-
-    const found = allRecipes.find(
-      (recipe) => recipe.name.toLowerCase() === recipeName.toLowerCase()
-    );
-
-    if (found) {
-      console.log(`✅ Found recipe: ${found.name}`);
-    } else {
-      console.warn(`❌ Recipe "${recipeName}" not found in database`);
-      // Debug: show first few recipe names
-      console.log(
-        "Available recipes:",
-        allRecipes.slice(0, 5).map((r) => r.name)
-      );
+      return createRecipeGraph([]);
     }
 
-    return found || null;
+    return createRecipeGraph(allRecipes);
   } catch (error) {
-    console.warn("Error finding recipe:", error);
-    return null;
+    console.warn("Error loading recipe graph:", error);
+    return createRecipeGraph([]);
   }
 };
 
 /**
- * Check if a component is a raw material (has no recipe)
- * @param {string} componentName - Name of component to check
- * @returns {Object|null} Raw component info or null if it's not raw
+ * Resolve an item reference to a raw component or its craftable recipes
+ * References resolve by ID first and by name only without a known ID (see
+ * resolveItemReference), so a renamed or misspelled component still finds
+ * its item. The database may hold several alternative recipes for one output
+ * item; they share the item name and are listed in database order.
+ * Items that are not in the database at all are treated as raw, keeping the
+ * referenced ID when there is one and the name otherwise
+ * @param {Object} graph - Recipe graph
+ * @param {string|Object} item - Item name, or component reference {id, name}
+ * @returns {Object} { id, name, rawComponent, variants } - the resolved item
+ *   ID and name; exactly one of rawComponent and variants is set
  */
-const findRawComponentByName = async (componentName) => {
-  if (!recipeServiceInstance) {
-    console.warn("Recipe service not initialized");
-    return null;
-  }
+const resolveItem = (graph, item) => {
+  const { entry } = resolveItemReference(graph, item);
+  const name = entry ? entry.name : getReferenceName(item);
+  const referencedId = typeof item === "object" ? item?.id : undefined;
+  const id = entry ? entry.id : (referencedId ?? name);
 
-  try {
-    const allRecipes = await recipeServiceInstance.getAllRecipes();
-    if (!allRecipes || !Array.isArray(allRecipes)) {
-      return null;
-    }
-
-    // Check if there's a recipe for this component
-    const hasRecipe = allRecipes.some(
-      (recipe) => recipe.name.toLowerCase() === componentName.toLowerCase()
-    );
-
-    // If no recipe exists, treat as raw component
-    if (!hasRecipe) {
-      console.log(`✅ ${componentName} is a raw component (no recipe found)`);
-      return {
-        id: componentName,
-        name: componentName,
-        type: "raw_component",
-      };
-    }
-
-    return null;
-  } catch (error) {
-    console.warn("Error checking raw component:", error);
-    return null;
+  // Entries without components (raw_components) can't be crafted
+  const variants = entry?.recipe?.components
+    ? getGraphRecipesByName(graph, entry.name)
+    : [];
+  if (variants.length > 0) {
+    return { id, name, rawComponent: null, variants };
   }
+
+  return {
+    id,
+    name,
+    rawComponent: {
+      id,
+      name,
+      type: "raw_component",
+      description: entry?.description,
+      gathering: entry?.gathering,
+    },
+    variants: [],
+  };
 };
 
 /**
- * Process recipe list to get consolidated raw components
- * Main function that handles the recipe list and calls breakdown functions
- * @param {Array} recipeList - List of recipes to process
- * @returns {Array} Consolidated raw components
+ * Extract recipe objects with quantities from the selected recipe list structure
+ * @param {Array} recipeList - List of { recipe, quantity, grade } items
+ * @returns {Array} Recipe objects with a quantity and a target grade field
  */
-export const processRecipeListToRawComponents = async (recipeList) => {
-  console.log("🔍 processRecipeListToRawComponents called with:", recipeList);
-
-  if (!recipeList || !Array.isArray(recipeList)) {
-    console.log("🔍 Invalid recipe list");
-    return [];
-  }
-
-  // Extract recipes from the recipe list structure
-  const recipes = recipeList
+const extractRecipesFromList = (recipeList) =>
+  recipeList
     .map((item) => {
-      console.log("🔍 Processing recipe list item:", item);
       const recipeData = item?.recipe;
-      if (recipeData && recipeData.recipe) {
-        return {
-          ...recipeData,
-          quantity: item.quantity || 1,
-        };
-      } else if (recipeData) {
+      if (recipeData) {
         return {
           ...recipeData,
           quantity: item.quantity || 1,
+          grade: item.grade || MATERIAL_GRADES.COMMON,
         };
       }
       return null;
     })
     .filter(Boolean);
 
-  console.log("🔍 Valid recipes for processing:", recipes);
+/**
+ * Map a database recipe type to the item type used in crafting trees
+ * @param {string} recipeType - Recipe type from the database
+ * @returns {string} Item type
+ */
+const getItemType = (recipeType) =>
+  recipeType === RECIPE_TYPES.CRAFTED_ITEMS
+    ? ITEM_TYPES.CRAFTED
+    : ITEM_TYPES.INTERMEDIATE;
+
+/**
+ * Process recipe list to get consolidated raw components
+ * Main function that handles the recipe list and calls breakdown functions
+ * Surplus from batch rounding and owned inventory are shared across the whole
+ * list, so stock used by one recipe is not counted again for the next
+ * @param {Array} recipeList - List of recipes to process
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ * @param {Set|Array} [options.stopAt] - Stop set: IDs of items to acquire
+ *   instead of craft (the plan's stop points); they are consolidated as
+ *   leaves with source "purchase" instead of being expanded
+ * @returns {Array} Consolidated raw components
+ */
+export const processRecipeListToRawComponents = async (
+  recipeList,
+  options = {}
+) => {
+  console.log("🔍 processRecipeListToRawComponents called with:", recipeList);
 
-  if (recipes.length === 0) {
-    console.log("🔍 No valid recipes to process");
+  if (!recipeList || !Array.isArray(recipeList)) {
+    console.log("🔍 Invalid recipe list");
     return [];
   }
 
-  // Use recursive breakdown for each recipe
-  const allComponents = [];
-  for (const recipe of recipes) {
-    console.log("🔍 Breaking down recipe recursively:", recipe.name);
-    const components = await breakDownToRawComponents(
-      recipe.name,
-      recipe.quantity || 1,
-      new Set()
-    );
-    allComponents.push(...components);
+  const graph = await loadRecipeGraph();
+  const consolidated = consolidateCraftingTrees(
+    processRecipeListToCraftingTreesSync(graph, recipeList, options)
+  );
+  console.log("🔍 Final consolidated components:", consolidated);
+
+  return consolidated;
+};
+
+/**
+ * Process recipe list into one crafting tree per selected recipe
+ * Companion to processRecipeListToRawComponents that keeps the intermediate tiers
+ * @param {Array} recipeList - List of recipes to process
+ * @param {Object} [options] - Breakdown options (see processRecipeListToRawComponents)
+ * @returns {Array} Crafting tree root nodes (see buildCraftingTree)
+ */
+export const processRecipeListToCraftingTrees = async (
+  recipeList,
+  options = {}
+) => {
+  if (!recipeList || !Array.isArray(recipeList)) {
+    return [];
   }
 
-  console.log("🔍 All components before consolidation:", allComponents);
+  const graph = await loadRecipeGraph();
+  return processRecipeListToCraftingTreesSync(graph, recipeList, options);
+};
 
-  // Consolidate components by ID
-  const consolidated = consolidateComponents(allComponents);
-  console.log("🔍 Final consolidated components:", consolidated);
+/**
+ * Synchronous processRecipeListToCraftingTrees against a prebuilt graph
+ * @param {Object} graph - Recipe graph (see loadRecipeGraph)
+ * @param {Array} recipeList - List of recipes to process
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ * @returns {Array} Crafting tree root nodes
+ */
+export const processRecipeListToCraftingTreesSync = (
+  graph,
+  recipeList,
+  options = {}
+) => {
+  if (!recipeList || !Array.isArray(recipeList)) {
+    return [];
+  }
 
-  return consolidated;
+  const context = createBreakdownContext(graph, options);
+  return extractRecipesFromList(recipeList).map((recipe) =>
+    expandCraftingNode(
+      { id: recipe.id, name: recipe.name },
+      recipe.quantity || 1,
+      new Set(),
+      context,
+      recipe.grade
+    )
+  );
 };
 
 /**
- * Recursively break down components to raw materials
- * Handles multi-tier recipe breakdown for AoC crafting system
- * @param {string} componentName - Name of component to break down
+ * Recursively build the crafting tree for a component
+ * Each node carries the item, the quantity needed, the artisan skill, the work
+ * station and its children, so intermediate tiers stay visible:
+ * Novice Iron Sword → Copper Fragments x15 → Copper Ore x15
+ *
+ * Recipes producing several units per craft (recipe.outputQuantity) are
+ * crafted in whole batches: crafts = ceil(needed / outputQuantity). Leftover
+ * units go into options.surplus and are drawn from before crafting again.
+ *
+ * Owned stock (options.inventory) is consumed at the highest tier first:
+ * owning 10 Copper Fragments leaves 5 to craft, so only 5 Copper Ore are needed.
+ *
+ * Items with alternative recipes use options.recipeChoices, then
+ * options.variantStrategy; the node records the variant and its alternatives.
+ *
+ * Items in options.stopAt are acquired instead of crafted: their node has
+ * source "purchase", no children, and counts as a leaf to acquire.
+ *
+ * Grades: an item of a grade needs inputs of at least that grade, and a
+ * component line can raise it further (component.minGrade). Every node
+ * carries the lowest grade it must have, starting from options.grade at the
+ * root. Owned stock (keyed by getGradedItemKey) and batch leftovers keep
+ * their grade, and a need draws on stock of its grade or better, lowest
+ * grade first.
+ * @param {string|Object} componentName - Name of component to expand, or a
+ *   component reference {id, name} (resolved by ID first)
  * @param {number} quantity - Quantity needed
  * @param {Set} visited - Set of visited components to prevent cycles
- * @returns {Array} Array of raw components
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ * @returns {Object} Tree node {id, name, quantity, type, source, grade, artisanSkill, workStation, variant, alternatives, fromInventory, crafts, outputQuantity, craftingTime, fromSurplus, surplus, children}
+ *   Raw nodes found in the database also carry {gathering, description}
  */
-export const breakDownToRawComponents = async (
+export const buildCraftingTree = async (
+  componentName,
+  quantity = 1,
+  visited = new Set(),
+  options = {}
+) =>
+  expandCraftingNode(
+    componentName,
+    quantity,
+    visited,
+    createBreakdownContext(await loadRecipeGraph(), options),
+    options.grade
+  );
+
+/**
+ * Synchronous buildCraftingTree against a prebuilt graph
+ * @param {Object} graph - Recipe graph (see loadRecipeGraph)
+ * @param {string|Object} componentName - Name of component to expand, or a
+ *   component reference {id, name}
+ * @param {number} quantity - Quantity needed
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ * @returns {Object} Crafting tree root node
+ */
+export const buildCraftingTreeSync = (
+  graph,
   componentName,
   quantity = 1,
-  visited = new Set()
+  options = {}
+) =>
+  expandCraftingNode(
+    componentName,
+    quantity,
+    new Set(),
+    createBreakdownContext(graph, options),
+    options.grade
+  );
+
+/**
+ * Expand one crafting tree node, sharing the breakdown context with children
+ * While no stock is in play (no inventory, no surplus) a recipe's subtree only
+ * depends on the quantity, so it is memoised per recipe and quantity and the
+ * same node is reused wherever that craft appears again
+ * @param {string|Object} item - Item name, or component reference {id, name}
+ * @param {number} quantity - Quantity needed
+ * @param {Set} visited - Names of the items on the current path
+ * @param {Object} context - Breakdown context from createBreakdownContext()
+ * @param {string} [grade] - Lowest grade the item must have (see MATERIAL_GRADES)
+ * @returns {Object} Crafting tree node
+ */
+const expandCraftingNode = (
+  item,
+  quantity,
+  visited,
+  context,
+  grade = MATERIAL_GRADES.COMMON
 ) => {
-  console.log(`🔍 Breaking down: ${componentName} x${quantity}`);
+  const {
+    id: itemId,
+    name: componentName,
+    rawComponent,
+    variants,
+  } = resolveItem(context.graph, item);
 
   // Prevent infinite recursion
   if (visited.has(componentName)) {
-    console.warn(`Circular dependency detected for ${componentName}`);
-    return [];
+    // visited is in path order, so the loop runs from the repeated item
+    const path = [...visited];
+    const cyclePath = [
+      ...path.slice(path.indexOf(componentName)),
+      componentName,
+    ];
+    console.warn(`Circular dependency detected: ${cyclePath.join(" → ")}`);
+    context.circularCount += 1;
+    return createTreeNode({
+      id: itemId,
+      name: componentName,
+      quantity,
+      type: ITEM_TYPES.RAW,
+      source: "unknown",
+      grade,
+      isCircular: true,
+      cyclePath,
+      error: `Circular dependency: ${cyclePath.join(" → ")}`,
+    });
   }
 
-  // Check if it's already a raw component
-  const rawComponent = await findRawComponentByName(componentName);
+  // Raw components are gathered (or taken from inventory)
   if (rawComponent) {
-    console.log(`✅ ${componentName} is a raw component`);
-    return [
-      {
-        id: rawComponent.id,
-        name: rawComponent.name,
-        quantity: quantity,
-        type: "raw",
-        source: "gathering",
-      },
-    ];
+    return createTreeNode({
+      id: rawComponent.id,
+      name: rawComponent.name,
+      quantity,
+      type: ITEM_TYPES.RAW,
+      source: "gathering",
+      grade,
+      description: rawComponent.description,
+      gathering: rawComponent.gathering,
+      fromInventory: takeFromInventory(
+        context.inventory,
+        rawComponent.id,
+        quantity,
+        grade
+      ),
+    });
   }
 
-  // Check if it's a recipe that can be broken down further
-  const recipe = await findRecipeByName(componentName);
-  if (recipe && recipe.recipe && recipe.recipe.components) {
-    console.log(`🔧 ${componentName} has recipe, breaking down further...`);
+  // Craftable item: expand the selected recipe further
+  const recipe = selectRecipeVariant(variants, visited, context);
 
-    visited.add(componentName);
-    const components = [];
+  // Items to acquire instead of craft are leaves of the tree
+  if (isStopPoint(variants, context)) {
+    return createTreeNode({
+      id: recipe.id,
+      name: recipe.name,
+      quantity,
+      type: getItemType(recipe.type),
+      source: "purchase",
+      grade,
+      fromInventory: takeVariantsFromInventory(
+        variants,
+        quantity,
+        context,
+        grade
+      ),
+    });
+  }
 
-    for (const component of recipe.recipe.components) {
-      const componentQuantity = (component.quantity || 1) * quantity;
-      const componentName = component.name || component.item;
+  const memoKey = `${recipe.id}:${quantity}:${grade}`;
+  const isPure = !context.hasStock;
+  if (isPure && context.subtrees.has(memoKey)) {
+    return context.subtrees.get(memoKey);
+  }
+  const circularBefore = context.circularCount;
 
-      console.log(`  📦 Component: ${componentName} x${componentQuantity}`);
+  // Use owned stock, then leftovers from earlier batches, before crafting
+  const fromInventory = takeVariantsFromInventory(
+    variants,
+    quantity,
+    context,
+    grade
+  );
+  const fromSurplus = takeFromSurplus(
+    context.surplus,
+    recipe.name,
+    quantity - fromInventory,
+    grade
+  );
+  const toCraft = quantity - fromInventory - fromSurplus;
+  const outputQuantity = getOutputQuantity(recipe);
+  const crafts = Math.ceil(toCraft / outputQuantity);
+  const surplus = crafts * outputQuantity - toCraft;
+  addToSurplus(context, recipe, surplus, grade);
+
+  visited.add(componentName);
+  const children = [];
+
+  for (const component of recipe.recipe.components) {
+    const componentQuantity = (component.quantity || 1) * crafts;
 
-      const subComponents = await breakDownToRawComponents(
-        componentName,
+    if (componentQuantity === 0) continue;
+
+    children.push(
+      expandCraftingNode(
+        { id: component.id, name: getReferenceName(component) },
         componentQuantity,
-        new Set(visited) // Create new Set to avoid mutation issues
-      );
-      components.push(...subComponents);
+        new Set(visited), // Create new Set to avoid mutation issues
+        context,
+        getHigherGrade(grade, component.minGrade)
+      )
+    );
+  }
+
+  visited.delete(componentName);
+
+  const node = createTreeNode({
+    id: recipe.id,
+    name: recipe.name,
+    quantity,
+    type: getItemType(recipe.type),
+    source: "crafting",
+    grade,
+    artisanSkill: recipe.recipe.artisanSkill || null,
+    workStation: recipe.recipe.workStation || null,
+    variant: recipe.variant || null,
+    alternatives: variants.length > 1 ? variants.map(describeVariant) : [],
+    fromInventory,
+    crafts,
+    outputQuantity,
+    craftingTime: getCraftingTime(recipe),
+    fromSurplus,
+    surplus,
+    children,
+  });
+
+  // Only subtrees that touched no stock and hit no cycle are reusable
+  if (isPure && !context.hasStock && context.circularCount === circularBefore) {
+    context.subtrees.set(memoKey, node);
+  }
+
+  return node;
+};
+
+/**
+ * Take owned stock of a craftable item
+ * Every variant makes the same item, so stock listed under any of them counts
+ * @param {Array} variants - Craftable recipes for the item
+ * @param {number} quantity - Quantity needed
+ * @param {Object} context - Breakdown context
+ * @param {string} [grade] - Lowest grade the stock must have
+ * @returns {number} Quantity taken from inventory
+ */
+const takeVariantsFromInventory = (variants, quantity, context, grade) => {
+  let fromInventory = 0;
+  for (const variant of variants) {
+    fromInventory += takeFromInventory(
+      context.inventory,
+      variant.id,
+      quantity - fromInventory,
+      grade
+    );
+  }
+  return fromInventory;
+};
+
+/**
+ * Check whether an item should be acquired instead of crafted
+ * @param {Array} variants - Craftable recipes for the item
+ * @param {Object} context - Breakdown context
+ * @returns {boolean} True if any variant ID is in the stop set
+ */
+const isStopPoint = (variants, context) =>
+  context.stopAt.size > 0 &&
+  variants.some((variant) => context.stopAt.has(String(variant.id)));
+
+/**
+ * Create the mutable state shared by every node of one breakdown
+ * The caller's inventory is copied so it is never modified
+ * @param {Object} graph - Recipe graph to resolve items against
+ * @param {Object} options - Caller supplied breakdown options
+ * @returns {Object} Context with graph, stock pools, variant choices and memo caches
+ */
+const createBreakdownContext = (graph, options = {}) => {
+  const inventory = { ...(options.inventory || {}) };
+  const surplus = options.surplus || {};
+
+  return {
+    graph,
+    surplus,
+    inventory,
+    recipeChoices: options.recipeChoices || {},
+    variantStrategy: options.variantStrategy || VARIANT_STRATEGIES.DEFAULT,
+    stopAt: new Set([...(options.stopAt || [])].map(String)),
+    variantCosts: new Map(),
+    subtrees: new Map(),
+    circularCount: 0,
+    costCycleHits: 0,
+    // Any owned or leftover stock makes subtrees order dependent
+    hasStock:
+      Object.values(inventory).some((owned) => Number(owned) > 0) ||
+      Object.values(surplus).some((entry) => entry.quantity > 0),
+  };
+};
+
+/**
+ * Pick which of an item's alternative recipes the breakdown uses
+ * An explicit plan choice wins, then the variant strategy; the default is the
+ * first recipe listed in the database
+ * @param {Array} variants - Craftable recipes for one item (see resolveItem)
+ * @param {Set} visited - Items on the current path, for cost estimation
+ * @param {Object} context - Breakdown context
+ * @returns {Object|null} Selected recipe or null if the item has none
+ */
+const selectRecipeVariant = (variants, visited, context) => {
+  if (variants.length <= 1) {
+    return variants[0] || null;
+  }
+
+  const choiceId = context.recipeChoices[normalizeRecipeName(variants[0].name)];
+  const chosen = variants.find(
+    (variant) => String(variant.id) === String(choiceId)
+  );
+  if (chosen) {
+    return chosen;
+  }
+
+  if (context.variantStrategy === VARIANT_STRATEGIES.CHEAPEST) {
+    let cheapest = variants[0];
+    let lowestCost = Infinity;
+    for (const variant of variants) {
+      const cost = estimateRecipeCost(variant, visited, context);
+      if (cost < lowestCost) {
+        cheapest = variant;
+        lowestCost = cost;
+      }
     }
+    return cheapest;
+  }
 
-    visited.delete(componentName);
-    return components;
+  return variants[0];
+};
+
+/**
+ * Estimate the raw material units needed per unit a recipe produces
+ * Nested items use the variant the breakdown would pick for them.
+ * Results are cached per recipe for the duration of one breakdown, unless
+ * the estimate ran into an item on the current path
+ * @param {Object} recipe - Recipe to estimate
+ * @param {Set} visited - Items on the current path; cycles cost Infinity
+ * @param {Object} context - Breakdown context
+ * @returns {number} Raw units per unit produced
+ */
+const estimateRecipeCost = (recipe, visited, context) => {
+  if (context.variantCosts.has(recipe.id)) {
+    return context.variantCosts.get(recipe.id);
+  }
+
+  const cycleHitsBefore = context.costCycleHits;
+  const path = new Set(visited).add(recipe.name);
+  let total = 0;
+  for (const component of recipe.recipe.components) {
+    total +=
+      (component.quantity || 1) * estimateItemCost(component, path, context);
+  }
+
+  const cost = total / getOutputQuantity(recipe);
+  // A cycle makes the cost depend on the path it was reached through
+  if (context.costCycleHits === cycleHitsBefore) {
+    context.variantCosts.set(recipe.id, cost);
+  }
+  return cost;
+};
+
+/**
+ * Estimate the raw material units needed for one unit of an item
+ * @param {string|Object} item - Item name, or component reference {id, name}
+ * @param {Set} visited - Items on the current path
+ * @param {Object} context - Breakdown context
+ * @returns {number} Raw units per unit of the item
+ */
+const estimateItemCost = (item, visited, context) => {
+  const { name, rawComponent, variants } = resolveItem(context.graph, item);
+  if (visited.has(name)) {
+    context.costCycleHits += 1;
+    return Infinity;
   }
 
-  // If we can't find it anywhere, treat as unknown raw component
-  console.warn(
-    `⚠️ Component ${componentName} not found in recipes or raw components`
+  if (rawComponent) {
+    return 1;
+  }
+
+  const recipe = selectRecipeVariant(variants, visited, context);
+  return estimateRecipeCost(recipe, visited, context);
+};
+
+/**
+ * Summarise an alternative recipe for display next to the variant used
+ * @param {Object} recipe - Recipe object
+ * @returns {Object} Variant summary {id, name, variant, artisanSkill, workStation}
+ */
+const describeVariant = (recipe) => ({
+  id: recipe.id,
+  name: recipe.name,
+  variant: recipe.variant || null,
+  artisanSkill: recipe.recipe.artisanSkill || null,
+  workStation: recipe.recipe.workStation || null,
+});
+
+/**
+ * List the items in crafting trees that have alternative recipes
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Array} Items {name, selectedId, alternatives} sorted by name
+ */
+export const collectRecipeVariants = (trees = []) => {
+  const itemsByName = {};
+
+  const visit = (node) => {
+    if (!node) return;
+
+    if (node.alternatives.length > 1) {
+      const key = normalizeRecipeName(node.name);
+      itemsByName[key] = itemsByName[key] || {
+        name: node.name,
+        selectedId: node.id,
+        alternatives: node.alternatives,
+      };
+    }
+    node.children.forEach(visit);
+  };
+
+  trees.forEach(visit);
+
+  return Object.values(itemsByName).sort((a, b) =>
+    a.name.localeCompare(b.name)
   );
-  return [
-    {
-      id: componentName,
-      name: componentName,
-      quantity: quantity,
+};
+
+/**
+ * List the circular dependencies met while building crafting trees
+ * The breakdown stops at a circular item, so whatever it needs is missing
+ * from the totals; this lets callers report it instead
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Array} Cycles {name, path} where path runs from the repeated item
+ *   back to itself (e.g. ["A", "B", "C", "A"]), each listed once
+ */
+export const collectCircularDependencies = (trees = []) => {
+  const cyclesByPath = new Map();
+
+  const visit = (node) => {
+    if (!node) return;
+
+    if (node.isCircular) {
+      const key = node.cyclePath.join(" → ");
+      if (!cyclesByPath.has(key)) {
+        cyclesByPath.set(key, { name: node.name, path: node.cyclePath });
+      }
+      return;
+    }
+    node.children.forEach(visit);
+  };
+
+  trees.forEach(visit);
+
+  return [...cyclesByPath.values()];
+};
+
+/**
+ * List the grades that satisfy a need, lowest first
+ * @param {string} [grade] - Lowest grade needed (see MATERIAL_GRADES)
+ * @returns {Array<string>} Grades from the needed one upwards
+ */
+const getGradesFrom = (grade = MATERIAL_GRADES.COMMON) =>
+  MATERIAL_GRADE_ORDER.slice(Math.max(0, MATERIAL_GRADE_ORDER.indexOf(grade)));
+
+/**
+ * Take up to the needed quantity of an item from owned inventory
+ * Stock of the needed grade is used first, then better grades
+ * @param {Object} inventoryPool - Remaining owned quantities keyed by graded
+ *   item key (see getGradedItemKey)
+ * @param {number|string} itemId - Item to take
+ * @param {number} needed - Quantity needed
+ * @param {string} [grade] - Lowest grade the stock must have
+ * @returns {number} Quantity taken from inventory
+ */
+const takeFromInventory = (inventoryPool, itemId, needed, grade) => {
+  let taken = 0;
+  for (const stockGrade of getGradesFrom(grade)) {
+    const key = getGradedItemKey({ id: itemId, grade: stockGrade });
+    const owned = Number(inventoryPool[key]) || 0;
+    if (taken >= needed) break;
+    if (owned <= 0) continue;
+
+    const take = Math.min(owned, needed - taken);
+    inventoryPool[key] = owned - take;
+    taken += take;
+  }
+  return taken;
+};
+
+/**
+ * Pick the higher of two material grades
+ * @param {string} grade - Material grade (see MATERIAL_GRADES)
+ * @param {string} [otherGrade] - Material grade; unknown or missing grades are ignored
+ * @returns {string} Higher grade
+ */
+const getHigherGrade = (grade, otherGrade) =>
+  MATERIAL_GRADE_ORDER.indexOf(otherGrade) > MATERIAL_GRADE_ORDER.indexOf(grade)
+    ? otherGrade
+    : grade;
+
+/**
+ * Key an item by ID and grade
+ * Common-grade items keep their plain ID, so graded needs of the same item
+ * stay separate line items while ungraded plans are keyed as before
+ * @param {Object} item - Tree node, raw component or plan step with {id, grade}
+ * @returns {string} "id" or "id:grade"
+ */
+export const getGradedItemKey = (item) =>
+  !item.grade || item.grade === MATERIAL_GRADES.COMMON
+    ? String(item.id)
+    : `${item.id}:${item.grade}`;
+
+/**
+ * Split a graded item key back into its ID and grade
+ * @param {string|number} key - Key from getGradedItemKey
+ * @returns {Object} {id, grade}; plain IDs are common grade
+ */
+export const parseGradedItemKey = (key) => {
+  const [id, grade] = String(key).split(":");
+  return MATERIAL_GRADE_ORDER.includes(grade)
+    ? { id, grade }
+    : { id: String(key), grade: MATERIAL_GRADES.COMMON };
+};
+
+/**
+ * Key a surplus pool entry by item name and grade
+ * @param {string} itemName - Item name
+ * @param {string} [grade] - Material grade (see MATERIAL_GRADES)
+ * @returns {string} Normalised name, with ":grade" above common
+ */
+const getSurplusKey = (itemName, grade) =>
+  getGradedItemKey({ id: normalizeRecipeName(itemName), grade });
+
+/**
+ * Get how long one craft of a recipe takes
+ * @param {Object} recipe - Recipe object
+ * @returns {number|null} Seconds per craft, or null if the recipe has no time
+ */
+const getCraftingTime = (recipe) => {
+  const craftingTime = recipe?.recipe?.craftingTime;
+  return typeof craftingTime === "number" && craftingTime > 0
+    ? craftingTime
+    : null;
+};
+
+/**
+ * Get how many units one craft of a recipe produces
+ * @param {Object} recipe - Recipe object
+ * @returns {number} Output quantity per craft (defaults to 1)
+ */
+const getOutputQuantity = (recipe) => {
+  const outputQuantity = recipe?.recipe?.outputQuantity;
+  return Number.isInteger(outputQuantity) && outputQuantity > 0
+    ? outputQuantity
+    : 1;
+};
+
+/**
+ * Take up to the needed quantity of an item from the surplus pool
+ * Leftovers of the needed grade are used first, then better grades
+ * @param {Object} surplusPool - Surplus pool keyed by normalised item name
+ *   and grade
+ * @param {string} itemName - Item to take
+ * @param {number} needed - Quantity needed
+ * @param {string} [grade] - Lowest grade the leftovers must have
+ * @returns {number} Quantity taken from the pool
+ */
+const takeFromSurplus = (surplusPool, itemName, needed, grade) => {
+  let taken = 0;
+  for (const surplusGrade of getGradesFrom(grade)) {
+    const entry = surplusPool[getSurplusKey(itemName, surplusGrade)];
+    if (taken >= needed) break;
+    if (!entry || entry.quantity <= 0) continue;
+
+    const take = Math.min(entry.quantity, needed - taken);
+    entry.quantity -= take;
+    taken += take;
+  }
+  return taken;
+};
+
+/**
+ * Add leftover units of a crafted item to the breakdown's surplus pool
+ * @param {Object} context - Breakdown context
+ * @param {Object} recipe - Recipe that produced the leftovers
+ * @param {number} quantity - Leftover quantity
+ * @param {string} [grade] - Grade the leftovers were crafted at
+ */
+const addToSurplus = (
+  context,
+  recipe,
+  quantity,
+  grade = MATERIAL_GRADES.COMMON
+) => {
+  if (quantity <= 0) return;
+
+  const key = getSurplusKey(recipe.name, grade);
+  if (!context.surplus[key]) {
+    context.surplus[key] = {
+      id: recipe.id,
+      name: recipe.name,
+      grade,
+      quantity: 0,
+    };
+  }
+  context.surplus[key].quantity += quantity;
+  context.hasStock = true;
+};
+
+/**
+ * Turn a surplus pool into a list of leftover intermediates
+ * @param {Object} surplusPool - Surplus pool filled by the breakdown
+ * @returns {Array} Leftover items {id, name, grade, quantity} sorted by name
+ */
+export const summarizeSurplus = (surplusPool = {}) =>
+  Object.values(surplusPool)
+    .filter((entry) => entry.quantity > 0)
+    .map((entry) => ({ ...entry }))
+    .sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) ||
+        MATERIAL_GRADE_ORDER.indexOf(a.grade) -
+          MATERIAL_GRADE_ORDER.indexOf(b.grade)
+    );
+
+/**
+ * Collect the leftover units of crafted items from crafting trees
+ * Works from the nodes' surplus and fromSurplus, so it covers any trees,
+ * including those built without a surplus pool (e.g. by optimizeMakeVsBuy)
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Array} Leftover items {id, name, grade, quantity} sorted by name
+ */
+export const collectTreeSurplus = (trees = []) => {
+  const surplusPool = {};
+
+  const visit = (node) => {
+    if (!node) return;
+    if (node.crafts !== undefined) {
+      const key = getSurplusKey(node.name, node.grade);
+      if (!surplusPool[key]) {
+        surplusPool[key] = {
+          id: node.id,
+          name: node.name,
+          grade: node.grade,
+          quantity: 0,
+        };
+      }
+      surplusPool[key].quantity +=
+        (node.surplus || 0) - (node.fromSurplus || 0);
+    }
+    node.children.forEach(visit);
+  };
+
+  trees.forEach(visit);
+  return summarizeSurplus(surplusPool);
+};
+
+/**
+ * Create a crafting tree node with all fields present
+ * Nodes are built with a fixed field order; large breakdowns create many of them
+ * @param {Object} fields - Node fields
+ * @returns {Object} Crafting tree node
+ */
+const createTreeNode = (fields) => {
+  const node = {
+    id: fields.id,
+    name: fields.name,
+    quantity: fields.quantity,
+    type: fields.type,
+    source: fields.source,
+    grade: fields.grade || MATERIAL_GRADES.COMMON,
+    artisanSkill: fields.artisanSkill || null,
+    workStation: fields.workStation || null,
+    variant: fields.variant || null,
+    alternatives: fields.alternatives || [],
+    fromInventory: fields.fromInventory || 0,
+    children: fields.children || [],
+  };
+
+  // Crafting details only exist on recipe nodes
+  if (fields.crafts !== undefined) {
+    node.crafts = fields.crafts;
+    node.outputQuantity = fields.outputQuantity;
+    node.craftingTime = fields.craftingTime ?? null;
+    node.fromSurplus = fields.fromSurplus;
+    node.surplus = fields.surplus;
+  }
+  // Gathering details only exist on raw nodes found in the database
+  if (fields.gathering) {
+    node.gathering = fields.gathering;
+    node.description = fields.description;
+  }
+  if (fields.isCircular) {
+    node.isCircular = true;
+    node.cyclePath = fields.cyclePath;
+  }
+  if (fields.error) {
+    node.error = fields.error;
+  }
+
+  return node;
+};
+
+/**
+ * Flatten a crafting tree into its raw component leaves
+ * Circular nodes contribute nothing, matching the previous breakdown behaviour,
+ * and raw quantities already covered by inventory are left out. Items stopped
+ * at (options.stopAt) are leaves too, with source "purchase"
+ * @param {Object} node - Crafting tree node
+ * @returns {Array} Array of raw components {id, name, quantity, type, source, grade},
+ *   with {gathering: {skill, skillLevel}, description} when the database has them
+ */
+export const flattenCraftingTree = (node) => {
+  if (!node || node.isCircular) {
+    return [];
+  }
+
+  if (node.type === ITEM_TYPES.RAW) {
+    const quantity = node.quantity - node.fromInventory;
+    if (quantity <= 0) return [];
+
+    const rawComponent = {
+      id: node.id,
+      name: node.name,
+      quantity,
       type: "raw",
-      source: "unknown",
-      error: "Component not found in database",
+      source: node.source,
+      grade: node.grade,
+    };
+    if (node.gathering) {
+      rawComponent.gathering = {
+        skill: node.gathering.skill,
+        skillLevel: node.gathering.skillLevel,
+      };
+      rawComponent.description = node.description;
+    }
+    if (node.error) {
+      rawComponent.error = node.error;
+    }
+    return [rawComponent];
+  }
+
+  // Craftable items at a stop point are acquired as they are
+  if (node.source === "purchase") {
+    const quantity = node.quantity - node.fromInventory;
+    if (quantity <= 0) return [];
+
+    return [
+      {
+        id: node.id,
+        name: node.name,
+        quantity,
+        type: node.type,
+        source: node.source,
+        grade: node.grade,
+      },
+    ];
+  }
+
+  return node.children.flatMap(flattenCraftingTree);
+};
+
+/**
+ * Roll up the crafting time of a crafting tree
+ * Each craft node adds crafts × craftingTime; recipes without a time are
+ * counted in untimedCrafts instead, so callers can tell the total is partial
+ * @param {Object} node - Crafting tree node
+ * @returns {Object} {seconds, untimedCrafts}
+ */
+export const calculateCraftingTime = (node) => {
+  if (!node || node.isCircular || !(node.crafts > 0)) {
+    return { seconds: 0, untimedCrafts: 0 };
+  }
+
+  return node.children.reduce(
+    (total, child) => {
+      const childTime = calculateCraftingTime(child);
+      return {
+        seconds: total.seconds + childTime.seconds,
+        untimedCrafts: total.untimedCrafts + childTime.untimedCrafts,
+      };
     },
-  ];
+    node.craftingTime
+      ? { seconds: node.crafts * node.craftingTime, untimedCrafts: 0 }
+      : { seconds: 0, untimedCrafts: node.crafts }
+  );
+};
+
+/**
+ * Consolidate the raw leaves of several crafting trees into one list
+ * Gives the same result as processRecipeListToRawComponents for trees built by
+ * processRecipeListToCraftingTrees, without a second breakdown.
+ * Each component keeps how much of it every tree root (selected recipe) needs
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Array} Consolidated raw components, each with usedBy: [{key, id,
+ *   name, grade, quantity}] per source recipe in tree order
+ */
+export const consolidateCraftingTrees = (trees = []) =>
+  consolidateComponents(
+    trees.flatMap((tree) =>
+      flattenCraftingTree(tree).map((component) => ({
+        ...component,
+        usedBy: [
+          {
+            key: getGradedItemKey(tree),
+            id: tree.id,
+            name: tree.name,
+            grade: tree.grade,
+            quantity: component.quantity,
+          },
+        ],
+      }))
+    )
+  );
+
+/**
+ * Recursively break down components to raw materials
+ * Handles multi-tier recipe breakdown for AoC crafting system
+ * @param {string|Object} componentName - Name of component to break down, or a
+ *   component reference {id, name} (resolved by ID first)
+ * @param {number} quantity - Quantity needed
+ * @param {Set} visited - Set of visited components to prevent cycles
+ * @param {Object} [options] - Breakdown options
+ * @param {Object} [options.surplus] - Surplus pool keyed by normalised item name and grade; pass an
+ *   object to read back leftovers with summarizeSurplus()
+ * @param {Object} [options.inventory] - Owned quantities keyed by graded item key,
+ *   raw or intermediate, subtracted before recursing (not modified)
+ * @param {Object} [options.recipeChoices] - Recipe ID to use per item with
+ *   alternative recipes, keyed by lowercase (normalised) item name
+ * @param {string} [options.variantStrategy] - VARIANT_STRATEGIES value for
+ *   items without a choice (defaults to the first recipe listed)
+ * @param {Set|Array} [options.stopAt] - IDs of craftable items to acquire
+ *   instead of craft; they are returned as leaves with source "purchase"
+ * @param {string} [options.grade] - MATERIAL_GRADES value the item must have;
+ *   its inputs must be at least that grade (defaults to common)
+ * @returns {Array} Array of raw components
+ */
+export const breakDownToRawComponents = async (
+  componentName,
+  quantity = 1,
+  visited = new Set(),
+  options = {}
+) => {
+  console.log(
+    `🔍 Breaking down: ${getReferenceName(componentName)} x${quantity}`
+  );
+
+  const tree = await buildCraftingTree(
+    componentName,
+    quantity,
+    visited,
+    options
+  );
+  return flattenCraftingTree(tree);
 };
 
+/**
+ * Synchronous breakDownToRawComponents against a prebuilt graph
+ * @param {Object} graph - Recipe graph (see loadRecipeGraph)
+ * @param {string|Object} componentName - Name of component to break down, or
+ *   a component reference {id, name}
+ * @param {number} quantity - Quantity needed
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ * @returns {Array} Array of raw components
+ */
+export const breakDownToRawComponentsSync = (
+  graph,
+  componentName,
+  quantity = 1,
+  options = {}
+) =>
+  flattenCraftingTree(
+    buildCraftingTreeSync(graph, componentName, quantity, options)
+  );
+
 /**
  * Break down a single recipe to its raw components (non-recursive)
  * This treats all recipe components as raw materials
+ * The quantity is rounded up to whole crafts of the recipe's outputQuantity.
+ * With a graph, components are resolved by ID first and carry the item's
+ * real ID and name; without one they keep the referenced ID, and only a
+ * reference with no ID at all falls back to its name
  * @param {Object} recipe - Recipe to break down
  * @param {number} quantity - Quantity multiplier
+ * @param {Object} [graph] - Recipe graph (see loadRecipeGraph)
  * @returns {Array} Array of raw components
  */
-export const convertRecipeToRawComponents = (recipe, quantity = 1) => {
+export const convertRecipeToRawComponents = (
+  recipe,
+  quantity = 1,
+  graph = null
+) => {
   console.log(
     "🔍 Converting recipe to raw components:",
     recipe.name,
@@ -266,9 +1127,10 @@ export const convertRecipeToRawComponents = (recipe, quantity = 1) => {
     ];
   }
 
+  const crafts = Math.ceil(quantity / getOutputQuantity(recipe));
   const components = [];
   recipe.recipe.components.forEach((component) => {
-    const componentQuantity = (component.quantity || 1) * quantity;
+    const componentQuantity = (component.quantity || 1) * crafts;
     console.log(
       `🔍 Processing component: ${
         component.name || component.item
@@ -276,9 +1138,15 @@ export const convertRecipeToRawComponents = (recipe, quantity = 1) => {
     );
 
     // Treat all components as raw materials for now
+    const { id, name } = graph
+      ? resolveItem(graph, component)
+      : {
+          id: component.id ?? getReferenceName(component),
+          name: getReferenceName(component),
+        };
     components.push({
-      id: component.id || component.name || component.item,
-      name: component.name || component.item || "Unknown Component",
+      id,
+      name: name || "Unknown Component",
       quantity: componentQuantity,
       type: "raw",
     });
@@ -288,18 +1156,41 @@ export const convertRecipeToRawComponents = (recipe, quantity = 1) => {
 };
 
 /**
- * Consolidate duplicate components by ID and sum quantities
+ * Merge contribution records, summing the quantities per source recipe
+ * @param {Array} contributions - Records so far
+ * @param {Array} added - Records to add
+ * @returns {Array} Merged records in first-seen order
+ */
+const mergeContributions = (contributions = [], added = []) => {
+  const merged = contributions.map((entry) => ({ ...entry }));
+  for (const entry of added) {
+    const existing = merged.find((item) => item.key === entry.key);
+    if (existing) {
+      existing.quantity += entry.quantity;
+    } else {
+      merged.push({ ...entry });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Consolidate duplicate components by ID and grade and sum quantities
+ * Contribution records (usedBy) are merged per source recipe
  * @param {Array} components - Array of components to consolidate
  * @returns {Array} Consolidated array sorted by name
  */
 const consolidateComponents = (components) => {
   const consolidated = components.reduce((acc, component) => {
-    const key = component.id;
+    const key = getGradedItemKey(component);
     if (acc[key]) {
       acc[key] = {
         ...acc[key],
         quantity: acc[key].quantity + component.quantity,
       };
+      if (component.usedBy) {
+        acc[key].usedBy = mergeContributions(acc[key].usedBy, component.usedBy);
+      }
     } else {
       acc[key] = { ...component };
     }
@@ -321,8 +1212,20 @@ export const createRecipeCalculationService = (recipeService) => {
   initializeCalculationService(recipeService);
 
   return {
+    loadRecipeGraph,
     processRecipeListToRawComponents,
+    processRecipeListToCraftingTrees,
+    processRecipeListToCraftingTreesSync,
     breakDownToRawComponents,
+    breakDownToRawComponentsSync,
+    buildCraftingTree,
+    buildCraftingTreeSync,
+    flattenCraftingTree,
+    calculateCraftingTime,
+    consolidateCraftingTrees,
+    collectRecipeVariants,
+    summarizeSurplus,
+    collectTreeSurplus,
     convertRecipeToRawComponents,
     addRecipeToList, // ✅ ADD: Missing function
     removeRecipeFromList, // ✅ ADD: Bonus function
@@ -0,0 +1,185 @@
+import recipesData from "../../../db/recipes.json";
+import { VARIANT_STRATEGIES, RECIPE_TYPES } from "../constants.js";
+import { createRecipeGraph, normalizeRecipeName } from "./recipeGraph.js";
+import {
+  buildCraftingTreeSync,
+  getGradedItemKey,
+  parseGradedItemKey,
+  summarizeSurplus,
+} from "./calculations.js";
+
+// Ore → Ingot (two per craft) → Blade, whose Ingot line needs uncommon grade
+const ore = { id: 10, name: "Ore", type: "raw_component" };
+const ingot = {
+  id: 20,
+  name: "Ingot",
+  recipe: {
+    artisanSkill: "metalworking",
+    outputQuantity: 2,
+    components: [{ id: 10, name: "Ore", quantity: 1 }],
+  },
+};
+const blade = {
+  id: 30,
+  name: "Blade",
+  recipe: {
+    artisanSkill: "weaponsmithing",
+    components: [{ id: 20, name: "Ingot", quantity: 3, minGrade: "uncommon" }],
+  },
+};
+const graph = createRecipeGraph([ore, ingot, blade]);
+
+const getIngotNode = (tree) => tree.children.find((node) => node.id === 20);
+
+describe("graded item keys", () => {
+  test("round-trip through parseGradedItemKey", () => {
+    expect(parseGradedItemKey(getGradedItemKey({ id: 20 }))).toEqual({
+      id: "20",
+      grade: "common",
+    });
+    expect(
+      parseGradedItemKey(getGradedItemKey({ id: 20, grade: "rare" }))
+    ).toEqual({ id: "20", grade: "rare" });
+  });
+});
+
+describe("graded inventory", () => {
+  test("graded stock covers a graded line", () => {
+    const tree = buildCraftingTreeSync(graph, "Blade", 1, {
+      inventory: { "20:uncommon": 3 },
+    });
+
+    const ingotNode = getIngotNode(tree);
+    expect(ingotNode.grade).toBe("uncommon");
+    expect(ingotNode.fromInventory).toBe(3);
+    expect(ingotNode.crafts).toBe(0);
+  });
+
+  test("common stock does not cover a graded line", () => {
+    const tree = buildCraftingTreeSync(graph, "Blade", 1, {
+      inventory: { 20: 3 },
+    });
+
+    const ingotNode = getIngotNode(tree);
+    expect(ingotNode.fromInventory).toBe(0);
+    expect(ingotNode.crafts).toBe(2);
+  });
+
+  test("better grades cover lower needs once the needed grade runs out", () => {
+    const tree = buildCraftingTreeSync(graph, "Ore", 3, {
+      inventory: { 10: 1, "10:rare": 5 },
+    });
+
+    expect(tree.fromInventory).toBe(3);
+  });
+
+  test("the caller's inventory is not modified", () => {
+    const inventory = { "20:uncommon": 3 };
+    buildCraftingTreeSync(graph, "Blade", 1, { inventory });
+
+    expect(inventory).toEqual({ "20:uncommon": 3 });
+  });
+});
+
+describe("graded surplus", () => {
+  test("leftovers keep the grade they were crafted at", () => {
+    const surplus = {};
+    buildCraftingTreeSync(graph, "Blade", 1, { surplus });
+
+    expect(summarizeSurplus(surplus)).toEqual([
+      { id: 20, name: "Ingot", grade: "uncommon", quantity: 1 },
+    ]);
+  });
+
+  test("graded leftovers cover a later common need", () => {
+    const surplus = {};
+    buildCraftingTreeSync(graph, "Blade", 1, { surplus });
+    const tree = buildCraftingTreeSync(graph, "Ingot", 1, { surplus });
+
+    expect(tree.fromSurplus).toBe(1);
+    expect(tree.crafts).toBe(0);
+    expect(summarizeSurplus(surplus)).toEqual([]);
+  });
+
+  test("common leftovers do not cover a graded need", () => {
+    const surplus = {};
+    buildCraftingTreeSync(graph, "Ingot", 1, { surplus });
+    const tree = buildCraftingTreeSync(graph, "Blade", 1, { surplus });
+
+    expect(getIngotNode(tree).fromSurplus).toBe(0);
+  });
+});
+
+describe("variant costs", () => {
+  test("a variant that loops only on one path is still priced on others", () => {
+    // Glue can be made from Varnish and Varnish from Glue. Pricing Glue first
+    // finds Varnish's Glue variant looping back; reached from Table, that
+    // variant costs four Wood and beats the five of the other
+    const wood = { id: 50, name: "Wood" };
+    const recipe = (id, name, components) => ({
+      id,
+      name,
+      recipe: { artisanSkill: "carpentry", components },
+    });
+    const loopGraph = createRecipeGraph([
+      wood,
+      recipe(60, "Glue", [{ id: 70, name: "Varnish", quantity: 1 }]),
+      recipe(61, "Glue", [{ id: 50, name: "Wood", quantity: 4 }]),
+      recipe(70, "Varnish", [{ id: 60, name: "Glue", quantity: 1 }]),
+      recipe(71, "Varnish", [{ id: 50, name: "Wood", quantity: 5 }]),
+      recipe(80, "Table", [
+        { id: 60, name: "Glue", quantity: 1 },
+        { id: 70, name: "Varnish", quantity: 1 },
+      ]),
+    ]);
+
+    const tree = buildCraftingTreeSync(loopGraph, "Table", 1, {
+      variantStrategy: VARIANT_STRATEGIES.CHEAPEST,
+    });
+
+    const [glue, varnish] = tree.children;
+    expect(glue.id).toBe(61);
+    expect(varnish.id).toBe(70);
+    expect(varnish.children[0].id).toBe(61);
+  });
+});
+
+describe("bundled recipe variants", () => {
+  // Black Ink is listed as Distilled (2104, three raw units) then Steeped
+  // (2105, two raw units)
+  const bundledGraph = createRecipeGraph(
+    Object.values(RECIPE_TYPES).flatMap((type) => recipesData[type])
+  );
+  const blackInk = normalizeRecipeName("Black Ink");
+
+  test("the bundled recipes list Black Ink twice", () => {
+    const variants = bundledGraph.byName.get(blackInk).recipes;
+    expect(variants.map((variant) => variant.id)).toEqual([2104, 2105]);
+  });
+
+  test("the default strategy uses the first variant listed", () => {
+    const tree = buildCraftingTreeSync(bundledGraph, "Black Ink", 1);
+    expect(tree.id).toBe(2104);
+  });
+
+  test("the cheapest strategy uses the variant with fewest raw materials", () => {
+    const tree = buildCraftingTreeSync(bundledGraph, "Black Ink", 1, {
+      variantStrategy: VARIANT_STRATEGIES.CHEAPEST,
+    });
+    expect(tree.id).toBe(2105);
+  });
+
+  test("a plan choice overrides either strategy", () => {
+    expect(
+      buildCraftingTreeSync(bundledGraph, "Black Ink", 1, {
+        recipeChoices: { [blackInk]: 2105 },
+      }).id
+    ).toBe(2105);
+    expect(
+      buildCraftingTreeSync(bundledGraph, "Black Ink", 1, {
+        recipeChoices: { [blackInk]: 2104 },
+        variantStrategy: VARIANT_STRATEGIES.CHEAPEST,
+      }).id
+    ).toBe(2104);
+  });
+});
@@ -0,0 +1,152 @@
+import { ITEM_TYPES, COIN_VALUES, PRICE_SOURCES } from "../constants.js";
+import { getGraphEntryById } from "./recipeGraph.js";
+
+/**
+ * Material costs
+ * Prices the raw materials of a plan from the player's market prices and the
+ * vendor prices in the recipe database. All amounts are in copper.
+ *
+ * DATA FLOW:
+ * processRecipeListToCraftingTreesSync() → calculatePlanCost() → cost per recipe and plan
+ */
+
+/**
+ * Split a copper amount into gold, silver and copper
+ * @param {number} amount - Amount in copper
+ * @returns {Object} {gold, silver, copper}
+ */
+export const splitCoins = (amount = 0) => {
+  const total = Math.max(0, Math.round(amount));
+  return {
+    gold: Math.floor(total / COIN_VALUES.GOLD),
+    silver: Math.floor((total % COIN_VALUES.GOLD) / COIN_VALUES.SILVER),
+    copper: total % COIN_VALUES.SILVER,
+  };
+};
+
+/**
+ * Get the unit price of an item
+ * A market price from the price book wins over the database vendor price
+ * @param {Object} graph - Recipe graph
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @param {number|string} itemId - Item ID
+ * @returns {Object|null} {price, source} or null if the item has no price
+ */
+export const getItemPrice = (graph, prices, itemId) => {
+  const marketPrice = prices?.[itemId];
+  if (typeof marketPrice === "number") {
+    return { price: marketPrice, source: PRICE_SOURCES.MARKET };
+  }
+
+  const vendorPrice = graph
+    ? getGraphEntryById(graph, itemId)?.vendorPrice
+    : undefined;
+  if (typeof vendorPrice === "number") {
+    return { price: vendorPrice, source: PRICE_SOURCES.VENDOR };
+  }
+
+  return null;
+};
+
+/**
+ * Add unit price and cost to consolidated raw components
+ * @param {Array} components - Consolidated raw components
+ * @param {Object} graph - Recipe graph
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @returns {Array} Components with {unitPrice, priceSource, cost}, null when unpriced
+ */
+export const priceComponents = (components = [], graph, prices = {}) =>
+  components.map((component) => {
+    const itemPrice = getItemPrice(graph, prices, component.id);
+    return {
+      ...component,
+      unitPrice: itemPrice ? itemPrice.price : null,
+      priceSource: itemPrice ? itemPrice.source : null,
+      cost: itemPrice ? itemPrice.price * component.quantity : null,
+    };
+  });
+
+/**
+ * Roll up the material cost of one crafting tree
+ * Raw materials covered by inventory cost nothing; raw materials without a
+ * price are listed as unpriced and left out of the total. Items bought
+ * instead of crafted (stop points) are priced like raw materials.
+ * @param {Object} tree - Crafting tree root node
+ * @param {Object} graph - Recipe graph
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @returns {Object} {cost, unpriced: [{id, name, quantity}]}
+ */
+const calculateTreeCost = (tree, graph, prices) => {
+  let cost = 0;
+  const unpriced = new Map();
+
+  const visit = (node) => {
+    if (!node || node.isCircular) return;
+
+    // Raw materials and items bought at a stop point are priced as leaves
+    if (node.type !== ITEM_TYPES.RAW && node.source !== "purchase") {
+      node.children.forEach(visit);
+      return;
+    }
+
+    const quantity = node.quantity - node.fromInventory;
+    if (quantity <= 0) return;
+
+    const itemPrice = getItemPrice(graph, prices, node.id);
+    if (itemPrice) {
+      cost += itemPrice.price * quantity;
+    } else {
+      const entry = unpriced.get(node.id) || {
+        id: node.id,
+        name: node.name,
+        quantity: 0,
+      };
+      entry.quantity += quantity;
+      unpriced.set(node.id, entry);
+    }
+  };
+
+  visit(tree);
+  return { cost, unpriced: [...unpriced.values()] };
+};
+
+/**
+ * Roll up the material cost of each selected recipe and of the whole plan
+ * @param {Array} trees - Crafting tree root nodes, one per selected recipe
+ * @param {Object} graph - Recipe graph used to build the trees
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @returns {Object} {recipes, total, unpriced, isComplete}
+ *   - recipes: [{id, name, quantity, cost, unpriced}] per selected recipe
+ *   - total: plan material cost in copper
+ *   - unpriced: raw materials without a price, consolidated by ID
+ *   - isComplete: true when every raw material has a price
+ */
+export const calculatePlanCost = (trees = [], graph, prices = {}) => {
+  const unpriced = new Map();
+
+  const recipes = trees.map((tree) => {
+    const treeCost = calculateTreeCost(tree, graph, prices);
+    for (const item of treeCost.unpriced) {
+      const entry = unpriced.get(item.id) || { ...item, quantity: 0 };
+      entry.quantity += item.quantity;
+      unpriced.set(item.id, entry);
+    }
+
+    return {
+      id: tree.id,
+      name: tree.name,
+      quantity: tree.quantity,
+      cost: treeCost.cost,
+      unpriced: treeCost.unpriced,
+    };
+  });
+
+  return {
+    recipes,
+    total: recipes.reduce((total, recipe) => total + recipe.cost, 0),
+    unpriced: [...unpriced.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    ),
+    isComplete: unpriced.size === 0,
+  };
+};
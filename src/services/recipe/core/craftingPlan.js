@@ -0,0 +1,273 @@
+import { ITEM_TYPES, PLAN_STEP_TYPES } from "../constants.js";
+import {
+  consolidateCraftingTrees,
+  collectTreeSurplus,
+  getGradedItemKey,
+} from "./calculations.js";
+
+/**
+ * Crafting plan generation
+ * Turns the crafting trees from calculations.js into a build order:
+ * gather the raw materials, then craft each intermediate once, lowest tier
+ * first, then the selected items.
+ *
+ * DATA FLOW:
+ * processRecipeListToCraftingTrees() → buildCraftingPlan() → ordered steps
+ *   → groupCraftingPlanByWorkstation() → workstation visits
+ */
+
+/**
+ * Merge every craft in the trees by recipe ID and grade
+ * The same intermediate used by several selected recipes becomes one step,
+ * and the dependency edges between recipes are collected along the way.
+ * Crafts of one recipe at different grades stay separate steps
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Map} Step key → merged craft step with a Set of dependency keys
+ */
+const mergeCraftSteps = (trees) => {
+  const stepsById = new Map();
+
+  const visit = (node) => {
+    if (!node || node.type === ITEM_TYPES.RAW || !(node.crafts > 0)) {
+      return;
+    }
+
+    const key = getGradedItemKey(node);
+    if (!stepsById.has(key)) {
+      stepsById.set(key, {
+        type: PLAN_STEP_TYPES.CRAFT,
+        key,
+        id: node.id,
+        name: node.name,
+        grade: node.grade,
+        itemType: node.type,
+        artisanSkill: node.artisanSkill,
+        workStation: node.workStation,
+        craftingTime: node.craftingTime ?? null,
+        crafts: 0,
+        quantity: 0,
+        inputs: {},
+        dependsOn: new Set(),
+      });
+    }
+
+    const step = stepsById.get(key);
+    step.crafts += node.crafts;
+    step.quantity += node.crafts * node.outputQuantity;
+
+    for (const child of node.children) {
+      if (child.isCircular) continue;
+
+      const childKey = getGradedItemKey(child);
+      const input = step.inputs[childKey] || {
+        id: child.id,
+        name: child.name,
+        grade: child.grade,
+        quantity: 0,
+      };
+      input.quantity += child.quantity;
+      step.inputs[childKey] = input;
+
+      if (child.type !== ITEM_TYPES.RAW && child.crafts > 0) {
+        step.dependsOn.add(childKey);
+      }
+      visit(child);
+    }
+  };
+
+  trees.forEach(visit);
+  return stepsById;
+};
+
+/**
+ * Compute each craft's dependency depth over the merged recipe graph
+ * Depth 1 crafts use only raw materials; every other craft sits one level
+ * above its deepest dependency, so sorting by depth gives a valid build order
+ * @param {Map} stepsById - Merged craft steps
+ * @returns {Map} Step key → depth
+ */
+const computeDepths = (stepsById) => {
+  const depths = new Map();
+
+  const depthOf = (id) => {
+    if (depths.has(id)) return depths.get(id);
+
+    // Guard against malformed data; cycles are cut by the breakdown already
+    depths.set(id, 1);
+    let deepest = 0;
+    for (const dependencyId of stepsById.get(id).dependsOn) {
+      if (stepsById.has(dependencyId)) {
+        deepest = Math.max(deepest, depthOf(dependencyId));
+      }
+    }
+    depths.set(id, deepest + 1);
+    return deepest + 1;
+  };
+
+  stepsById.forEach((_, id) => depthOf(id));
+  return depths;
+};
+
+/**
+ * Sum the crafting time of craft steps
+ * @param {Array} steps - Craft steps
+ * @returns {Object} {totalTime, untimedSteps} seconds for steps with a time,
+ *   and how many steps have none
+ */
+const sumCraftingTime = (steps) =>
+  steps.reduce(
+    (total, step) =>
+      step.time === null
+        ? { ...total, untimedSteps: total.untimedSteps + 1 }
+        : { ...total, totalTime: total.totalTime + step.time },
+    { totalTime: 0, untimedSteps: 0 }
+  );
+
+/**
+ * Build a step-by-step crafting plan from crafting trees
+ * @param {Array} trees - Crafting tree root nodes (see processRecipeListToCraftingTrees)
+ * @returns {Object} Plan {steps, gatherCount, craftCount, totalCrafts, totalTime, untimedSteps, leftovers}
+ *   Each step has {order, type, key, id, name, grade, quantity, depth}, where
+ *   key tells apart the same item needed at different grades; gather steps add
+ *   {source} ("purchase" for items bought instead of crafted); craft steps add
+ *   {itemType, artisanSkill, workStation, craftingTime, time, crafts, inputs,
+ *   dependsOn}, where time is crafts × craftingTime in seconds (null if the
+ *   recipe has no crafting time) and dependsOn lists step keys.
+ *   leftovers lists the units crafted beyond what the plan uses, from
+ *   rounding up to whole crafts ({id, name, grade, quantity}, see collectTreeSurplus)
+ */
+export const buildCraftingPlan = (trees = []) => {
+  const gatherSteps = consolidateCraftingTrees(trees).map((component) => ({
+    type: PLAN_STEP_TYPES.GATHER,
+    key: getGradedItemKey(component),
+    id: component.id,
+    name: component.name,
+    grade: component.grade,
+    quantity: component.quantity,
+    source: component.source,
+    depth: 0,
+    ...(component.error && { error: component.error }),
+  }));
+
+  const stepsById = mergeCraftSteps(trees);
+  const depths = computeDepths(stepsById);
+  const craftSteps = [...stepsById.values()]
+    .map((step) => ({
+      ...step,
+      time: step.craftingTime ? step.crafts * step.craftingTime : null,
+      depth: depths.get(step.key),
+      inputs: Object.values(step.inputs).sort((a, b) =>
+        a.name.localeCompare(b.name)
+      ),
+      dependsOn: [...step.dependsOn],
+    }))
+    .sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name));
+
+  const steps = [...gatherSteps, ...craftSteps].map((step, index) => ({
+    order: index + 1,
+    ...step,
+  }));
+
+  return {
+    steps,
+    gatherCount: gatherSteps.length,
+    craftCount: craftSteps.length,
+    totalCrafts: craftSteps.reduce((total, step) => total + step.crafts, 0),
+    ...sumCraftingTime(craftSteps),
+    leftovers: collectTreeSurplus(trees),
+  };
+};
+
+/**
+ * Group the craft steps of a plan into workstation visits
+ * Works like a topological sort that stays at the current station while it
+ * has crafts ready, then moves to the station with the most ready crafts.
+ * A station appears again only when a dependency made elsewhere forces it,
+ * so the visits stay in valid dependency order with as few hops as possible.
+ * @param {Object} plan - Plan from buildCraftingPlan
+ * @returns {Object} {visits, stations, gatherSteps}
+ *   - visits: [{order, workStation, steps, crafts, totalTime, untimedSteps}]
+ *     in build order
+ *   - stations: [{workStation, steps, crafts, visits, totalTime,
+ *     untimedSteps}] stations to visit, in order of first visit
+ *   - gatherSteps: the plan's gather steps, done before the first visit
+ */
+export const groupCraftingPlanByWorkstation = (plan) => {
+  const steps = plan?.steps || [];
+  const gatherSteps = steps.filter(
+    (step) => step.type === PLAN_STEP_TYPES.GATHER
+  );
+  const remaining = steps.filter((step) => step.type === PLAN_STEP_TYPES.CRAFT);
+  const craftKeys = new Set(remaining.map((step) => step.key));
+  const done = new Set();
+
+  const isReady = (step) =>
+    step.dependsOn.every((key) => done.has(key) || !craftKeys.has(key));
+
+  const visits = [];
+  while (remaining.length > 0) {
+    // A dependency cycle in the data leaves nothing ready; break it in build order
+    const ready = remaining.filter(isReady);
+    if (ready.length === 0) {
+      ready.push(remaining[0]);
+    }
+
+    // Pick the station with the most crafts ready to go (ties by build order)
+    const readyCounts = new Map();
+    for (const step of ready) {
+      readyCounts.set(
+        step.workStation,
+        (readyCounts.get(step.workStation) || 0) + 1
+      );
+    }
+    const [workStation] = [...readyCounts.entries()].reduce((best, entry) =>
+      entry[1] > best[1] ? entry : best
+    );
+
+    // Stay at the station until nothing more can be crafted there
+    const visitSteps = [];
+    let batch = ready.filter((step) => step.workStation === workStation);
+    while (batch.length > 0) {
+      for (const step of batch) {
+        visitSteps.push(step);
+        done.add(step.key);
+        remaining.splice(remaining.indexOf(step), 1);
+      }
+      batch = remaining.filter(
+        (step) => step.workStation === workStation && isReady(step)
+      );
+    }
+
+    visits.push({
+      order: visits.length + 1,
+      workStation,
+      steps: visitSteps,
+      crafts: visitSteps.reduce((total, step) => total + step.crafts, 0),
+      ...sumCraftingTime(visitSteps),
+    });
+  }
+
+  const stationsByName = new Map();
+  for (const visit of visits) {
+    const station = stationsByName.get(visit.workStation) || {
+      workStation: visit.workStation,
+      steps: 0,
+      crafts: 0,
+      visits: 0,
+      totalTime: 0,
+      untimedSteps: 0,
+    };
+    station.steps += visit.steps.length;
+    station.crafts += visit.crafts;
+    station.visits += 1;
+    station.totalTime += visit.totalTime;
+    station.untimedSteps += visit.untimedSteps;
+    stationsByName.set(visit.workStation, station);
+  }
+
+  return {
+    visits,
+    stations: [...stationsByName.values()],
+    gatherSteps,
+  };
+};
@@ -0,0 +1,200 @@
+import { getRecipesByComponent } from "./queries.js";
+import {
+  loadRecipeGraph,
+  buildCraftingTreeSync,
+  consolidateCraftingTrees,
+  parseGradedItemKey,
+} from "./calculations.js";
+import {
+  getGraphEntryById,
+  getGraphRecipesByName,
+  normalizeRecipeName,
+} from "./recipeGraph.js";
+
+/**
+ * "What can I craft" reverse calculator
+ * Works out which recipes the player can craft from what they own, including
+ * intermediates crafted on the way, and which ones are a material or two short.
+ *
+ * DATA FLOW:
+ * inventory → getRecipesByComponent() (upwards, tier by tier) → candidates
+ *   → recursive breakdown against the inventory → craftable / near misses
+ */
+
+/**
+ * Collect every recipe that uses an owned item, directly or through
+ * intermediates made from owned items
+ * @param {Object} graph - Recipe graph
+ * @param {Object} inventory - Owned quantities keyed by graded item key
+ * @returns {Promise<Array>} Candidate recipes
+ */
+const collectCandidateRecipes = async (graph, inventory) => {
+  const candidates = new Map();
+  const seenNames = new Set();
+  let frontier = Object.keys(inventory)
+    .filter((itemKey) => Number(inventory[itemKey]) > 0)
+    .map(
+      (itemKey) =>
+        getGraphEntryById(graph, parseGradedItemKey(itemKey).id)?.name
+    )
+    .filter(Boolean);
+  frontier.forEach((name) => seenNames.add(name));
+
+  while (frontier.length > 0) {
+    const users = await Promise.all(frontier.map(getRecipesByComponent));
+    frontier = [];
+
+    for (const recipe of users.flat()) {
+      const idKey = String(recipe.id);
+      if (candidates.has(idKey)) continue;
+
+      candidates.set(idKey, recipe);
+      if (!seenNames.has(recipe.name)) {
+        seenNames.add(recipe.name);
+        frontier.push(recipe.name);
+      }
+    }
+  }
+
+  return [...candidates.values()];
+};
+
+/**
+ * List the materials still missing to craft a recipe a number of times
+ * Owned stock of the item itself, at any grade, is left out, so it is always
+ * crafted
+ * @param {Object} graph - Recipe graph
+ * @param {Object} recipe - Recipe to craft
+ * @param {number} crafts - Number of crafts
+ * @param {Object} inventory - Owned quantities keyed by graded item key
+ * @param {Object} options - Breakdown options
+ * @returns {Array} Missing materials {id, name, quantity, grade, ...}
+ */
+const getShortfall = (graph, recipe, crafts, inventory, options) => {
+  const variantIds = new Set(
+    getGraphRecipesByName(graph, recipe.name).map((variant) =>
+      String(variant.id)
+    )
+  );
+  const stock = { ...inventory };
+  for (const itemKey of Object.keys(stock)) {
+    if (variantIds.has(parseGradedItemKey(itemKey).id)) {
+      delete stock[itemKey];
+    }
+  }
+
+  const tree = buildCraftingTreeSync(
+    graph,
+    recipe.name,
+    crafts * (recipe.recipe.outputQuantity || 1),
+    {
+      inventory: stock,
+      recipeChoices: {
+        ...options.recipeChoices,
+        [normalizeRecipeName(recipe.name)]: recipe.id,
+      },
+      variantStrategy: options.variantStrategy,
+    }
+  );
+  return consolidateCraftingTrees([tree]);
+};
+
+/**
+ * Find the most crafts of a recipe the inventory covers
+ * Doubles the count until something runs short, then narrows it down
+ * @param {Function} isCovered - (crafts) → true when nothing is missing
+ * @param {number} limit - Upper bound on the number of crafts
+ * @returns {number} Most crafts possible
+ */
+const findMaxCrafts = (isCovered, limit) => {
+  let low = 0;
+  let high = 1;
+  while (high <= limit && isCovered(high)) {
+    low = high;
+    high *= 2;
+  }
+
+  high = Math.min(high, limit + 1);
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (isCovered(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Find the recipes the player can craft from their inventory
+ * Candidates come from getRecipesByComponent, starting with the owned items
+ * and moving up one tier at a time; each is then broken down recursively
+ * against the inventory, so owned raw materials can be turned into the
+ * intermediates a recipe needs.
+ * Counts are per recipe on its own: crafting one uses up stock the others
+ * were counted with.
+ * @param {Object} inventory - Owned quantities keyed by graded item key
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxMissing=2] - Most distinct missing materials
+ *   for a recipe to count as a near miss
+ * @param {Object} [options.recipeChoices] - Plan recipe choices for inputs
+ * @param {string} [options.variantStrategy] - Variant strategy for inputs
+ * @returns {Promise<Object>} {craftable, nearMisses}
+ *   - craftable: [{id, name, type, recipe, crafts, quantity}] sorted by name,
+ *     where quantity is crafts × the recipe's output quantity
+ *   - nearMisses: [{id, name, type, recipe, shortfall}] for one craft, where
+ *     shortfall lists the missing materials {id, name, quantity, grade}
+ */
+export const findCraftableRecipes = async (inventory = {}, options = {}) => {
+  const { maxMissing = 2 } = options;
+  const graph = await loadRecipeGraph();
+  const candidates = await collectCandidateRecipes(graph, inventory);
+
+  // Every craft uses at least one owned unit, which bounds the search
+  const ownedUnits = Object.values(inventory).reduce(
+    (total, quantity) => total + Math.max(0, Number(quantity) || 0),
+    0
+  );
+
+  const craftable = [];
+  const nearMisses = [];
+
+  for (const recipe of candidates) {
+    const summary = { id: recipe.id, name: recipe.name, type: recipe.type };
+    const shortfall = getShortfall(graph, recipe, 1, inventory, options);
+
+    if (shortfall.length === 0) {
+      const crafts = findMaxCrafts(
+        (count) =>
+          getShortfall(graph, recipe, count, inventory, options).length === 0,
+        ownedUnits
+      );
+      craftable.push({
+        ...summary,
+        recipe,
+        crafts,
+        quantity: crafts * (recipe.recipe.outputQuantity || 1),
+      });
+    } else if (shortfall.length <= maxMissing) {
+      nearMisses.push({
+        ...summary,
+        recipe,
+        shortfall: shortfall.map(({ id, name, quantity, grade }) => ({
+          id,
+          name,
+          quantity,
+          grade,
+        })),
+      });
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    craftable: craftable.sort(byName),
+    nearMisses: nearMisses.sort(
+      (a, b) => a.shortfall.length - b.shortfall.length || byName(a, b)
+    ),
+  };
+};
@@ -0,0 +1,116 @@
+import { setStorageAdapter } from "../data/storage.js";
+import { createMemoryAdapter } from "../data/adapters/index.js";
+import { getRecipeGraph, invalidateAllCaches } from "./queries.js";
+import { initializeCalculationService } from "./calculations.js";
+import { findCraftableRecipes } from "./inventoryCrafting.js";
+
+/**
+ * Build a recipe made from other items
+ * @param {number} id - Recipe ID
+ * @param {string} name - Item name
+ * @param {Array} uses - [id, name, quantity] of the components
+ * @param {number} [outputQuantity=1] - Units made per craft
+ * @returns {Object} Recipe
+ */
+const makeRecipe = (id, name, uses, outputQuantity = 1) => ({
+  id,
+  name,
+  description: name,
+  recipe: {
+    artisanSkill: "weaponsmithing",
+    outputQuantity,
+    components: uses.map(([componentId, componentName, quantity]) => ({
+      id: componentId,
+      name: componentName,
+      quantity,
+    })),
+  },
+});
+
+// Ore → Ingot; Wood → Plank (two per craft); Ingot and Plank → Sword;
+// Plank and Water → Bow
+const database = {
+  raw_components: [
+    { id: 1000, name: "Ore", description: "Ore" },
+    { id: 1100, name: "Wood", description: "Wood" },
+    { id: 1501, name: "Water", description: "Water" },
+  ],
+  intermediate_recipes: [
+    makeRecipe(2400, "Ingot", [[1000, "Ore", 2]]),
+    makeRecipe(2200, "Plank", [[1100, "Wood", 1]], 2),
+  ],
+  crafted_items: [
+    makeRecipe(4000, "Sword", [
+      [2400, "Ingot", 2],
+      [2200, "Plank", 1],
+    ]),
+    makeRecipe(4400, "Bow", [
+      [2200, "Plank", 3],
+      [1501, "Water", 1],
+    ]),
+  ],
+};
+
+const getResult = (results, name) =>
+  results.find((result) => result.name === name);
+
+describe("findCraftableRecipes", () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter(database));
+    invalidateAllCaches();
+    initializeCalculationService({ getRecipeGraph });
+  });
+
+  test("intermediates are crafted from owned raw materials", async () => {
+    const { craftable } = await findCraftableRecipes({ 1000: 4, 1100: 1 });
+
+    expect(getResult(craftable, "Sword")).toMatchObject({
+      id: 4000,
+      crafts: 1,
+      quantity: 1,
+    });
+    expect(getResult(craftable, "Ingot").crafts).toBe(2);
+  });
+
+  test("a recipe short of a material or two is a near miss", async () => {
+    const { craftable, nearMisses } = await findCraftableRecipes({ 1100: 1 });
+
+    expect(getResult(craftable, "Sword")).toBeUndefined();
+    expect(getResult(nearMisses, "Sword").shortfall).toEqual([
+      { id: 1000, name: "Ore", quantity: 4, grade: "common" },
+    ]);
+  });
+
+  test("near misses stop at maxMissing", async () => {
+    const { nearMisses } = await findCraftableRecipes(
+      { 1100: 1 },
+      { maxMissing: 0 }
+    );
+
+    expect(nearMisses).toEqual([]);
+  });
+
+  test("batch crafts count every unit they make", async () => {
+    const { craftable } = await findCraftableRecipes({ 1100: 3, 1501: 5 });
+
+    // Three Wood make six Planks, enough for two Bows
+    expect(getResult(craftable, "Plank")).toMatchObject({
+      crafts: 3,
+      quantity: 6,
+    });
+    expect(getResult(craftable, "Bow").crafts).toBe(2);
+  });
+
+  test("owned stock of the item itself is not counted", async () => {
+    const { craftable } = await findCraftableRecipes({
+      2400: 5,
+      "2400:rare": 1,
+      1000: 2,
+    });
+
+    expect(getResult(craftable, "Ingot")).toMatchObject({
+      crafts: 1,
+      quantity: 1,
+    });
+  });
+});
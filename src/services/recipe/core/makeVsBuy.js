@@ -0,0 +1,214 @@
+import {
+  ITEM_TYPES,
+  PLAN_STEP_TYPES,
+  MAKE_VS_BUY_DECISIONS,
+} from "../constants.js";
+import {
+  processRecipeListToCraftingTreesSync,
+  breakDownToRawComponentsSync,
+  getGradedItemKey,
+} from "./calculations.js";
+import { buildCraftingPlan } from "./craftingPlan.js";
+import { getItemPrice } from "./costs.js";
+
+/**
+ * Make-versus-buy optimiser
+ * Decides for each intermediate with a market price whether buying it beats
+ * crafting it, then rebuilds the plan with bought items as leaves.
+ *
+ * Items are decided lowest tier first, so the craft cost of a higher tier
+ * already buys any of its inputs that are cheaper on the market.
+ *
+ * DATA FLOW:
+ * recipe list + prices → optimizeMakeVsBuy() → {trees, decisions, totalSavings}
+ */
+
+/**
+ * Sum how many units of each crafted item the trees still have to produce
+ * (after inventory and leftovers from earlier batches)
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Map} Graded item key (see getGradedItemKey) → quantity
+ */
+const collectCraftDemand = (trees) => {
+  const demand = new Map();
+
+  const visit = (node) => {
+    if (!node || node.isCircular || !(node.crafts > 0)) return;
+
+    const key = getGradedItemKey(node);
+    const needed = node.quantity - node.fromInventory - node.fromSurplus;
+    demand.set(key, (demand.get(key) || 0) + needed);
+    node.children.forEach(visit);
+  };
+
+  trees.forEach(visit);
+  return demand;
+};
+
+/**
+ * Collect the IDs of every crafted or bought item in the trees
+ * @param {Array} trees - Crafting tree root nodes
+ * @returns {Set} Item IDs as strings
+ */
+const collectPlanItemIds = (trees) => {
+  const ids = new Set();
+
+  const visit = (node) => {
+    if (!node || node.isCircular || node.type === ITEM_TYPES.RAW) return;
+
+    ids.add(String(node.id));
+    node.children.forEach(visit);
+  };
+
+  trees.forEach(visit);
+  return ids;
+};
+
+/**
+ * Price a list of materials
+ * @param {Array} materials - Leaves from breakDownToRawComponentsSync
+ * @param {Object} graph - Recipe graph
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @returns {Object} {cost, unpriced} where unpriced lists item names
+ */
+const priceMaterials = (materials, graph, prices) =>
+  materials.reduce(
+    (result, material) => {
+      const itemPrice = getItemPrice(graph, prices, material.id);
+      if (itemPrice) {
+        result.cost += itemPrice.price * material.quantity;
+      } else {
+        result.unpriced.push(material.name);
+      }
+      return result;
+    },
+    { cost: 0, unpriced: [] }
+  );
+
+/**
+ * Work out what crafting an item costs at each grade it is needed at
+ * Each grade is broken down on its own, so graded crafts are priced with
+ * the graded inputs they need, as in the plan's cost roll-up
+ * @param {Object} graph - Recipe graph
+ * @param {Array} steps - Craft steps of one item, one per grade
+ * @param {Map} demand - Quantities from collectCraftDemand
+ * @param {Object} prices - Market prices in copper keyed by item ID
+ * @param {Object} options - Breakdown options for the inputs
+ * @returns {Object} {cost, unpriced} where unpriced lists item names
+ */
+const priceCraft = (graph, steps, demand, prices, options) =>
+  steps.reduce(
+    (result, step) => {
+      const craft = priceMaterials(
+        breakDownToRawComponentsSync(
+          graph,
+          { id: step.id, name: step.name },
+          demand.get(step.key),
+          { ...options, grade: step.grade }
+        ),
+        graph,
+        prices
+      );
+      return {
+        cost: result.cost + craft.cost,
+        unpriced: [...new Set([...result.unpriced, ...craft.unpriced])],
+      };
+    },
+    { cost: 0, unpriced: [] }
+  );
+
+/**
+ * Decide make or buy for every intermediate with a market price
+ * Only market prices from the price book count as buy prices. When some
+ * materials have no price the craft cost is a lower bound: buying is chosen
+ * only if it still beats that bound, and the decision is marked incomplete.
+ * @param {Object} graph - Recipe graph
+ * @param {Array} recipeList - List of { recipe, quantity } items
+ * @param {Object} [options] - Breakdown options (see breakDownToRawComponents)
+ *   plus {prices} market prices in copper keyed by item ID
+ * @returns {Object} {trees, decisions, buyIds, totalSavings}
+ *   - trees: crafting trees that stop at bought items
+ *   - decisions: [{id, name, quantity, decision, marketPrice, buyCost,
+ *     craftCost, savings, incomplete, unpriced}] for items still in the plan
+ *   - buyIds: IDs of the items bought
+ *   - totalSavings: copper saved by the buy decisions
+ */
+export const optimizeMakeVsBuy = (graph, recipeList, options = {}) => {
+  const { prices = {}, ...breakdownOptions } = options;
+  const initialTrees = processRecipeListToCraftingTreesSync(
+    graph,
+    recipeList,
+    breakdownOptions
+  );
+
+  // Selected recipes are always crafted; decide their inputs lowest tier first
+  const rootIds = new Set(initialTrees.map((tree) => String(tree.id)));
+  const demand = collectCraftDemand(initialTrees);
+  // Crafts of one item at several grades share a single decision
+  const candidates = new Map();
+  for (const step of buildCraftingPlan(initialTrees).steps) {
+    if (
+      step.type === PLAN_STEP_TYPES.CRAFT &&
+      !rootIds.has(String(step.id)) &&
+      typeof prices[step.id] === "number" &&
+      demand.get(step.key) > 0
+    ) {
+      const idKey = String(step.id);
+      candidates.set(idKey, [...(candidates.get(idKey) || []), step]);
+    }
+  }
+
+  const buyIds = new Set([...(breakdownOptions.stopAt || [])].map(String));
+  const decisions = [...candidates.values()].map((steps) => {
+    const [step] = steps;
+    const quantity = steps.reduce(
+      (total, gradeStep) => total + demand.get(gradeStep.key),
+      0
+    );
+    const marketPrice = prices[step.id];
+    const buyCost = marketPrice * quantity;
+    const craft = priceCraft(graph, steps, demand, prices, {
+      recipeChoices: breakdownOptions.recipeChoices,
+      variantStrategy: breakdownOptions.variantStrategy,
+      stopAt: buyIds,
+    });
+
+    const isBuy = buyCost < craft.cost;
+    if (isBuy) {
+      buyIds.add(String(step.id));
+    }
+
+    return {
+      id: step.id,
+      name: step.name,
+      quantity,
+      decision: isBuy ? MAKE_VS_BUY_DECISIONS.BUY : MAKE_VS_BUY_DECISIONS.MAKE,
+      marketPrice,
+      buyCost,
+      craftCost: craft.cost,
+      savings: Math.abs(craft.cost - buyCost),
+      incomplete: craft.unpriced.length > 0,
+      unpriced: craft.unpriced,
+    };
+  });
+
+  const trees = processRecipeListToCraftingTreesSync(graph, recipeList, {
+    ...breakdownOptions,
+    stopAt: buyIds,
+  });
+
+  // Items inside something bought no longer appear in the plan
+  const planItemIds = collectPlanItemIds(trees);
+  const effectiveDecisions = decisions.filter((decision) =>
+    planItemIds.has(String(decision.id))
+  );
+
+  return {
+    trees,
+    decisions: effectiveDecisions,
+    buyIds: [...buyIds],
+    totalSavings: effectiveDecisions
+      .filter((decision) => decision.decision === MAKE_VS_BUY_DECISIONS.BUY)
+      .reduce((total, decision) => total + decision.savings, 0),
+  };
+};
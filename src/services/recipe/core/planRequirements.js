@@ -0,0 +1,107 @@
+import { ITEM_TYPES, SKILL_LEVELS, SKILL_LEVEL_ORDER } from "../constants.js";
+import { getGraphEntryById } from "./recipeGraph.js";
+
+/**
+ * Plan requirements
+ * Rolls the level requirements of every recipe crafted in a plan, and the
+ * gathering requirements of every raw material it needs, up into one summary.
+ *
+ * DATA FLOW:
+ * processRecipeListToCraftingTreesSync() → summarizePlanRequirements() → summary
+ */
+
+/**
+ * Rank a skill level so levels can be compared (unknown levels rank lowest)
+ * @param {string} level - Skill level (see SKILL_LEVELS)
+ * @returns {number} Rank
+ */
+const getSkillLevelRank = (level) => SKILL_LEVEL_ORDER.indexOf(level);
+
+/**
+ * Keep the entry with the highest level per skill
+ * Ties keep the first recipe found, which is the first selected recipe
+ * @param {Map} entries - Skill → requirement entry
+ * @param {Object} entry - Candidate requirement entry
+ */
+const keepHighestLevel = (entries, entry) => {
+  const current = entries.get(entry.skill);
+  if (
+    !current ||
+    getSkillLevelRank(entry.level) > getSkillLevelRank(current.level)
+  ) {
+    entries.set(entry.skill, entry);
+  }
+};
+
+/**
+ * Summarise the skill and level requirements of a plan
+ * Only recipes that are actually crafted and raw materials that still have
+ * to be gathered after inventory count towards the summary.
+ * @param {Array} trees - Crafting tree root nodes
+ * @param {Object} graph - Recipe graph used to build the trees
+ * @returns {Object} Summary {playerLevel, artisanSkills, gatheringSkills}
+ *   - playerLevel: {level, recipeId, recipeName} or null when nothing is crafted
+ *   - artisanSkills: [{skill, level, recipeId, recipeName}] sorted by skill
+ *   - gatheringSkills: [{skill, level, itemId, itemName, recipeId, recipeName}]
+ *     sorted by skill, where the recipe is the one that uses the material
+ */
+export const summarizePlanRequirements = (trees = [], graph) => {
+  let playerLevel = null;
+  const artisanSkills = new Map();
+  const gatheringSkills = new Map();
+
+  const visit = (node, parent) => {
+    if (!node || node.isCircular) return;
+
+    const entry = graph ? getGraphEntryById(graph, node.id) : null;
+
+    if (node.type === ITEM_TYPES.RAW) {
+      const gathering = entry?.gathering;
+      if (gathering?.skill && node.quantity > node.fromInventory) {
+        keepHighestLevel(gatheringSkills, {
+          skill: gathering.skill,
+          level: gathering.skillLevel || SKILL_LEVELS.NONE,
+          itemId: node.id,
+          itemName: node.name,
+          recipeId: parent ? parent.id : null,
+          recipeName: parent ? parent.name : null,
+        });
+      }
+      return;
+    }
+
+    if (!(node.crafts > 0)) return;
+
+    const requirements = entry?.requirements || {};
+    if (
+      requirements.playerLevel !== undefined &&
+      (!playerLevel || requirements.playerLevel > playerLevel.level)
+    ) {
+      playerLevel = {
+        level: requirements.playerLevel,
+        recipeId: node.id,
+        recipeName: node.name,
+      };
+    }
+
+    if (node.artisanSkill && requirements.artisanLevel) {
+      keepHighestLevel(artisanSkills, {
+        skill: node.artisanSkill,
+        level: requirements.artisanLevel,
+        recipeId: node.id,
+        recipeName: node.name,
+      });
+    }
+
+    node.children.forEach((child) => visit(child, node));
+  };
+
+  trees.forEach((tree) => visit(tree, null));
+
+  const bySkill = (a, b) => a.skill.localeCompare(b.skill);
+  return {
+    playerLevel,
+    artisanSkills: [...artisanSkills.values()].sort(bySkill),
+    gatheringSkills: [...gatheringSkills.values()].sort(bySkill),
+  };
+};
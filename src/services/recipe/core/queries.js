@@ -1,5 +1,11 @@
 import { VALID_RECIPE_TYPES, CACHE_DURATION } from "../constants.js";
 import * as storageOperations from "../data/storageOperations.js";
+import {
+  createRecipeGraph,
+  resolveItemReference,
+  getReferenceName,
+  normalizeRecipeName,
+} from "./recipeGraph.js";
 
 /**
  * RECIPE QUERY SERVICE WITH COMPLETE CRUD OPERATIONS
@@ -77,6 +83,17 @@ const metadataCache = {
   timestamp: null,
 };
 
+/**
+ * Recipe graph cache, indexed by ID and normalised name
+ * DATA: Graph built from the global recipe cache (see recipeGraph.js)
+ * @type {Object|null} Cache object with the graph and the recipes it indexes
+ */
+const recipeGraphCache = {
+  data: null,
+  timestamp: null,
+  source: null,
+};
+
 // ==========================================
 // CACHE MANAGEMENT UTILITIES
 // ==========================================
@@ -130,6 +147,11 @@ const invalidateSpecificCaches = (type) => {
   // Statistics might have changed, so invalidate metadata cache
   metadataCache.data = null;
   metadataCache.timestamp = null;
+
+  // The graph indexes all types, so it is rebuilt on next access
+  recipeGraphCache.data = null;
+  recipeGraphCache.timestamp = null;
+  recipeGraphCache.source = null;
 };
 
 /**
@@ -155,6 +177,11 @@ export const invalidateAllCaches = () => {
   // Clear metadata cache
   metadataCache.data = null;
   metadataCache.timestamp = null;
+
+  // Clear recipe graph
+  recipeGraphCache.data = null;
+  recipeGraphCache.timestamp = null;
+  recipeGraphCache.source = null;
 };
 
 // ==========================================
@@ -335,6 +362,46 @@ export const getAllRecipes = async () => {
   }
 };
 
+/**
+ * Get the recipe graph indexed by ID and normalised name
+ *
+ * Built once from the global recipe cache and reused until the caches are
+ * invalidated or the recipe data is reloaded. Lets the calculation engine
+ * resolve items synchronously instead of scanning getAllRecipes() per node.
+ *
+ * DATA FLOW:
+ * getAllRecipes() → createRecipeGraph() → Graph Cache
+ *
+ * @async
+ * @function getRecipeGraph
+ * @returns {Promise<Object>} Recipe graph {byId, byName, size}
+ *
+ * @example
+ * const graph = await getRecipeGraph();
+ * const sword = graph.byId.get("4000");
+ */
+export const getRecipeGraph = async () => {
+  try {
+    const allRecipes = await getAllRecipes();
+
+    if (
+      isCacheValid(recipeGraphCache) &&
+      recipeGraphCache.source === allRecipes
+    ) {
+      return recipeGraphCache.data;
+    }
+
+    console.log(`🕸️ Building recipe graph from ${allRecipes.length} recipes`);
+    updateCache(recipeGraphCache, createRecipeGraph(allRecipes));
+    recipeGraphCache.source = allRecipes;
+
+    return recipeGraphCache.data;
+  } catch (error) {
+    console.error("❌ Error building recipe graph:", error);
+    return createRecipeGraph([]);
+  }
+};
+
 /**
  * Get recipes by specific type with caching
  *
@@ -541,6 +608,138 @@ export const getRecipesByComponent = async (componentName) => {
   }
 };
 
+/**
+ * Index the recipes that use each item
+ * Component references are resolved through resolveItemReference, ID first,
+ * so a line whose name is out of date still counts for the item its ID
+ * points to.
+ *
+ * @param {Object} graph - Recipe graph
+ * @param {Array<Object>} recipes - Recipes in database order
+ * @returns {Map} Normalised item name → [{recipe, componentQuantity}], where
+ *   componentQuantity adds up the recipe's lines for the item
+ */
+const indexRecipeUsers = (graph, recipes) => {
+  const usersByItem = new Map();
+  for (const recipe of recipes) {
+    const quantities = new Map();
+    for (const component of recipe.recipe?.components || []) {
+      const { entry } = resolveItemReference(graph, component);
+      const itemKey = normalizeRecipeName(
+        entry ? entry.name : getReferenceName(component)
+      );
+      quantities.set(
+        itemKey,
+        (quantities.get(itemKey) || 0) + (component.quantity || 1)
+      );
+    }
+
+    for (const [itemKey, componentQuantity] of quantities) {
+      if (!usersByItem.has(itemKey)) {
+        usersByItem.set(itemKey, []);
+      }
+      usersByItem.get(itemKey).push({ recipe, componentQuantity });
+    }
+  }
+  return usersByItem;
+};
+
+/**
+ * Build the where-used nodes for one item, recursing into each user
+ *
+ * @param {string} itemKey - Normalised name of the item whose users are listed
+ * @param {number} perUnit - Units of the root item in one unit of the item
+ * @param {Array<string>} path - Normalised item names from the root down to the item
+ * @param {Object} context - {usersByItem, recipeIds}: users from
+ *   indexRecipeUsers, and the IDs of every recipe met so far
+ * @returns {Array<Object>} Where-used nodes for the recipes using the item
+ */
+const buildWhereUsedNodes = (itemKey, perUnit, path, context) =>
+  (context.usersByItem.get(itemKey) || []).map(
+    ({ recipe, componentQuantity }) => {
+      const recipeKey = normalizeRecipeName(recipe.name);
+      const outputQuantity = recipe.recipe.outputQuantity || 1;
+      const quantity = (componentQuantity * perUnit) / outputQuantity;
+      const isCircular = path.includes(recipeKey);
+      context.recipeIds.add(String(recipe.id));
+
+      return {
+        id: recipe.id,
+        name: recipe.name,
+        type: recipe.type,
+        componentQuantity,
+        outputQuantity,
+        quantity,
+        isCircular,
+        usedBy: isCircular
+          ? []
+          : buildWhereUsedNodes(
+              recipeKey,
+              quantity,
+              [...path, recipeKey],
+              context
+            ),
+      };
+    }
+  );
+
+/**
+ * Get the full "where used" tree for an item
+ *
+ * NEW FUNCTION: Recursive counterpart of getRecipesByComponent
+ *
+ * Follows the recipes using the item upwards until no recipe uses it any
+ * more, multiplying quantities along each path. Items and component lines
+ * are resolved through resolveItemReference, ID first, like the breakdown.
+ * A recipe that leads back to an item already on its path is marked
+ * circular and not expanded.
+ *
+ * DATA STRUCTURE:
+ * {name, recipeCount, usedBy: [{id, name, type, componentQuantity,
+ *   outputQuantity, quantity, isCircular, usedBy: [...]}]}
+ * - componentQuantity: units of the child item per craft of this recipe
+ * - quantity: units of the root item in one unit of this recipe's output
+ * - recipeCount: distinct recipes anywhere in the tree
+ *
+ * @async
+ * @function getWhereUsedTree
+ * @param {string|Object} component - Name of the item to trace, or a
+ *   component reference {id, name} (resolved by ID first)
+ * @returns {Promise<Object>} Where-used tree rooted at the item
+ *
+ * @example
+ * // Daffodil → Daffodil Powder → Yellow Ink → ...
+ * const tree = await getWhereUsedTree('Daffodil');
+ * tree.usedBy[0].usedBy[0].quantity; // Daffodils in one Yellow Ink
+ */
+export const getWhereUsedTree = async (component) => {
+  const componentName = getReferenceName(component);
+  try {
+    const allRecipes = await getAllRecipes();
+    const graph = await getRecipeGraph();
+    const { entry } = resolveItemReference(graph, component);
+    const name = entry ? entry.name : componentName;
+    const itemKey = normalizeRecipeName(name);
+
+    const context = {
+      usersByItem: indexRecipeUsers(graph, allRecipes),
+      recipeIds: new Set(),
+    };
+    const usedBy = buildWhereUsedNodes(itemKey, 1, [itemKey], context);
+
+    console.log(
+      `🔍 Traced ${context.recipeIds.size} recipes using "${name}" directly or indirectly`
+    );
+    return { name, recipeCount: context.recipeIds.size, usedBy };
+  } catch (error) {
+    console.error(
+      `❌ Error building where-used tree for ${componentName}:`,
+      error
+    );
+    return { name: componentName, recipeCount: 0, usedBy: [] };
+  }
+};
+
 // ==========================================
 // METADATA QUERY FUNCTIONS
 // ==========================================
@@ -1014,6 +1213,8 @@ const queriesModule = {
   getRecipeById, // OLD: getRecipeById
   filterRecipes, // OLD: filterRecipes
   getRecipesByComponent, // OLD: getRecipesByComponent
+  getWhereUsedTree, // NEW: getWhereUsedTree (recursive getRecipesByComponent)
+  getRecipeGraph, // NEW: getRecipeGraph (indexed graph for calculations)
 
   // METADATA QUERIES (OLD FUNCTION NAMES MAINTAINED)
   getArtisanSkills, // OLD: getArtisanSkills
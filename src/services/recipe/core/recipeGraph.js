@@ -0,0 +1,361 @@
+/**
+ * Recipe graph
+ * Indexes recipe data by ID and by normalised name so the breakdown can
+ * resolve every node with a map lookup instead of scanning the recipe list.
+ *
+ * DATA FLOW:
+ * queries.getAllRecipes() → createRecipeGraph() → calculations (synchronous)
+ */
+
+import { REFERENCE_ISSUES } from "../constants.js";
+
+/**
+ * Normalise an item name for lookups
+ * Case, surrounding whitespace and repeated inner spaces are ignored
+ * @param {string} name - Item name
+ * @returns {string} Normalised name
+ */
+export const normalizeRecipeName = (name) =>
+  String(name ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+/**
+ * Build the recipe graph from a flattened recipe list
+ * @param {Array} recipes - Flattened recipes with type information (see getAllRecipes)
+ * @returns {Object} Graph {byId, byName, nameLookups, size}
+ *   - byId: Map of String(id) → recipe (first entry wins on collisions)
+ *   - byName: Map of normalised name → {entries, recipes}, where entries lists
+ *     every database entry with that name and recipes only the craftable ones
+ *     (alternative recipes in database order)
+ *   - nameLookups: Map of names as written → byName node, filled on lookup
+ */
+export const createRecipeGraph = (recipes = []) => {
+  const byId = new Map();
+  const byName = new Map();
+
+  for (const recipe of recipes) {
+    if (!recipe || recipe.name === undefined) continue;
+
+    const idKey = String(recipe.id);
+    if (byId.has(idKey)) {
+      console.warn(`⚠️ Duplicate recipe ID ${idKey} (${recipe.name})`);
+    } else {
+      byId.set(idKey, recipe);
+    }
+
+    const nameKey = normalizeRecipeName(recipe.name);
+    if (!byName.has(nameKey)) {
+      byName.set(nameKey, { entries: [], recipes: [] });
+    }
+    const node = byName.get(nameKey);
+    node.entries.push(recipe);
+    if (recipe.recipe?.components) {
+      node.recipes.push(recipe);
+    }
+  }
+
+  return { byId, byName, nameLookups: new Map(), size: recipes.length };
+};
+
+/**
+ * Look up the name node for an item, remembering the raw spelling so repeat
+ * lookups skip normalisation
+ * @param {Object} graph - Recipe graph
+ * @param {string} name - Item name as written in a recipe
+ * @returns {Object|null} {entries, recipes} or null if the name is unknown
+ */
+const lookupName = (graph, name) => {
+  let node = graph.nameLookups.get(name);
+  if (node === undefined) {
+    node = graph.byName.get(normalizeRecipeName(name)) || null;
+    graph.nameLookups.set(name, node);
+  }
+  return node;
+};
+
+/**
+ * Get a database entry by ID
+ * @param {Object} graph - Recipe graph
+ * @param {number|string} id - Item ID
+ * @returns {Object|null} Recipe or raw component, or null if not found
+ */
+export const getGraphEntryById = (graph, id) =>
+  graph.byId.get(String(id)) || null;
+
+/**
+ * Get every database entry with a name
+ * @param {Object} graph - Recipe graph
+ * @param {string} name - Item name
+ * @returns {Array} Entries with that name (empty if none)
+ */
+export const getGraphEntriesByName = (graph, name) =>
+  lookupName(graph, name)?.entries || [];
+
+/**
+ * Get the craftable recipes for an item name
+ * @param {Object} graph - Recipe graph
+ * @param {string} name - Item name
+ * @returns {Array} Alternative recipes in database order (empty if none)
+ */
+export const getGraphRecipesByName = (graph, name) =>
+  lookupName(graph, name)?.recipes || [];
+
+/**
+ * Get the name a component reference is written with
+ * @param {string|Object} reference - Item name, or component reference {id, name}
+ * @returns {string} Referenced name (the item name for a plain string)
+ */
+export const getReferenceName = (reference) =>
+  typeof reference === "object" && reference !== null
+    ? reference.name || reference.item
+    : reference;
+
+/**
+ * Resolve a component reference to a database entry, ID first
+ * The name is only used when the reference has no ID or an unknown one; by
+ * name, craftable recipes win over raw entries. A name that disagrees with
+ * the entry found by ID is reported, but the ID still decides.
+ * @param {Object} graph - Recipe graph
+ * @param {string|Object} reference - Item name, or component reference {id, name}
+ * @returns {Object} {entry, issue} - the entry (null if nothing matches) and
+ *   a REFERENCE_ISSUES value when the ID and name disagree (otherwise null)
+ */
+export const resolveItemReference = (graph, reference) => {
+  const name = getReferenceName(reference);
+  const id = typeof reference === "object" ? reference?.id : undefined;
+  const entryByName =
+    getGraphRecipesByName(graph, name)[0] ||
+    getGraphEntriesByName(graph, name)[0] ||
+    null;
+
+  if (id === undefined || id === null) {
+    return { entry: entryByName, issue: null };
+  }
+
+  const entry = getGraphEntryById(graph, id);
+  if (!entry) {
+    return { entry: entryByName, issue: REFERENCE_ISSUES.UNKNOWN_ID };
+  }
+
+  const nameMatches =
+    name === undefined ||
+    normalizeRecipeName(name) === normalizeRecipeName(entry.name);
+  return {
+    entry,
+    issue: nameMatches ? null : REFERENCE_ISSUES.NAME_MISMATCH,
+  };
+};
+
+/**
+ * Find component references whose ID and name disagree
+ * @param {Object} graph - Recipe graph
+ * @returns {Array} Issues {recipeId, recipeName, componentId, componentName,
+ *   resolvedId, resolvedName, issue} in database order, where resolved* is
+ *   the item the breakdown uses (null when nothing matches)
+ */
+export const findComponentReferenceIssues = (graph) => {
+  const issues = [];
+
+  for (const recipe of graph.byId.values()) {
+    for (const component of recipe.recipe?.components || []) {
+      const { entry, issue } = resolveItemReference(graph, component);
+      if (!issue) continue;
+
+      issues.push({
+        recipeId: recipe.id,
+        recipeName: recipe.name,
+        componentId: component.id,
+        componentName: getReferenceName(component),
+        resolvedId: entry ? entry.id : null,
+        resolvedName: entry ? entry.name : null,
+        issue,
+      });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Create a lookup of the items each item depends on
+ * An item depends on the components of all its alternative recipes; only
+ * components that are items in the graph are followed.
+ * @param {Object} graph - Recipe graph
+ * @returns {Function} (nameKey) → [{to, recipe}], memoised, where to is the
+ *   component's normalised name and recipe the variant that uses it
+ */
+const createDependencyLookup = (graph) => {
+  const dependencies = new Map();
+
+  return (nameKey) => {
+    if (!dependencies.has(nameKey)) {
+      const recipes = graph.byName.get(nameKey)?.recipes || [];
+      dependencies.set(
+        nameKey,
+        recipes
+          .flatMap((recipe) =>
+            recipe.recipe.components.map((component) => {
+              const { entry } = resolveItemReference(graph, component);
+              return {
+                to: normalizeRecipeName(
+                  entry ? entry.name : getReferenceName(component)
+                ),
+                recipe,
+              };
+            })
+          )
+          .filter(({ to }) => graph.byName.has(to))
+      );
+    }
+    return dependencies.get(nameKey);
+  };
+};
+
+/**
+ * Find the shortest dependency loop from an item back to itself
+ * @param {Function} getDependencies - Lookup from createDependencyLookup
+ * @param {string} startKey - Normalised name of the item
+ * @param {Set} [members] - Normalised names the loop may pass through; any
+ *   item when omitted
+ * @returns {Object|null} Cycle {path, ids} (see findRecipeCycles) or null
+ *   when the item cannot reach itself
+ */
+const findShortestCycle = (getDependencies, startKey, members = null) => {
+  const previous = new Map();
+  const queue = [startKey];
+
+  for (let i = 0; i < queue.length; i++) {
+    const nameKey = queue[i];
+
+    for (const { to, recipe } of getDependencies(nameKey)) {
+      if (members && !members.has(to)) continue;
+
+      if (to === startKey) {
+        const steps = [recipe];
+        for (let key = nameKey; key !== startKey;) {
+          const step = previous.get(key);
+          steps.unshift(step.recipe);
+          key = step.from;
+        }
+        return {
+          path: [...steps.map((step) => step.name), steps[0].name],
+          ids: steps.map((step) => step.id),
+        };
+      }
+
+      if (!previous.has(to)) {
+        previous.set(to, { from: nameKey, recipe });
+        queue.push(to);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Group items into strongly connected components (Tarjan's algorithm)
+ * Items in one component can all reach each other, so every component with
+ * more than one item, or with an item using itself, is a set of loops.
+ * @param {Object} graph - Recipe graph
+ * @param {Function} getDependencies - Lookup from createDependencyLookup
+ * @returns {Array<Set>} Components as sets of normalised names
+ */
+const findStronglyConnectedItems = (graph, getDependencies) => {
+  const components = [];
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+
+  const connect = (nameKey) => {
+    indices.set(nameKey, indices.size);
+    lowLinks.set(nameKey, indices.get(nameKey));
+    stack.push(nameKey);
+    onStack.add(nameKey);
+
+    for (const { to } of getDependencies(nameKey)) {
+      if (!indices.has(to)) {
+        connect(to);
+        lowLinks.set(
+          nameKey,
+          Math.min(lowLinks.get(nameKey), lowLinks.get(to))
+        );
+      } else if (onStack.has(to)) {
+        lowLinks.set(nameKey, Math.min(lowLinks.get(nameKey), indices.get(to)));
+      }
+    }
+
+    if (lowLinks.get(nameKey) === indices.get(nameKey)) {
+      const component = new Set();
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.add(member);
+      } while (member !== nameKey);
+      components.push(component);
+    }
+  };
+
+  for (const nameKey of graph.byName.keys()) {
+    if (!indices.has(nameKey)) connect(nameKey);
+  }
+
+  return components;
+};
+
+/**
+ * Find the circular dependencies in the recipe graph
+ * An item depends on the components of all its alternative recipes, so a
+ * cycle through any variant is reported. Items on loops are found as
+ * strongly connected components, and every such item appears in at least one
+ * reported cycle: the shortest loop from the first item in database order
+ * not yet covered, repeated until the whole component is covered.
+ * @param {Object} graph - Recipe graph
+ * @returns {Array} Cycles {path, ids}: item names from an item back to itself
+ *   (e.g. ["A", "B", "C", "A"]) and the recipe IDs along the path
+ */
+export const findRecipeCycles = (graph) => {
+  const getDependencies = createDependencyLookup(graph);
+  const cyclicComponents = findStronglyConnectedItems(
+    graph,
+    getDependencies
+  ).filter((component) => {
+    const [first] = component;
+    return (
+      component.size > 1 ||
+      getDependencies(first).some(({ to }) => to === first)
+    );
+  });
+
+  const cycles = [];
+  const covered = new Set();
+  for (const nameKey of graph.byName.keys()) {
+    if (covered.has(nameKey)) continue;
+
+    const component = cyclicComponents.find((members) => members.has(nameKey));
+    if (!component) continue;
+
+    const cycle = findShortestCycle(getDependencies, nameKey, component);
+    cycle.path.forEach((name) => covered.add(normalizeRecipeName(name)));
+    cycles.push(cycle);
+  }
+
+  return cycles;
+};
+
+/**
+ * Find a circular dependency through one item
+ * @param {Object} graph - Recipe graph
+ * @param {string} itemName - Item name
+ * @returns {Object|null} Shortest cycle {path, ids} from the item back to
+ *   itself (see findRecipeCycles), or null when it cannot reach itself
+ */
+export const findRecipeCycleThrough = (graph, itemName) =>
+  findShortestCycle(
+    createDependencyLookup(graph),
+    normalizeRecipeName(itemName)
+  );
@@ -0,0 +1,103 @@
+import { createRecipeGraph, findRecipeCycles } from "./recipeGraph.js";
+import { validateNoCircularDependencies } from "../processing/validators.js";
+
+/**
+ * Build an intermediate recipe using other items one each
+ * @param {number} id - Recipe ID
+ * @param {string} name - Item name
+ * @param {Array} uses - [id, name] of the components
+ * @returns {Object} Recipe
+ */
+const makeRecipe = (id, name, uses) => ({
+  id,
+  name,
+  description: name,
+  requirements: { playerLevel: 0, artisanLevel: "novice" },
+  recipe: {
+    artisanSkill: "carpentry",
+    workStation: "Bench",
+    craftingTime: 1,
+    artisanXp: 1,
+    components: uses.map(([componentId, componentName]) => ({
+      id: componentId,
+      name: componentName,
+      quantity: 1,
+    })),
+  },
+});
+
+// A → B, A → D, B → C, C → A, D → B: D's only loop runs through B, which a
+// depth-first search from A has already finished when it reaches D
+const A = [1, "A"];
+const B = [2, "B"];
+const C = [3, "C"];
+const D = [4, "D"];
+const loopRecipes = [
+  makeRecipe(...A, [B, D]),
+  makeRecipe(...B, [C]),
+  makeRecipe(...C, [A]),
+  makeRecipe(...D, [B]),
+];
+
+const toRecipesData = (recipes) => ({
+  raw_components: [],
+  intermediate_recipes: recipes,
+  crafted_items: [],
+});
+
+describe("findRecipeCycles", () => {
+  it("reports every item on a loop, including loops through finished items", () => {
+    const graph = createRecipeGraph(
+      loopRecipes.map((recipe) => ({ ...recipe, type: "intermediate_recipes" }))
+    );
+    const cycles = findRecipeCycles(graph);
+
+    expect(cycles[0].path).toEqual(["A", "B", "C", "A"]);
+    expect(cycles[0].ids).toEqual([1, 2, 3]);
+    expect(new Set(cycles.flatMap((cycle) => cycle.path))).toEqual(
+      new Set(["A", "B", "C", "D"])
+    );
+    for (const { path } of cycles) {
+      expect(path[0]).toBe(path[path.length - 1]);
+    }
+  });
+
+  it("reports nothing for a graph without loops", () => {
+    const graph = createRecipeGraph([
+      makeRecipe(...A, [B]),
+      makeRecipe(...B, [C]),
+      makeRecipe(...C, []),
+    ]);
+    expect(findRecipeCycles(graph)).toEqual([]);
+  });
+});
+
+describe("validateNoCircularDependencies", () => {
+  it("rejects an edit to D that closes a loop", () => {
+    const recipes = toRecipesData([
+      makeRecipe(...A, [B, D]),
+      makeRecipe(...B, [C]),
+      makeRecipe(...C, []),
+      makeRecipe(...D, [B]),
+    ]);
+    expect(() => validateNoCircularDependencies(recipes, "D")).not.toThrow();
+
+    recipes.intermediate_recipes[2] = makeRecipe(...C, [A]);
+    expect(() => validateNoCircularDependencies(recipes, "D")).toThrow(
+      "Circular dependency: D → B → C → A → D"
+    );
+  });
+
+  it("ignores loops that do not pass through the edited item", () => {
+    const recipes = toRecipesData([
+      ...loopRecipes.slice(0, 3).map((recipe) =>
+        recipe.name === "A" ? makeRecipe(...A, [B]) : recipe
+      ),
+      makeRecipe(...D, [B]),
+    ]);
+    expect(() => validateNoCircularDependencies(recipes, "D")).not.toThrow();
+    expect(() => validateNoCircularDependencies(recipes)).toThrow(
+      "Circular dependency: A → B → C → A"
+    );
+  });
+});
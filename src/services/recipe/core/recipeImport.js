@@ -0,0 +1,335 @@
+import { VALID_RECIPE_TYPES, IMPORT_CHANGE_KINDS } from "../constants.js";
+import { ValidationError } from "../../../utils/errorHandler.js";
+import { validateRecipesData } from "../processing/validators.js";
+import { parseRecipesCsv } from "../processing/csv.js";
+import {
+  getAllRecipesFromStorage,
+  addRecipeToStorage,
+  replaceRecipeInStorage,
+  removeRecipeFromStorage,
+} from "../data/storageOperations.js";
+import * as storage from "../data/storage.js";
+import { invalidateAllCaches } from "./queries.js";
+
+/**
+ * Recipe database import
+ * Compares an exported recipes.json with the current database so each
+ * difference can be accepted or rejected before it is applied.
+ *
+ * Recipes are matched by ID across the three recipe types. Only recipes are
+ * compared; artisan levels and gathering skills are left as they are.
+ *
+ * A recipe CSV (see processing/csv.js) goes through the same review. It only
+ * replaces the recipe types it has rows for, and nothing is compared until
+ * every row is valid.
+ *
+ * When the bundled recipes.json is newer than the stored database (see
+ * getSeedUpdate), it is reviewed the same way, so its changes can be merged
+ * without losing the player's own edits.
+ *
+ * DATA FLOW:
+ * uploaded JSON → parseRecipeImport() → diffRecipeDatabases() → changes
+ * uploaded CSV → parseRecipesCsv() → row errors, or diffRecipeDatabases()
+ * bundled recipes.json → previewSeedMerge() → diffRecipeDatabases()
+ *   → accepted changes → applyRecipeImport() → storage operations
+ *   → invalidateAllCaches()
+ */
+
+// Order changes are listed and applied in
+const CHANGE_KIND_ORDER = [
+  IMPORT_CHANGE_KINDS.ID_COLLISION,
+  IMPORT_CHANGE_KINDS.CHANGED,
+  IMPORT_CHANGE_KINDS.ADDED,
+  IMPORT_CHANGE_KINDS.REMOVED,
+];
+
+/**
+ * Index the recipes of a database by ID
+ * @param {Object} recipesData - Recipes data (recipe arrays keyed by type)
+ * @returns {Map} String(id) → {type, recipe}; first entry wins
+ */
+const indexRecipesById = (recipesData) => {
+  const byId = new Map();
+  for (const type of VALID_RECIPE_TYPES) {
+    for (const recipe of recipesData?.[type] || []) {
+      const idKey = String(recipe?.id);
+      if (!byId.has(idKey)) {
+        byId.set(idKey, { type, recipe });
+      }
+    }
+  }
+  return byId;
+};
+
+/**
+ * List the top-level fields that differ between two versions of a recipe
+ * @param {Object} current - Current recipe
+ * @param {Object} incoming - Imported recipe
+ * @returns {string[]} Field names, sorted
+ */
+const getChangedFields = (current, incoming) =>
+  [...new Set([...Object.keys(current), ...Object.keys(incoming)])]
+    .filter(
+      (field) =>
+        JSON.stringify(current[field]) !== JSON.stringify(incoming[field])
+    )
+    .sort();
+
+/**
+ * Parse and validate an uploaded recipe database
+ * @param {string} text - File contents
+ * @returns {Object} Recipes data
+ * @throws {ValidationError} If the file is not JSON, fails
+ *   validateRecipesData or uses an ID more than once
+ */
+export const parseRecipeImport = (text) => {
+  let recipesData;
+  try {
+    recipesData = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(
+      "file",
+      `Not a valid JSON file: ${error.message}`
+    );
+  }
+
+  validateRecipesData(recipesData);
+
+  const seenIds = new Set();
+  for (const type of VALID_RECIPE_TYPES) {
+    (recipesData[type] || []).forEach((recipe, index) => {
+      const idKey = String(recipe?.id);
+      if (seenIds.has(idKey)) {
+        throw new ValidationError(
+          `recipes.${type}[${index}].id`,
+          `ID ${idKey} is used more than once in the import`
+        );
+      }
+      seenIds.add(idKey);
+    });
+  }
+
+  return recipesData;
+};
+
+/**
+ * Compare an imported recipe database with the current one
+ * @param {Object} current - Current recipes data
+ * @param {Object} incoming - Imported recipes data
+ * @returns {Object} {changes, unchanged}
+ *   - changes: [{key, kind, id, name, type, current, currentType, incoming,
+ *     fields}] sorted by kind then name, where current/incoming are the two
+ *     versions (null when missing) and fields lists what differs
+ *   - unchanged: number of recipes identical in both
+ */
+export const diffRecipeDatabases = (current, incoming) => {
+  const currentById = indexRecipesById(current);
+  const incomingById = indexRecipesById(incoming);
+  const changes = [];
+  let unchanged = 0;
+
+  for (const [idKey, imported] of incomingById) {
+    const existing = currentById.get(idKey);
+    const change = {
+      key: idKey,
+      id: imported.recipe.id,
+      name: imported.recipe.name,
+      type: imported.type,
+      current: existing?.recipe || null,
+      currentType: existing?.type || null,
+      incoming: imported.recipe,
+    };
+
+    if (!existing) {
+      changes.push({
+        ...change,
+        kind: IMPORT_CHANGE_KINDS.ADDED,
+        fields: [],
+      });
+    } else if (
+      existing.type !== imported.type ||
+      existing.recipe.name !== imported.recipe.name
+    ) {
+      changes.push({
+        ...change,
+        kind: IMPORT_CHANGE_KINDS.ID_COLLISION,
+        fields: getChangedFields(existing.recipe, imported.recipe),
+      });
+    } else {
+      const fields = getChangedFields(existing.recipe, imported.recipe);
+      if (fields.length === 0) {
+        unchanged++;
+      } else {
+        changes.push({ ...change, kind: IMPORT_CHANGE_KINDS.CHANGED, fields });
+      }
+    }
+  }
+
+  for (const [idKey, existing] of currentById) {
+    if (!incomingById.has(idKey)) {
+      changes.push({
+        key: idKey,
+        kind: IMPORT_CHANGE_KINDS.REMOVED,
+        id: existing.recipe.id,
+        name: existing.recipe.name,
+        type: existing.type,
+        current: existing.recipe,
+        currentType: existing.type,
+        incoming: null,
+        fields: [],
+      });
+    }
+  }
+
+  changes.sort(
+    (a, b) =>
+      CHANGE_KIND_ORDER.indexOf(a.kind) - CHANGE_KIND_ORDER.indexOf(b.kind) ||
+      String(a.name).localeCompare(String(b.name))
+  );
+
+  return { changes, unchanged };
+};
+
+/**
+ * Parse an uploaded recipe database and compare it with the current one
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} {changes, unchanged} (see diffRecipeDatabases)
+ * @throws {ValidationError} If the file is invalid (see parseRecipeImport)
+ */
+export const previewRecipeImport = async (text) => {
+  const incoming = parseRecipeImport(text);
+  const current = await getAllRecipesFromStorage();
+  return diffRecipeDatabases(current, incoming);
+};
+
+/**
+ * Parse an uploaded recipe CSV and compare it with the current database
+ * Recipe types without rows in the file are kept as they are, so a sheet of
+ * raw components does not remove the crafted items.
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} {changes, unchanged, errors}
+ *   - changes, unchanged: see diffRecipeDatabases; empty when there are
+ *     errors
+ *   - errors: [{row, column, message}] from parseRecipesCsv
+ * @throws {ValidationError} If the file is empty or is not valid CSV
+ */
+export const previewRecipeCsvImport = async (text) => {
+  const { recipes, errors } = parseRecipesCsv(text);
+  if (errors.length > 0) {
+    return { changes: [], unchanged: 0, errors };
+  }
+
+  const current = await getAllRecipesFromStorage();
+  return {
+    ...diffRecipeDatabases(current, { ...current, ...recipes }),
+    errors,
+  };
+};
+
+/**
+ * Apply one import change through the storage operations
+ * An ID collision replaces the current item; when it moves to another type
+ * the imported version is added before the old one is removed.
+ * @param {Object} change - Change from diffRecipeDatabases
+ * @returns {Promise<Object>} Storage operation result {success, message}
+ */
+const applyChange = async (change) => {
+  switch (change.kind) {
+    case IMPORT_CHANGE_KINDS.ADDED:
+      return addRecipeToStorage(change.type, change.incoming);
+    case IMPORT_CHANGE_KINDS.REMOVED:
+      return removeRecipeFromStorage(change.type, change.id);
+    default: {
+      if (change.currentType === change.type) {
+        return replaceRecipeInStorage(change.type, change.incoming);
+      }
+      const added = await addRecipeToStorage(change.type, change.incoming);
+      return added.success
+        ? removeRecipeFromStorage(change.currentType, change.id)
+        : added;
+    }
+  }
+};
+
+/**
+ * Apply accepted import changes to the recipe database
+ * Each change goes through the storage operations, with their validation,
+ * one at a time; a change that fails is reported and the rest still apply.
+ * Recipe caches are invalidated afterwards.
+ * @param {Array} changes - Accepted changes from diffRecipeDatabases
+ * @returns {Promise<Object>} {applied, failed}
+ *   - applied: changes applied
+ *   - failed: [{change, message}] changes the storage operations rejected
+ */
+export const applyRecipeImport = async (changes = []) => {
+  const applied = [];
+  const failed = [];
+
+  const ordered = [...changes].sort(
+    (a, b) =>
+      CHANGE_KIND_ORDER.indexOf(a.kind) - CHANGE_KIND_ORDER.indexOf(b.kind)
+  );
+  for (const change of ordered) {
+    const result = await applyChange(change);
+    if (result.success) {
+      applied.push(change);
+    } else {
+      failed.push({ change, message: result.message });
+    }
+  }
+
+  invalidateAllCaches();
+  console.log(
+    `📦 Import applied: ${applied.length} changes, ${failed.length} failed`
+  );
+
+  return { applied, failed };
+};
+
+/**
+ * Compare the bundled recipes.json with the current database
+ * @returns {Promise<Object>} {changes, unchanged} (see diffRecipeDatabases)
+ */
+export const previewSeedMerge = async () =>
+  diffRecipeDatabases(
+    await getAllRecipesFromStorage(),
+    storage.getSeedRecipes()
+  );
+
+/**
+ * Apply the accepted changes of a seed merge
+ * The database is then marked as up to date with the bundled recipes, so
+ * the rejected changes are not offered again.
+ * @param {Array} changes - Accepted changes from previewSeedMerge
+ * @returns {Promise<Object>} {applied, failed} (see applyRecipeImport)
+ * @throws {StorageError} When the data version cannot be saved
+ */
+export const applySeedMerge = async (changes = []) => {
+  const result = await applyRecipeImport(changes);
+  await acceptSeedVersion();
+  return result;
+};
+
+/**
+ * Replace the database with the bundled recipes.json
+ * Recipe caches are invalidated, so the next read returns the seed.
+ * @returns {Promise<boolean>} True when saved (see storage.reseedRecipes)
+ * @throws {StorageError} When the adapter rejects the write
+ */
+export const reseedRecipes = async () => {
+  const persistent = await storage.reseedRecipes();
+  invalidateAllCaches();
+  return persistent;
+};
+
+/**
+ * Keep the current database and mark it up to date with the bundled recipes
+ * Recipe caches are invalidated, as the stored data was written again.
+ * @returns {Promise<boolean>} True when saved (see storage.acceptSeedVersion)
+ * @throws {StorageError} When the adapter rejects the write
+ */
+export const acceptSeedVersion = async () => {
+  const persistent = await storage.acceptSeedVersion();
+  invalidateAllCaches();
+  return persistent;
+};
@@ -0,0 +1,275 @@
+import recipesData from "../../../db/recipes.json";
+import { IMPORT_CHANGE_KINDS } from "../constants.js";
+import { setStorageAdapter, getSeedUpdate } from "../data/storage.js";
+import { getAllRecipesFromStorage } from "../data/storageOperations.js";
+import { recipesToCsv } from "../processing/csv.js";
+import { createMemoryAdapter } from "../data/adapters/index.js";
+import {
+  getAllRecipes,
+  getRecipeGraph,
+  invalidateAllCaches,
+} from "./queries.js";
+import {
+  diffRecipeDatabases,
+  applyRecipeImport,
+  previewRecipeCsvImport,
+  reseedRecipes,
+  acceptSeedVersion,
+} from "./recipeImport.js";
+
+// recipes.json as seeded before dataVersion, with one raw component less
+const createOutdatedSeed = () => {
+  const { dataVersion, ...outdated } = JSON.parse(JSON.stringify(recipesData));
+  outdated.raw_components = outdated.raw_components.slice(1);
+  return outdated;
+};
+
+/**
+ * Copy bundled recipes into a small database
+ * @param {Object} idsByType - Recipe IDs to keep, keyed by recipe type
+ * @returns {Object} Recipes data with only those recipes
+ */
+const pickRecipes = (idsByType) => {
+  const data = JSON.parse(JSON.stringify(recipesData));
+  for (const [type, ids] of Object.entries(idsByType)) {
+    data[type] = data[type].filter((recipe) => ids.includes(recipe.id));
+  }
+  return data;
+};
+
+// Copper Ore, Oak Wood and Water → Oak Timber, Copper Fragments → Fishing Rod
+const createSmallDatabase = () =>
+  pickRecipes({
+    raw_components: [1000, 1100, 1501],
+    intermediate_recipes: [2200, 2400],
+    crafted_items: [7002],
+  });
+
+const findChange = (changes, id) =>
+  changes.find((change) => change.id === id);
+
+const countRecipes = (data) =>
+  data.raw_components.length +
+  data.intermediate_recipes.length +
+  data.crafted_items.length;
+
+describe("seed updates", () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter(createOutdatedSeed()));
+    invalidateAllCaches();
+  });
+
+  test("an outdated seed is reported", async () => {
+    await getAllRecipes();
+
+    expect(getSeedUpdate()).toEqual({
+      storedVersion: 0,
+      bundledVersion: recipesData.dataVersion,
+    });
+  });
+
+  test("getAllRecipes returns the seed right after reseedRecipes", async () => {
+    const before = await getAllRecipes();
+    const graphBefore = await getRecipeGraph();
+    expect(before).toHaveLength(countRecipes(recipesData) - 1);
+
+    await reseedRecipes();
+
+    expect(await getAllRecipes()).toHaveLength(countRecipes(recipesData));
+    expect(await getRecipeGraph()).not.toBe(graphBefore);
+    expect(getSeedUpdate()).toBeNull();
+  });
+
+  test("acceptSeedVersion keeps the recipes and clears the update", async () => {
+    await getAllRecipes();
+
+    await acceptSeedVersion();
+
+    expect(await getAllRecipes()).toHaveLength(countRecipes(recipesData) - 1);
+    expect(getSeedUpdate()).toBeNull();
+  });
+});
+
+describe("diffRecipeDatabases", () => {
+  // Ruby added, Water removed, Oak Timber edited and Copper Fragments moved
+  // to the crafted items
+  const createIncoming = () => {
+    const incoming = createSmallDatabase();
+    const ruby = recipesData.raw_components.find((raw) => raw.id === 1002);
+    incoming.raw_components = [
+      ...incoming.raw_components.filter((raw) => raw.id !== 1501),
+      { ...ruby },
+    ];
+
+    const timber = incoming.intermediate_recipes.find(
+      (recipe) => recipe.id === 2200
+    );
+    timber.description = "Mills Oak Wood into planks";
+    timber.recipe.craftingTime = 8;
+
+    const fragments = incoming.intermediate_recipes.find(
+      (recipe) => recipe.id === 2400
+    );
+    incoming.intermediate_recipes = [timber];
+    incoming.crafted_items.push(fragments);
+    return incoming;
+  };
+
+  test("finds each kind of change", () => {
+    const { changes, unchanged } = diffRecipeDatabases(
+      createSmallDatabase(),
+      createIncoming()
+    );
+
+    expect(unchanged).toBe(3);
+    expect(changes.map((change) => [change.kind, change.id])).toEqual([
+      [IMPORT_CHANGE_KINDS.ID_COLLISION, 2400],
+      [IMPORT_CHANGE_KINDS.CHANGED, 2200],
+      [IMPORT_CHANGE_KINDS.ADDED, 1002],
+      [IMPORT_CHANGE_KINDS.REMOVED, 1501],
+    ]);
+  });
+
+  test("lists the fields that changed", () => {
+    const { changes } = diffRecipeDatabases(
+      createSmallDatabase(),
+      createIncoming()
+    );
+
+    expect(findChange(changes, 2200).fields).toEqual(["description", "recipe"]);
+    expect(findChange(changes, 1002).fields).toEqual([]);
+    expect(findChange(changes, 1501)).toMatchObject({
+      type: "raw_components",
+      incoming: null,
+    });
+  });
+
+  test("an item moved to another type is an ID collision", () => {
+    const { changes } = diffRecipeDatabases(
+      createSmallDatabase(),
+      createIncoming()
+    );
+
+    expect(findChange(changes, 2400)).toMatchObject({
+      kind: IMPORT_CHANGE_KINDS.ID_COLLISION,
+      type: "crafted_items",
+      currentType: "intermediate_recipes",
+      fields: [],
+    });
+  });
+
+  test("another item under an existing ID is an ID collision", () => {
+    const incoming = createSmallDatabase();
+    incoming.raw_components[0] = {
+      ...incoming.raw_components[0],
+      name: "Tin Ore",
+    };
+
+    const { changes } = diffRecipeDatabases(createSmallDatabase(), incoming);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      kind: IMPORT_CHANGE_KINDS.ID_COLLISION,
+      id: 1000,
+      fields: ["name"],
+    });
+  });
+});
+
+describe("applyRecipeImport", () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter(createSmallDatabase()));
+    invalidateAllCaches();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("keeps applying after a change fails", async () => {
+    const ruby = recipesData.raw_components.find((raw) => raw.id === 1002);
+    const added = (recipe) => ({
+      key: String(recipe.id),
+      kind: IMPORT_CHANGE_KINDS.ADDED,
+      id: recipe.id,
+      name: recipe.name,
+      type: "raw_components",
+      current: null,
+      currentType: null,
+      incoming: recipe,
+      fields: [],
+    });
+    const invalid = added({ ...ruby, id: 1003, name: "" });
+    // The storage operations log the rejected change
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { applied, failed } = await applyRecipeImport([
+      invalid,
+      added(ruby),
+    ]);
+
+    expect(failed).toHaveLength(1);
+    expect(failed[0].change).toBe(invalid);
+    expect(applied.map((change) => change.id)).toEqual([1002]);
+
+    const stored = await getAllRecipesFromStorage();
+    const rawIds = stored.raw_components.map((raw) => raw.id);
+    expect(rawIds).toContain(1002);
+    expect(rawIds).not.toContain(1003);
+  });
+
+  test("an item moved to another type leaves its old type", async () => {
+    const incoming = createSmallDatabase();
+    const fragments = incoming.intermediate_recipes.pop();
+    incoming.crafted_items.push(fragments);
+    const { changes } = diffRecipeDatabases(createSmallDatabase(), incoming);
+
+    const { failed } = await applyRecipeImport(changes);
+
+    expect(failed).toEqual([]);
+    const stored = await getAllRecipesFromStorage();
+    expect(stored.intermediate_recipes.map((recipe) => recipe.id)).toEqual([
+      2200,
+    ]);
+    expect(stored.crafted_items.map((recipe) => recipe.id)).toEqual([
+      7002, 2400,
+    ]);
+  });
+});
+
+describe("previewRecipeCsvImport", () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter(createSmallDatabase()));
+    invalidateAllCaches();
+  });
+
+  test("recipe types without rows are left unchanged", async () => {
+    const sheet = createSmallDatabase();
+    sheet.raw_components[2].description = "Clean drinking water";
+    const csv = recipesToCsv(sheet, ["raw_components"]);
+
+    const { changes, unchanged, errors } = await previewRecipeCsvImport(csv);
+
+    expect(errors).toEqual([]);
+    expect(unchanged).toBe(5);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      kind: IMPORT_CHANGE_KINDS.CHANGED,
+      id: 1501,
+      fields: ["description"],
+    });
+  });
+
+  test("row errors leave nothing to apply", async () => {
+    const sheet = createSmallDatabase();
+    sheet.raw_components[0].vendorPrice = 1.5;
+    const csv = recipesToCsv(sheet, ["raw_components"]);
+
+    const { changes, errors } = await previewRecipeCsvImport(csv);
+
+    expect(changes).toEqual([]);
+    expect(errors).toEqual([
+      expect.objectContaining({ row: 2, column: "vendorPrice" }),
+    ]);
+  });
+});
@@ -0,0 +1,296 @@
+import {
+  SKILL_LEVELS,
+  SKILL_LEVEL_ORDER,
+  PROGRESSION_STRATEGIES,
+} from "../constants.js";
+import { ValidationError } from "../../../utils/errorHandler.js";
+import {
+  buildCraftingTreeSync,
+  calculateCraftingTime,
+} from "./calculations.js";
+import {
+  getGraphEntryById,
+  getGraphRecipesByName,
+  normalizeRecipeName,
+} from "./recipeGraph.js";
+import { calculatePlanCost } from "./costs.js";
+
+/**
+ * Skill progression planner
+ * Suggests which recipes to craft, and how many, to take an artisan skill
+ * from the player's current XP to a target level, cheapest or fastest.
+ *
+ * The route is planned one level at a time: at each level the recipe with
+ * the lowest cost (or crafting time) per XP among those unlocked is crafted
+ * until the next level is reached. Crafting an item also crafts its
+ * intermediates, and intermediates of the same skill count towards the XP.
+ *
+ * DATA FLOW:
+ * artisan_levels + recipe graph → planSkillProgression() → steps + recipe list
+ */
+
+/**
+ * Get the XP thresholds of the artisan levels
+ * @param {Array} artisanLevels - artisan_levels from the recipe database
+ * @returns {Array} [{level, xpRequired}] lowest first; levels without an
+ *   xpRequired are left out
+ */
+export const getSkillLevelThresholds = (artisanLevels = []) =>
+  artisanLevels
+    .filter((entry) => typeof entry?.xpRequired === "number")
+    .map(({ level, xpRequired }) => ({ level, xpRequired }))
+    .sort((a, b) => a.xpRequired - b.xpRequired);
+
+/**
+ * Get the artisan level reached with an amount of XP
+ * @param {Array} thresholds - Thresholds from getSkillLevelThresholds
+ * @param {number} xp - Total XP in the skill
+ * @returns {string} Highest level reached (SKILL_LEVELS.NONE below the first)
+ */
+export const getSkillLevelForXp = (thresholds, xp) =>
+  thresholds.reduce(
+    (reached, threshold) =>
+      xp >= threshold.xpRequired ? threshold.level : reached,
+    SKILL_LEVELS.NONE
+  );
+
+/**
+ * Get the XP needed for the next level above an amount of XP
+ * @param {Array} thresholds - Thresholds from getSkillLevelThresholds
+ * @param {number} xp - Total XP in the skill
+ * @returns {number} XP of the next threshold (Infinity past the last)
+ */
+const getNextThresholdXp = (thresholds, xp) =>
+  thresholds.find((threshold) => threshold.xpRequired > xp)?.xpRequired ??
+  Infinity;
+
+/**
+ * Roll up the artisan XP a crafting tree earns in one skill
+ * @param {Object} node - Crafting tree node
+ * @param {Object} graph - Recipe graph
+ * @param {string} skill - Artisan skill
+ * @returns {number} XP earned
+ */
+const calculateTreeXp = (node, graph, skill) => {
+  if (!node || node.isCircular || !(node.crafts > 0)) return 0;
+
+  const xpPerCraft =
+    node.artisanSkill === skill
+      ? getGraphEntryById(graph, node.id)?.recipe?.artisanXp || 0
+      : 0;
+  return node.children.reduce(
+    (total, child) => total + calculateTreeXp(child, graph, skill),
+    node.crafts * xpPerCraft
+  );
+};
+
+/**
+ * Expand a number of crafts of one recipe and measure XP, cost and time
+ * The recipe is pinned with a recipe choice, so alternative recipes for the
+ * same item are measured separately. The item itself is taken out of the
+ * stop points, which would otherwise acquire it instead of crafting it.
+ * @param {Object} graph - Recipe graph
+ * @param {Object} recipe - Recipe entry from the graph
+ * @param {number} crafts - Number of crafts
+ * @param {Object} options - Planner options
+ * @returns {Object} {xp, cost, unpriced, time, untimedCrafts}
+ */
+const measureCrafts = (graph, recipe, crafts, options) => {
+  const ownIds = new Set(
+    getGraphRecipesByName(graph, recipe.name).map((variant) =>
+      String(variant.id)
+    )
+  );
+  const tree = buildCraftingTreeSync(
+    graph,
+    recipe.name,
+    crafts * (recipe.recipe.outputQuantity || 1),
+    {
+      recipeChoices: {
+        ...options.recipeChoices,
+        [normalizeRecipeName(recipe.name)]: recipe.id,
+      },
+      variantStrategy: options.variantStrategy,
+      stopAt: [...(options.stopAt || [])]
+        .map(String)
+        .filter((id) => !ownIds.has(id)),
+    }
+  );
+  const cost = calculatePlanCost([tree], graph, options.prices);
+  const time = calculateCraftingTime(tree);
+
+  return {
+    xp: calculateTreeXp(tree, graph, options.skill),
+    cost: cost.total,
+    unpriced: cost.unpriced,
+    time: time.seconds,
+    untimedCrafts: time.untimedCrafts,
+  };
+};
+
+/**
+ * Rank value per XP for a progression strategy
+ * Candidates with missing prices or times sort after fully known ones
+ * @param {Object} candidate - Candidate with a per-craft measurement
+ * @param {string} strategy - Progression strategy
+ * @returns {Array} [unknown, value per XP]
+ */
+const getRankKey = (candidate, strategy) =>
+  strategy === PROGRESSION_STRATEGIES.FASTEST
+    ? [candidate.untimedCrafts > 0 ? 1 : 0, candidate.time / candidate.xp]
+    : [candidate.unpriced.length > 0 ? 1 : 0, candidate.cost / candidate.xp];
+
+/**
+ * Plan the recipes to craft to reach a target artisan level
+ * Player level requirements are not checked; only artisan levels gate recipes.
+ * @param {Object} graph - Recipe graph (see loadRecipeGraph)
+ * @param {Object} options - Planner options
+ * @param {string} options.skill - Artisan skill (see ARTISAN_SKILLS)
+ * @param {number} [options.currentXp=0] - XP the player has in the skill
+ * @param {string} options.targetLevel - Level to reach (see SKILL_LEVELS)
+ * @param {Array} options.thresholds - Thresholds from getSkillLevelThresholds
+ * @param {string} [options.strategy] - PROGRESSION_STRATEGIES value
+ * @param {Object} [options.prices] - Market prices in copper keyed by item ID
+ * @param {Object} [options.recipeChoices] - Plan recipe choices for inputs
+ * @param {string} [options.variantStrategy] - Variant strategy for inputs
+ * @param {Set|Array} [options.stopAt] - Items to acquire instead of craft
+ * @returns {Object} Progression plan
+ *   {skill, strategy, currentXp, currentLevel, targetLevel, targetXp,
+ *   xpNeeded, steps, totalXp, totalCost, totalTime, incomplete, reachable,
+ *   blockedAt, error, recipeList}
+ *   - steps: [{recipeId, name, level, crafts, quantity, xp, cost, time,
+ *     unpriced, untimedCrafts}] in crafting order, one per level and recipe
+ *   - incomplete: true when some costs or times are missing from the totals
+ *   - reachable: false when no unlocked recipe gives XP at blockedAt
+ *   - error: why the plan stopped early when the best recipe gave no XP,
+ *     otherwise null
+ *   - recipeList: [{recipe, quantity}] ready for the selected recipe list
+ * @throws {ValidationError} If the target level has no XP threshold
+ */
+export const planSkillProgression = (graph, options = {}) => {
+  const {
+    skill,
+    currentXp = 0,
+    targetLevel,
+    thresholds = [],
+    strategy = PROGRESSION_STRATEGIES.CHEAPEST,
+  } = options;
+
+  const target = thresholds.find(
+    (threshold) => threshold.level === targetLevel
+  );
+  if (!target) {
+    throw new ValidationError(
+      "targetLevel",
+      `No XP threshold for level "${targetLevel}"`
+    );
+  }
+
+  // Measure one craft of every recipe in the skill that gives XP
+  const measureOptions = { ...options, prices: options.prices || {} };
+  const candidates = [...graph.byId.values()]
+    .filter(
+      (entry) =>
+        entry.recipe?.artisanSkill === skill && entry.recipe.artisanXp > 0
+    )
+    .map((recipe) => ({
+      recipe,
+      levelRank: SKILL_LEVEL_ORDER.indexOf(
+        recipe.requirements?.artisanLevel || SKILL_LEVELS.NONE
+      ),
+      ...measureCrafts(graph, recipe, 1, measureOptions),
+    }))
+    .filter((candidate) => candidate.xp > 0);
+
+  const steps = [];
+  let xp = currentXp;
+  let blockedAt = null;
+  let error = null;
+
+  while (xp < target.xpRequired) {
+    const level = getSkillLevelForXp(thresholds, xp);
+    const levelRank = SKILL_LEVEL_ORDER.indexOf(level);
+    const segmentEnd = Math.min(
+      getNextThresholdXp(thresholds, xp),
+      target.xpRequired
+    );
+
+    const best = candidates
+      .filter((candidate) => candidate.levelRank <= levelRank)
+      .map((candidate) => ({
+        candidate,
+        key: getRankKey(candidate, strategy),
+      }))
+      .sort(
+        (a, b) =>
+          a.key[0] - b.key[0] ||
+          a.key[1] - b.key[1] ||
+          b.candidate.xp - a.candidate.xp ||
+          a.candidate.recipe.name.localeCompare(b.candidate.recipe.name)
+      )[0]?.candidate;
+
+    if (!best) {
+      blockedAt = level;
+      break;
+    }
+
+    const crafts = Math.ceil((segmentEnd - xp) / best.xp);
+    const measured = measureCrafts(graph, best.recipe, crafts, measureOptions);
+
+    // Guard against looping forever on a step that earns nothing
+    if (!(measured.xp > 0)) {
+      blockedAt = level;
+      error = `Crafting ${best.recipe.name} ×${crafts} gave no XP`;
+      break;
+    }
+
+    steps.push({
+      recipeId: best.recipe.id,
+      name: best.recipe.name,
+      level,
+      crafts,
+      quantity: crafts * (best.recipe.recipe.outputQuantity || 1),
+      ...measured,
+    });
+    xp += measured.xp;
+  }
+
+  // One selected list entry per recipe, in the order first crafted
+  const recipeList = [];
+  for (const step of steps) {
+    const item = recipeList.find(
+      (entry) => String(entry.recipe.id) === String(step.recipeId)
+    );
+    if (item) {
+      item.quantity += step.quantity;
+    } else {
+      recipeList.push({
+        recipe: getGraphEntryById(graph, step.recipeId),
+        quantity: step.quantity,
+      });
+    }
+  }
+
+  const sum = (field) => steps.reduce((total, step) => total + step[field], 0);
+
+  return {
+    skill,
+    strategy,
+    currentXp,
+    currentLevel: getSkillLevelForXp(thresholds, currentXp),
+    targetLevel,
+    targetXp: target.xpRequired,
+    xpNeeded: Math.max(0, target.xpRequired - currentXp),
+    steps,
+    totalXp: sum("xp"),
+    totalCost: sum("cost"),
+    totalTime: sum("time"),
+    incomplete: steps.some(
+      (step) => step.unpriced.length > 0 || step.untimedCrafts > 0
+    ),
+    reachable: blockedAt === null,
+    blockedAt,
+    error,
+    recipeList,
+  };
+};
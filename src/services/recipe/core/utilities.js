@@ -1,5 +1,7 @@
 import * as queries from "./queries.js";
 import { getAllRecipesFromStorage } from "../data/storageOperations";
+import { setStorageAdapter } from "../data/storage.js";
+import { createStorageAdapter } from "../data/adapters/index.js";
 
 /**
  * Recipe utility functions for common operations
@@ -7,12 +9,26 @@ import { getAllRecipesFromStorage } from "../data/storageOperations";
 
 /**
  * Initialize recipe service
+ * Selects where the recipe database is read from and written to, then loads
+ * it once to check it.
+ * @param {Object} [options] - Storage selection
+ * @param {string} [options.storage] - STORAGE_ADAPTERS value; IndexedDB when
+ *   available, otherwise the bundled JSON
+ * @param {Object} [options.adapter] - Ready-made storage adapter, such as a
+ *   memory fixture; used instead of options.storage
+ * @param {string} [options.baseUrl] - Server URL for the HTTP adapter
+ * @param {Object} [options.headers] - Request headers for the HTTP adapter
  * @returns {Promise<Object>} Initialization result
  */
-export const initializeService = async () => {
+export const initializeService = async (options = {}) => {
   try {
     console.log("Initializing recipe service...");
 
+    setStorageAdapter(
+      options.adapter || createStorageAdapter(options.storage, options)
+    );
+    queries.invalidateAllCaches();
+
     // Test reading recipes
     const recipes = await getAllRecipesFromStorage();
     if (!recipes) {
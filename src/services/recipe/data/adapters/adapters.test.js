@@ -0,0 +1,180 @@
+import recipesData from "../../../../db/recipes.json";
+import { STORAGE_ADAPTERS } from "../../constants.js";
+import {
+  StorageError,
+  ValidationError,
+} from "../../../../utils/errorHandler.js";
+import {
+  createStorageAdapter,
+  createMemoryAdapter,
+  createJsonAdapter,
+  createHttpAdapter,
+} from "./index.js";
+
+const fixture = {
+  raw_components: [{ id: 1, name: "Ore", description: "Ore" }],
+  intermediate_recipes: [],
+  crafted_items: [],
+};
+
+/**
+ * Create a fetch mock that answers every request the same way
+ * @param {Object} response - {ok, status, statusText, json}
+ * @returns {Function} jest mock of fetch
+ */
+const respondWith = (response) =>
+  jest.fn(async () => ({ ok: true, status: 200, statusText: "OK", ...response }));
+
+describe("memory adapter", () => {
+  test("reads back what was written", async () => {
+    const adapter = createMemoryAdapter();
+    expect(await adapter.read()).toBeNull();
+
+    await adapter.write(fixture);
+    expect(await adapter.read()).toEqual(fixture);
+  });
+
+  test("copies data on read and write", async () => {
+    const data = JSON.parse(JSON.stringify(fixture));
+    const adapter = createMemoryAdapter(data);
+
+    data.raw_components.push({ id: 2, name: "Stone" });
+    const read = await adapter.read();
+    read.raw_components.length = 0;
+
+    expect(await adapter.read()).toEqual(fixture);
+  });
+
+  test("is not persistent", () => {
+    expect(createMemoryAdapter().persistent).toBe(false);
+  });
+});
+
+describe("JSON adapter", () => {
+  test("reads the bundled recipes", async () => {
+    expect(await createJsonAdapter().read()).toEqual(recipesData);
+  });
+
+  test("keeps writes in memory without touching the bundle", async () => {
+    const adapter = createJsonAdapter();
+    await adapter.write(fixture);
+
+    expect(await adapter.read()).toEqual(fixture);
+    expect(await createJsonAdapter().read()).toEqual(recipesData);
+  });
+
+  test("is not persistent", () => {
+    const adapter = createJsonAdapter();
+    expect(adapter.name).toBe(STORAGE_ADAPTERS.JSON);
+    expect(adapter.persistent).toBe(false);
+  });
+});
+
+describe("createStorageAdapter", () => {
+  test("falls back to the bundled JSON without IndexedDB", () => {
+    expect(window.indexedDB).toBeUndefined();
+    expect(createStorageAdapter().name).toBe(STORAGE_ADAPTERS.JSON);
+  });
+
+  test("creates the adapter of each type", () => {
+    expect(createStorageAdapter(STORAGE_ADAPTERS.JSON).name).toBe(
+      STORAGE_ADAPTERS.JSON
+    );
+    expect(createStorageAdapter(STORAGE_ADAPTERS.INDEXED_DB)).toMatchObject({
+      name: STORAGE_ADAPTERS.INDEXED_DB,
+      persistent: true,
+    });
+    expect(
+      createStorageAdapter(STORAGE_ADAPTERS.HTTP, {
+        baseUrl: "http://localhost:4000",
+      })
+    ).toMatchObject({ name: STORAGE_ADAPTERS.HTTP, persistent: true });
+    expect(createStorageAdapter(STORAGE_ADAPTERS.MEMORY)).toMatchObject({
+      name: STORAGE_ADAPTERS.MEMORY,
+      persistent: false,
+    });
+  });
+
+  test("passes the fixture to the memory adapter", async () => {
+    const adapter = createStorageAdapter(STORAGE_ADAPTERS.MEMORY, { fixture });
+    expect(await adapter.read()).toEqual(fixture);
+  });
+
+  test("rejects unknown types", () => {
+    expect(() => createStorageAdapter("floppy")).toThrow(ValidationError);
+  });
+
+  test("needs a base URL for HTTP storage", () => {
+    expect(() => createStorageAdapter(STORAGE_ADAPTERS.HTTP)).toThrow(
+      ValidationError
+    );
+  });
+
+  test("IndexedDB reads fail with a StorageError when it is missing", async () => {
+    await expect(
+      createStorageAdapter(STORAGE_ADAPTERS.INDEXED_DB).read()
+    ).rejects.toThrow(StorageError);
+  });
+});
+
+describe("HTTP adapter", () => {
+  const baseUrl = "http://localhost:4000/";
+
+  test("reads and writes the recipes resource", async () => {
+    const fetchFn = respondWith({ json: async () => fixture });
+    const adapter = createHttpAdapter({ baseUrl, fetchFn });
+
+    expect(await adapter.read()).toEqual(fixture);
+    await adapter.write(fixture);
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    const [url, init] = fetchFn.mock.calls[1];
+    expect(url).toBe("http://localhost:4000/recipes");
+    expect(init.method).toBe("PUT");
+    expect(JSON.parse(init.body)).toEqual(fixture);
+  });
+
+  test("reads nothing stored as null", async () => {
+    const fetchFn = respondWith({ ok: false, status: 404 });
+    expect(await createHttpAdapter({ baseUrl, fetchFn }).read()).toBeNull();
+  });
+
+  test("turns network failures into a StorageError", async () => {
+    const fetchFn = jest.fn(async () => {
+      throw new TypeError("Failed to fetch");
+    });
+    const adapter = createHttpAdapter({ baseUrl, fetchFn });
+
+    await expect(adapter.read()).rejects.toThrow(StorageError);
+    await expect(adapter.write(fixture)).rejects.toMatchObject({
+      name: "StorageError",
+      details: { adapter: STORAGE_ADAPTERS.HTTP, operation: "write" },
+    });
+  });
+
+  test("turns HTTP errors into a StorageError", async () => {
+    const fetchFn = respondWith({
+      ok: false,
+      status: 500,
+      statusText: "Internal Server Error",
+    });
+    const adapter = createHttpAdapter({ baseUrl, fetchFn });
+
+    await expect(adapter.read()).rejects.toThrow(
+      /500 Internal Server Error from http:\/\/localhost:4000\/recipes/
+    );
+    await expect(adapter.write(fixture)).rejects.toThrow(StorageError);
+  });
+
+  test("turns an invalid JSON body into a StorageError", async () => {
+    const fetchFn = respondWith({
+      json: async () => {
+        throw new SyntaxError("Unexpected token <");
+      },
+    });
+
+    await expect(
+      createHttpAdapter({ baseUrl, fetchFn }).read()
+    ).rejects.toThrow(StorageError);
+  });
+});
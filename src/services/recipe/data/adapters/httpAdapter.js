@@ -0,0 +1,92 @@
+import { STORAGE_ADAPTERS } from "../../constants.js";
+import {
+  StorageError,
+  ValidationError,
+} from "../../../../utils/errorHandler.js";
+
+/**
+ * HTTP STORAGE ADAPTER
+ *
+ * Reads and writes the recipe database on a REST server:
+ *   GET {baseUrl}/recipes → complete recipes data (404 when none is stored)
+ *   PUT {baseUrl}/recipes ← complete recipes data as JSON
+ *
+ * `npm run mock:server` starts a local server with this API.
+ */
+
+/**
+ * Create the HTTP storage adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - Server URL, e.g. "http://localhost:4000"
+ * @param {Object} [options.headers] - Extra request headers (e.g. auth)
+ * @param {Function} [options.fetchFn] - fetch implementation; the global
+ *   fetch by default
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ * @throws {ValidationError} If no base URL is given
+ */
+export const createHttpAdapter = ({
+  baseUrl,
+  headers = {},
+  fetchFn = (...args) => fetch(...args),
+} = {}) => {
+  if (!baseUrl) {
+    throw new ValidationError("baseUrl", "HTTP storage needs a server URL");
+  }
+  const url = `${baseUrl.replace(/\/+$/, "")}/recipes`;
+
+  /**
+   * Send a request, turning network and HTTP failures into StorageErrors
+   * @param {string} operation - "read" or "write", for the error message
+   * @param {Object} init - fetch options
+   * @param {number[]} [allowedStatuses] - Non-2xx statuses to return as is
+   * @returns {Promise<Response>} Response
+   */
+  const send = async (operation, init, allowedStatuses = []) => {
+    let response;
+    try {
+      response = await fetchFn(url, {
+        ...init,
+        headers: { Accept: "application/json", ...headers, ...init.headers },
+      });
+    } catch (error) {
+      throw new StorageError(STORAGE_ADAPTERS.HTTP, operation, error.message);
+    }
+
+    if (!response.ok && !allowedStatuses.includes(response.status)) {
+      throw new StorageError(
+        STORAGE_ADAPTERS.HTTP,
+        operation,
+        `${response.status} ${response.statusText} from ${url}`
+      );
+    }
+    return response;
+  };
+
+  return {
+    name: STORAGE_ADAPTERS.HTTP,
+    persistent: true,
+
+    read: async () => {
+      const response = await send("read", { method: "GET" }, [404]);
+      if (response.status === 404) return null;
+
+      try {
+        return await response.json();
+      } catch (error) {
+        throw new StorageError(
+          STORAGE_ADAPTERS.HTTP,
+          "read",
+          `Invalid JSON from ${url}: ${error.message}`
+        );
+      }
+    },
+
+    write: async (recipesData) => {
+      await send("write", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(recipesData),
+      });
+    },
+  };
+};
@@ -0,0 +1,63 @@
+import { STORAGE_ADAPTERS } from "../../constants.js";
+import { ValidationError } from "../../../../utils/errorHandler.js";
+import { createJsonAdapter } from "./jsonAdapter.js";
+import { createIndexedDbAdapter, hasIndexedDb } from "./indexedDbAdapter.js";
+import { createHttpAdapter } from "./httpAdapter.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+/**
+ * STORAGE ADAPTERS
+ *
+ * Where the recipe database lives. storage.js reads and writes through one
+ * active adapter, chosen at startup with initializeService.
+ *
+ * ADAPTER INTERFACE:
+ * A plain object with
+ *   - name: adapter type (see STORAGE_ADAPTERS)
+ *   - persistent: true when written data survives a reload
+ *   - read(): Promise<Object|null> - complete recipes data, or null when
+ *     nothing is stored yet (storage.js then seeds it with recipes.json)
+ *   - write(recipesData): Promise<void> - replace the stored data
+ * Both methods reject with a StorageError when the source fails.
+ */
+
+export {
+  createJsonAdapter,
+  createIndexedDbAdapter,
+  createHttpAdapter,
+  createMemoryAdapter,
+};
+
+/**
+ * Create a storage adapter by type
+ * @param {string} [type] - STORAGE_ADAPTERS value; IndexedDB when available,
+ *   otherwise the bundled JSON
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.baseUrl] - Server URL for the HTTP adapter
+ * @param {Object} [options.headers] - Request headers for the HTTP adapter
+ * @param {Object} [options.fixture] - Initial data for the memory adapter
+ * @returns {Object} Storage adapter
+ * @throws {ValidationError} If the type is unknown
+ */
+export const createStorageAdapter = (type, options = {}) => {
+  switch (
+    type ||
+    (hasIndexedDb() ? STORAGE_ADAPTERS.INDEXED_DB : STORAGE_ADAPTERS.JSON)
+  ) {
+    case STORAGE_ADAPTERS.JSON:
+      return createJsonAdapter();
+    case STORAGE_ADAPTERS.INDEXED_DB:
+      return createIndexedDbAdapter(options);
+    case STORAGE_ADAPTERS.HTTP:
+      return createHttpAdapter(options);
+    case STORAGE_ADAPTERS.MEMORY:
+      return createMemoryAdapter(options.fixture);
+    default:
+      throw new ValidationError(
+        "storage",
+        `Unknown storage adapter "${type}"; use one of ${Object.values(
+          STORAGE_ADAPTERS
+        ).join(", ")}`
+      );
+  }
+};
@@ -0,0 +1,130 @@
+import { STORAGE_ADAPTERS } from "../../constants.js";
+import { StorageError } from "../../../../utils/errorHandler.js";
+
+/**
+ * INDEXEDDB STORAGE ADAPTER
+ *
+ * Keeps the complete recipe database in the browser's IndexedDB, so changes
+ * made through storageOperations.js survive a reload. The whole database is
+ * stored as a single record.
+ *
+ * DATA FLOW:
+ * storage.js ↔ indexedDbAdapter.js ↔ IndexedDB ("craftingPlanner" → "recipes")
+ */
+
+const DEFAULT_DB_NAME = "craftingPlanner";
+const DB_VERSION = 1;
+const STORE_NAME = "recipes";
+const RECORD_KEY = "database";
+
+/**
+ * Check whether IndexedDB can be used
+ * @returns {boolean} True when window.indexedDB is available
+ */
+export const hasIndexedDb = () => {
+  try {
+    return typeof window !== "undefined" && Boolean(window.indexedDB);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open a recipe database, creating the object store on first use
+ * @param {string} dbName - IndexedDB database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = (dbName) => {
+  const request = window.indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME);
+    }
+  };
+  return promisifyRequest(request);
+};
+
+/**
+ * Create the IndexedDB storage adapter
+ * The connection is opened on first use and shared.
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.dbName="craftingPlanner"] - IndexedDB database name
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export const createIndexedDbAdapter = ({ dbName = DEFAULT_DB_NAME } = {}) => {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!hasIndexedDb()) {
+      return Promise.reject(new Error("IndexedDB is not available"));
+    }
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: STORAGE_ADAPTERS.INDEXED_DB,
+    persistent: true,
+
+    read: async () => {
+      try {
+        const db = await getDatabase();
+        const record = await promisifyRequest(
+          db
+            .transaction(STORE_NAME, "readonly")
+            .objectStore(STORE_NAME)
+            .get(RECORD_KEY)
+        );
+        return record?.data ?? null;
+      } catch (error) {
+        throw new StorageError(
+          STORAGE_ADAPTERS.INDEXED_DB,
+          "read",
+          error.message
+        );
+      }
+    },
+
+    write: async (recipesData) => {
+      try {
+        const db = await getDatabase();
+        const transaction = db.transaction(STORE_NAME, "readwrite");
+        transaction
+          .objectStore(STORE_NAME)
+          .put(
+            { data: recipesData, updatedAt: new Date().toISOString() },
+            RECORD_KEY
+          );
+
+        // Resolve once the write is committed, not just queued
+        await new Promise((resolve, reject) => {
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        });
+      } catch (error) {
+        throw new StorageError(
+          STORAGE_ADAPTERS.INDEXED_DB,
+          "write",
+          error.message
+        );
+      }
+    },
+  };
+};
@@ -0,0 +1,20 @@
+import recipesData from "../../../../db/recipes.json";
+import { STORAGE_ADAPTERS } from "../../constants.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+/**
+ * JSON STORAGE ADAPTER
+ *
+ * Reads the recipes.json bundled with the app. The file can't be written from
+ * the browser, so changes are kept in memory until reload; use exportRecipes
+ * to save them as a file.
+ */
+
+/**
+ * Create the bundled JSON storage adapter
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export const createJsonAdapter = () => ({
+  ...createMemoryAdapter(recipesData),
+  name: STORAGE_ADAPTERS.JSON,
+});
@@ -0,0 +1,35 @@
+import { STORAGE_ADAPTERS } from "../../constants.js";
+
+/**
+ * IN-MEMORY STORAGE ADAPTER
+ *
+ * Holds the recipe database in a variable, for tests and fixtures. Reads and
+ * writes copy the data, so callers can't change the stored fixture by
+ * mutating what they got back.
+ */
+
+/**
+ * Copy recipes data
+ * @param {Object|null} data - Recipes data
+ * @returns {Object|null} Deep copy
+ */
+const copyData = (data) => (data ? JSON.parse(JSON.stringify(data)) : null);
+
+/**
+ * Create an in-memory storage adapter
+ * @param {Object|null} [fixture=null] - Initial recipes data; null starts
+ *   empty, so the storage layer seeds it with recipes.json
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export const createMemoryAdapter = (fixture = null) => {
+  let data = copyData(fixture);
+
+  return {
+    name: STORAGE_ADAPTERS.MEMORY,
+    persistent: false,
+    read: async () => copyData(data),
+    write: async (recipesData) => {
+      data = copyData(recipesData);
+    },
+  };
+};
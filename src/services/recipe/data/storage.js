@@ -1,39 +1,192 @@
 import recipesData from "../../../db/recipes.json";
 import { RecipeError } from "../../../utils/errorHandler.js";
 import { RECIPE_TYPES, SKILL_LEVELS, GATHERING_SKILLS } from "../constants.js";
+import { createStorageAdapter } from "./adapters/index.js";
+import { transformForExport } from "../processing/transformers.js";
+import { recipesToCsv } from "../processing/csv.js";
 
-// Use imported data directly
-let recipesCache = recipesData;
+// Active storage adapter (see adapters/index.js), chosen by initializeService
+let adapter = createStorageAdapter();
+
+// Recipes in memory; loaded through the adapter on first read
+let recipesCache = null;
+let loadPromise = null;
+
+// Set when the stored recipes were seeded from an older recipes.json
+let seedUpdate = null;
 
 /**
- * Read recipes synchronously (using imported data)
- * @returns {Object} Complete recipes data
+ * Get the data version of a recipe database
+ * recipes.json carries a dataVersion that is raised whenever the bundled
+ * recipes change; databases seeded before it was added count as version 0.
+ * @param {Object} data - Recipes data
+ * @returns {number} Data version
+ */
+const getDataVersion = (data) => Number(data?.dataVersion) || 0;
+
+/**
+ * Use another storage adapter
+ * Recipes already read are dropped, so the next read comes from the new
+ * adapter. Recipe query caches must be invalidated as well (see
+ * initializeService).
+ * @param {Object} nextAdapter - Storage adapter (see adapters/index.js)
+ */
+export const setStorageAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+  recipesCache = null;
+  loadPromise = null;
+  seedUpdate = null;
+  console.log(`🗄️ Using ${adapter.name} recipe storage`);
+};
+
+/**
+ * Get the active storage adapter
+ * @returns {Object} Storage adapter
+ */
+export const getStorageAdapter = () => adapter;
+
+/**
+ * Load the recipe database through the active adapter
+ * The bundled recipes.json seeds an adapter that has nothing stored yet.
+ * Stored recipes with another data version than the bundled ones are kept,
+ * and the update is offered instead (see getSeedUpdate).
+ * @returns {Promise<Object>} Complete recipes data
+ */
+const loadRecipes = async () => {
+  const stored = await adapter.read();
+  if (stored) {
+    console.log(`📥 Loaded recipes from ${adapter.name} storage`);
+    const storedVersion = getDataVersion(stored);
+    const bundledVersion = getDataVersion(recipesData);
+    if (storedVersion !== bundledVersion) {
+      console.log(
+        `🌱 Bundled recipes are version ${bundledVersion}, ${adapter.name} storage has version ${storedVersion}`
+      );
+      seedUpdate = { storedVersion, bundledVersion };
+    }
+    return stored;
+  }
+
+  await adapter.write(recipesData);
+  console.log(`🌱 Seeded ${adapter.name} storage with the bundled recipes`);
+  return recipesData;
+};
+
+/**
+ * Read recipes through the active storage adapter
+ * @returns {Promise<Object>} Complete recipes data
+ * @throws {StorageError} When the adapter cannot read or seed the data
  */
 export const readRecipes = async () => {
-  return recipesCache;
+  if (recipesCache) return recipesCache;
+
+  if (!loadPromise) {
+    const loadingAdapter = adapter;
+    loadPromise = loadRecipes().then(
+      (data) => {
+        if (adapter === loadingAdapter) {
+          recipesCache = recipesCache || data;
+        }
+        return recipesCache || data;
+      },
+      (error) => {
+        loadPromise = null;
+        throw error;
+      }
+    );
+  }
+  return loadPromise;
 };
 
 /**
- * Write recipes data (browser environment - downloads as file)
+ * Write recipes data through the active storage adapter
  * @param {Object} newRecipesData - Complete recipes data to write
+ * @returns {Promise<boolean>} True when saved, false when the adapter keeps
+ *   changes in memory only (until reload)
+ * @throws {StorageError} When the adapter rejects the write
+ */
+export const writeRecipes = async (newRecipesData) => {
+  await adapter.write(newRecipesData);
+
+  // Update cache once the adapter has the data
+  recipesCache = newRecipesData;
+  console.log(`💾 Recipes saved to ${adapter.name} storage`);
+  return adapter.persistent;
+};
+
+/**
+ * Check whether the bundled recipes changed since the storage was seeded
+ * Known once the recipes have been read (see readRecipes).
+ * @returns {Object|null} {storedVersion, bundledVersion}, or null when the
+ *   stored recipes are up to date
+ */
+export const getSeedUpdate = () => seedUpdate;
+
+/**
+ * Get the recipes bundled with the app (recipes.json)
+ * @returns {Object} Complete recipes data
+ */
+export const getSeedRecipes = () => recipesData;
+
+/**
+ * Replace the stored recipes with the bundled recipes.json
+ * Every change made to the database since it was seeded is lost.
+ * @returns {Promise<boolean>} True when saved (see writeRecipes)
+ * @throws {StorageError} When the adapter rejects the write
+ */
+export const reseedRecipes = async () => {
+  const persistent = await writeRecipes(recipesData);
+  seedUpdate = null;
+  console.log(`🌱 Re-seeded ${adapter.name} storage with the bundled recipes`);
+  return persistent;
+};
+
+/**
+ * Mark the stored recipes as up to date with the bundled data version
+ * Used once the bundled changes are merged, or to keep the stored recipes
+ * as they are; the recipes themselves are not changed.
+ * @returns {Promise<boolean>} True when saved (see writeRecipes)
+ * @throws {StorageError} When the adapter rejects the write
+ */
+export const acceptSeedVersion = async () => {
+  const persistent = await writeRecipes({
+    ...(await readRecipes()),
+    dataVersion: getDataVersion(recipesData),
+  });
+  seedUpdate = null;
+  return persistent;
+};
+
+/**
+ * Start a browser download of a text file
+ * @param {string} content - File contents
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the file
  */
-export const writeRecipes = (newRecipesData) => {
+const downloadTextFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export the current recipe database as a JSON file download
+ * The file has the same shape as recipes.json, so it can replace the seed.
+ * @param {string} [fileName="recipes.json"] - Name of the downloaded file
+ * @returns {Promise<boolean>} True when the download was started
+ * @throws {RecipeError} When the file cannot be created
+ */
+export const exportRecipes = async (fileName = "recipes.json") => {
   try {
-    // Update cache
-    recipesCache = newRecipesData;
-
-    // In browser environment, trigger download
-    const jsonString = JSON.stringify(newRecipesData, null, 2);
-    const blob = new Blob([jsonString], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "recipes.json";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    const jsonString = JSON.stringify(await readRecipes(), null, 2);
+    downloadTextFile(jsonString, fileName, "application/json");
 
     console.log("Recipes file downloaded successfully");
     return true;
@@ -43,6 +196,28 @@ export const writeRecipes = (newRecipesData) => {
   }
 };
 
+/**
+ * Export the recipes as a CSV file download, one row per component
+ * (see processing/csv.js)
+ * The file starts with a byte order mark so spreadsheets read it as UTF-8.
+ * @param {string} [fileName="recipes.csv"] - Name of the downloaded file
+ * @param {string[]} [types] - Recipe types to include; all by default
+ * @returns {Promise<boolean>} True when the download was started
+ * @throws {RecipeError} When the file cannot be created
+ */
+export const exportRecipesCsv = async (fileName = "recipes.csv", types) => {
+  try {
+    const csv = recipesToCsv(transformForExport(await readRecipes()), types);
+    downloadTextFile(`\uFEFF${csv}`, fileName, "text/csv;charset=utf-8");
+
+    console.log("Recipes CSV downloaded successfully");
+    return true;
+  } catch (error) {
+    console.error("Error downloading recipes CSV:", error);
+    throw new RecipeError(`Failed to download recipes CSV: ${error.message}`);
+  }
+};
+
 /**
  * Initialize recipes data with default structure
  * @returns {Object} Default recipes structure
@@ -56,21 +231,25 @@ export const initializeRecipes = () => {
       {
         level: SKILL_LEVELS.NOVICE,
         order: 1,
+        xpRequired: 0,
         description: "Entry level crafting",
       },
       {
         level: SKILL_LEVELS.APPRENTICE,
         order: 2,
+        xpRequired: 1000,
         description: "Intermediate crafting skills",
       },
       {
         level: SKILL_LEVELS.JOURNEYMAN,
         order: 3,
+        xpRequired: 4000,
         description: "Advanced crafting techniques",
       },
       {
         level: SKILL_LEVELS.EXPERT,
         order: 4,
+        xpRequired: 12000,
         description: "Master level crafting",
       },
     ],
@@ -6,6 +6,7 @@ import {
   validateArrayIndex,
   validateRecipesData,
   validateUniqueId,
+  validateNoCircularDependencies,
 } from "../processing/validators.js";
 import { RecipeNotFoundError } from "../../../utils/errorHandler.js";
 import * as storage from "./storage.js";
@@ -14,16 +15,18 @@ import * as storage from "./storage.js";
  * RECIPE STORAGE OPERATIONS MODULE
  *
  * This module provides CRUD operations for recipe storage manipulation.
- * All functions work directly with JSON file data through the storage layer,
+ * All functions work with the recipe database through the storage layer's
+ * readRecipes/writeRecipes, which go to the active storage adapter (bundled
+ * JSON, IndexedDB, HTTP or an in-memory fixture; see adapters/index.js),
  * maintaining data persistence and consistency.
  *
  * DATA FLOW:
- * JSON Files ↔ storage.js ↔ storageOperations.js ↔ queries.js ↔ Application Layer
+ * Storage adapter ↔ storage.js ↔ storageOperations.js ↔ queries.js ↔ Application Layer
  *
  * DESIGN PRINCIPLES:
  * - Functions used by queries.js for complete CRUD operations
  * - Comprehensive validation and error handling
- * - Direct JSON file integration for persistence
+ * - Persistence through storage.writeRecipes (export with storage.exportRecipes)
  * - Consistent return structures for all operations
  */
 
@@ -32,14 +35,14 @@ import * as storage from "./storage.js";
 // ==========================================
 
 /**
- * Get all recipes from JSON storage
+ * Get all recipes from storage
  *
  * USED BY: queries.js → loadAndCacheMetadata()
  *
- * Retrieves the complete recipe database from JSON files through the storage layer.
+ * Retrieves the complete recipe database through the storage layer.
  * This is the primary data access point for all recipe information.
  *
- * DATA FLOW: JSON Files → storage.readRecipes() → Complete Recipe Database
+ * DATA FLOW: Storage adapter → storage.readRecipes() → Complete Recipe Database
  *
  * @async
  * @function getAllRecipesFromStorage
@@ -50,7 +53,7 @@ import * as storage from "./storage.js";
  * @returns {Array} returns.artisan_levels - Array of artisan skill definitions
  * @returns {Array} returns.gathering_skills - Array of gathering skill definitions
  *
- * @throws {Error} When JSON files cannot be read or parsed
+ * @throws {Error} When the storage adapter cannot read the data
  *
  * @example
  * // Get complete recipe database:
@@ -59,7 +62,7 @@ import * as storage from "./storage.js";
  */
 export const getAllRecipesFromStorage = async () => {
   try {
-    console.log("📖 Reading all recipes from JSON storage");
+    console.log("📖 Reading all recipes from storage");
     const recipes = await storage.readRecipes();
 
     // Validate the loaded data structure
@@ -74,14 +77,14 @@ export const getAllRecipesFromStorage = async () => {
 };
 
 /**
- * Get recipes by specific type from JSON storage
+ * Get recipes by specific type from storage
  *
  * USED BY: queries.js → loadAndCacheRecipesByType()
  *
  * Retrieves recipes from a specific category without loading the entire database.
  * More efficient than getAllRecipes when you only need one category.
  *
- * DATA FLOW: JSON Files → storage.readRecipes() → Extract Type → Type-specific Array
+ * DATA FLOW: Storage adapter → storage.readRecipes() → Extract Type → Type-specific Array
  *
  * @async
  * @function getRecipesByTypeFromStorage
@@ -98,7 +101,7 @@ export const getRecipesByTypeFromStorage = async (type) => {
   try {
     validateRecipeType(type);
 
-    console.log(`📖 Reading ${type} recipes from JSON storage`);
+    console.log(`📖 Reading ${type} recipes from storage`);
     const recipes = await storage.readRecipes();
 
     return recipes[type] || [];
@@ -113,17 +116,17 @@ export const getRecipesByTypeFromStorage = async (type) => {
 // ==========================================
 
 /**
- * Add a new recipe to JSON storage
+ * Add a new recipe to storage
  *
  * USED BY: queries.js → addRecipe()
  *
- * Adds a recipe to the specified type category and persists changes to JSON files.
+ * Adds a recipe to the specified type category and persists changes through the storage layer.
  * Validates recipe data before adding and ensures storage consistency.
  *
  * DATA FLOW:
- * 1. Load current JSON data
+ * 1. Load current data
  * 2. Validate and add new recipe
- * 3. Save updated data to JSON files
+ * 3. Save updated data through the storage layer
  *
  * @async
  * @function addRecipeToStorage
@@ -191,7 +194,10 @@ export const addRecipeToStorage = async (type, recipe) => {
       [type]: [...existingRecipes, recipe],
     };
 
-    // Persist changes to JSON files
+    // Reject components that lead back to the new recipe
+    validateNoCircularDependencies(updatedRecipes, recipe.name);
+
+    // Persist changes through the storage layer
     await storage.writeRecipes(updatedRecipes);
 
     console.log(`✅ Successfully added recipe "${recipe.name}" to storage`);
@@ -218,18 +224,18 @@ export const addRecipeToStorage = async (type, recipe) => {
 // ==========================================
 
 /**
- * Update an existing recipe in JSON storage
+ * Update an existing recipe in storage
  *
  * USED BY: queries.js → updateRecipeById() (via index conversion)
  *
  * Updates a recipe by type and index, applying partial updates while preserving
- * existing data. Persists changes to JSON files.
+ * existing data. Persists changes through the storage layer.
  *
  * DATA FLOW:
- * 1. Load current JSON data
+ * 1. Load current data
  * 2. Locate recipe by type and index
  * 3. Apply updates (merge with existing data)
- * 4. Save updated data to JSON files
+ * 4. Save updated data through the storage layer
  *
  * @async
  * @function updateRecipeInStorage
@@ -303,7 +309,10 @@ export const updateRecipeInStorage = async (type, index, updates) => {
     updatedRecipes[type] = [...updatedRecipes[type]];
     updatedRecipes[type][index] = mergedRecipe;
 
-    // Persist changes to JSON files
+    // Reject components that lead back to the updated recipe
+    validateNoCircularDependencies(updatedRecipes, mergedRecipe.name);
+
+    // Persist changes through the storage layer
     await storage.writeRecipes(updatedRecipes);
 
     console.log(`✅ Successfully updated recipe "${mergedRecipe.name}"`);
@@ -325,22 +334,101 @@ export const updateRecipeInStorage = async (type, index, updates) => {
   }
 };
 
+/**
+ * Replace a recipe in storage with a complete new version
+ *
+ * USED BY: recipeImport.js → applyRecipeImport()
+ *
+ * Unlike updateRecipeInStorage, fields missing from the new version are
+ * dropped rather than kept, so a recipe can be brought exactly in line with
+ * an imported copy. The recipe is found by its ID within the type.
+ *
+ * DATA FLOW:
+ * 1. Load current data
+ * 2. Locate recipe by type and ID
+ * 3. Validate the new version as a complete recipe
+ * 4. Swap it in and save through the storage layer
+ *
+ * @async
+ * @function replaceRecipeInStorage
+ * @param {string} type - Recipe type category
+ * @param {Object} recipe - Complete recipe, with the ID of the one to replace
+ * @returns {Promise<Object>} Operation result with success status and data
+ * @returns {boolean} returns.success - Whether operation succeeded
+ * @returns {string} returns.message - Success/error message
+ * @returns {Object} returns.replacedRecipe - The recipe that was replaced
+ * @returns {Object} returns.updatedStorage - Complete updated storage object
+ *
+ * @example
+ * const result = await replaceRecipeInStorage('crafted_items', importedRecipe);
+ */
+export const replaceRecipeInStorage = async (type, recipe) => {
+  try {
+    validateRecipeType(type);
+    validateRecipe(recipe, false);
+    validateRecipeStructure(recipe, type, false);
+
+    console.log(`🔁 Replacing recipe "${recipe.name}" in ${type}`);
+
+    const currentRecipes = await storage.readRecipes();
+    const existingRecipes = currentRecipes[type] || [];
+    const recipeIndex = existingRecipes.findIndex(
+      (existing) => String(existing.id) === String(recipe.id)
+    );
+
+    if (recipeIndex === -1) {
+      throw new RecipeNotFoundError(recipe.id);
+    }
+
+    const replacedRecipe = existingRecipes[recipeIndex];
+    const updatedRecipes = {
+      ...currentRecipes,
+      [type]: existingRecipes.map((existing, index) =>
+        index === recipeIndex ? recipe : existing
+      ),
+    };
+
+    // Reject components that lead back to the replaced recipe
+    validateNoCircularDependencies(updatedRecipes, recipe.name);
+
+    // Persist changes through the storage layer
+    await storage.writeRecipes(updatedRecipes);
+
+    console.log(`✅ Successfully replaced recipe "${recipe.name}"`);
+
+    return {
+      success: true,
+      message: `Recipe "${recipe.name}" replaced successfully`,
+      replacedRecipe,
+      updatedStorage: updatedRecipes,
+    };
+  } catch (error) {
+    console.error(`❌ Error replacing recipe in storage:`, error);
+    return {
+      success: false,
+      message: `Failed to replace recipe: ${error.message}`,
+      replacedRecipe: null,
+      updatedStorage: null,
+    };
+  }
+};
+
 // ==========================================
 // DELETE OPERATIONS
 // ==========================================
 
 /**
- * Remove a recipe from JSON storage by ID
+ * Remove a recipe from storage by ID
  *
  * USED BY: queries.js → removeRecipeById()
  *
  * Removes a recipe by type and ID, returning the deleted recipe for reference.
- * Persists changes to JSON files. More reliable than index-based deletion.
+ * Persists changes through the storage layer. More reliable than index-based deletion.
  *
  * DATA FLOW:
- * 1. Load current JSON data
+ * 1. Load current data
  * 2. Locate recipe by type and ID
- * 3. Remove recipe and save updated data to JSON files
+ * 3. Remove recipe and save updated data through the storage layer
  *
  * @async
  * @function removeRecipeFromStorage
@@ -414,7 +502,7 @@ export const removeRecipeFromStorage = async (type, recipeId) => {
       (_, i) => i !== recipeIndex
     );
 
-    // Persist changes to JSON files
+    // Persist changes through the storage layer
     await storage.writeRecipes(updatedRecipes);
 
     console.log(
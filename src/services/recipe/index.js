@@ -13,19 +13,33 @@ export * from "./constants.js";
 export * as queries from "./core/queries.js";
 export * as calculations from "./core/calculations.js";
 export * as utilities from "./core/utilities.js";
+export * as recipeGraph from "./core/recipeGraph.js";
+export * as craftingPlan from "./core/craftingPlan.js";
+export * as planRequirements from "./core/planRequirements.js";
+export * as costs from "./core/costs.js";
+export * as makeVsBuy from "./core/makeVsBuy.js";
+export * as skillProgression from "./core/skillProgression.js";
+export * as inventoryCrafting from "./core/inventoryCrafting.js";
+export * as recipeImport from "./core/recipeImport.js";
 
 // Data operations
 export * as storage from "./data/storage.js";
 export * as storageOps from "./data/storageOperations.js";
+export * as storageAdapters from "./data/adapters/index.js";
 
 // Processing utilities
 export * as filters from "./processing/filters.js";
 export * as transformers from "./processing/transformers.js";
 export * as validators from "./processing/validators.js";
 export * as sorting from "./processing/sorting.js";
+export * as csv from "./processing/csv.js";
 
 // Convenience exports for common operations
-export { getAllRecipes, getRecipeById } from "./core/queries.js";
+export {
+  getAllRecipes,
+  getRecipeById,
+  getRecipeGraph,
+} from "./core/queries.js";
 
 export {
   addRecipe, // ✅ REPLACE: was from mutations, now from queries
@@ -35,9 +49,63 @@ export {
 
 export {
   processRecipeListToRawComponents,
+  processRecipeListToCraftingTrees,
+  processRecipeListToCraftingTreesSync,
+  loadRecipeGraph,
   addRecipeToList,
   breakDownToRawComponents,
+  breakDownToRawComponentsSync,
+  buildCraftingTree,
+  buildCraftingTreeSync,
+  consolidateCraftingTrees,
+  calculateCraftingTime,
+  getGradedItemKey,
+  parseGradedItemKey,
+  collectRecipeVariants,
+  collectCircularDependencies,
+  summarizeSurplus,
+  collectTreeSurplus,
 } from "./core/calculations.js";
 
+export {
+  buildCraftingPlan,
+  groupCraftingPlanByWorkstation,
+} from "./core/craftingPlan.js";
+export { summarizePlanRequirements } from "./core/planRequirements.js";
+export { groupComponentsByGathering } from "./processing/transformers.js";
+export {
+  calculatePlanCost,
+  priceComponents,
+  getItemPrice,
+  splitCoins,
+} from "./core/costs.js";
+export { optimizeMakeVsBuy } from "./core/makeVsBuy.js";
+export {
+  findRecipeCycles,
+  findRecipeCycleThrough,
+  findComponentReferenceIssues,
+} from "./core/recipeGraph.js";
+export {
+  planSkillProgression,
+  getSkillLevelThresholds,
+  getSkillLevelForXp,
+} from "./core/skillProgression.js";
+export { findCraftableRecipes } from "./core/inventoryCrafting.js";
+export {
+  previewRecipeImport,
+  previewRecipeCsvImport,
+  applyRecipeImport,
+  diffRecipeDatabases,
+  previewSeedMerge,
+  applySeedMerge,
+  reseedRecipes,
+  acceptSeedVersion,
+} from "./core/recipeImport.js";
+export {
+  RECIPE_CSV_COLUMNS,
+  recipesToCsv,
+  parseRecipesCsv,
+} from "./processing/csv.js";
+
 // Default export
 export { createRecipeServiceFunctions as default } from "./recipeService.js";
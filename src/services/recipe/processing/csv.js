@@ -0,0 +1,414 @@
+import { VALID_RECIPE_TYPES, RECIPE_TYPES } from "../constants.js";
+import { ValidationError } from "../../../utils/errorHandler.js";
+import { validateRecipe, validateRecipeStructure } from "./validators.js";
+
+/**
+ * CSV conversion for recipe spreadsheets
+ * Recipes are flattened into one row per component, with the recipe columns
+ * repeated on each row; raw components and recipes without components take
+ * a single row. Nested fields use dot paths as column names
+ * (e.g. "recipe.craftingTime"), and the component columns start with
+ * "component.".
+ *
+ * Only the columns in RECIPE_CSV_COLUMNS are exported or read back.
+ *
+ * DATA FLOW:
+ * recipes data → transformForExport() → recipesToCsv() → CSV text
+ * CSV text → parseRecipesCsv() → validateRecipe() / validateRecipeStructure()
+ *   per row → {recipes, errors}
+ */
+
+/**
+ * Columns of a recipe CSV, in export order
+ * Recipes are built back in this order, matching the key order of
+ * recipes.json so unchanged recipes compare equal after a round trip.
+ * - format: "text", "integer" or "number"
+ */
+export const RECIPE_CSV_COLUMNS = [
+  { name: "type", format: "text" },
+  { name: "id", format: "integer" },
+  { name: "name", format: "text" },
+  { name: "description", format: "text" },
+  { name: "variant", format: "text" },
+  { name: "gathering.skill", format: "text" },
+  { name: "gathering.skillLevel", format: "text" },
+  { name: "vendorPrice", format: "integer" },
+  { name: "requirements.playerLevel", format: "integer" },
+  { name: "requirements.artisanLevel", format: "text" },
+  { name: "recipe.artisanSkill", format: "text" },
+  { name: "recipe.workStation", format: "text" },
+  { name: "recipe.craftingTime", format: "number" },
+  { name: "recipe.artisanXp", format: "number" },
+  { name: "recipe.outputQuantity", format: "integer" },
+  { name: "component.id", format: "integer" },
+  { name: "component.name", format: "text" },
+  { name: "component.quantity", format: "number" },
+  { name: "component.minGrade", format: "text" },
+];
+
+const COMPONENT_PREFIX = "component.";
+
+// Columns holding recipe fields (everything except type and components)
+const RECIPE_FIELD_COLUMNS = RECIPE_CSV_COLUMNS.filter(
+  ({ name }) => name !== "type" && !name.startsWith(COMPONENT_PREFIX)
+);
+
+const COMPONENT_COLUMNS = RECIPE_CSV_COLUMNS.filter(({ name }) =>
+  name.startsWith(COMPONENT_PREFIX)
+);
+
+const COLUMNS_BY_NAME = new Map(
+  RECIPE_CSV_COLUMNS.map((column) => [column.name, column])
+);
+
+// Columns a row needs to be placed in a recipe
+const REQUIRED_COLUMNS = ["type", "id"];
+
+// ==========================================
+// CSV TEXT
+// ==========================================
+
+/**
+ * Quote a CSV cell when it holds a delimiter, quote, line break or
+ * surrounding spaces
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} CSV cell
+ */
+const formatCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV text (RFC 4180, CRLF line endings)
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+export const formatCsv = (rows) =>
+  rows.map((row) => row.map(formatCsvCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180)
+ * Quoted cells may hold commas, doubled quotes and line breaks. A byte order
+ * mark is ignored, and so is the line break ending the last row.
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} Rows, one per spreadsheet row
+ * @throws {ValidationError} If a quoted cell is not closed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let quoteRow = 0;
+  const source = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteRow = rows.length + 1;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError(
+      "file",
+      `Row ${quoteRow} has a quoted cell that is never closed`
+    );
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+/**
+ * Read a dot path from an object
+ * @param {Object} object - Object to read
+ * @param {string} path - Dot path
+ * @returns {*} Value, or undefined when any part is missing
+ */
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+/**
+ * Set a dot path on an object, creating the objects on the way
+ * @param {Object} object - Object to update
+ * @param {string} path - Dot path
+ * @param {*} value - Value to set
+ */
+const setPath = (object, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    target[key] = target[key] || {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+};
+
+/**
+ * Convert recipes data to a recipe CSV
+ * @param {Object} recipes - Recipes data, as returned by transformForExport
+ * @param {string[]} [types=VALID_RECIPE_TYPES] - Recipe types to include
+ * @returns {string} CSV text with a header row of RECIPE_CSV_COLUMNS
+ */
+export const recipesToCsv = (recipes, types = VALID_RECIPE_TYPES) => {
+  const rows = [RECIPE_CSV_COLUMNS.map(({ name }) => name)];
+
+  for (const type of types) {
+    for (const recipe of recipes[type] || []) {
+      const recipeCells = RECIPE_FIELD_COLUMNS.map(({ name }) =>
+        getPath(recipe, name)
+      );
+      const components = recipe.recipe?.components || [];
+      const componentRows = components.length > 0 ? components : [{}];
+
+      for (const component of componentRows) {
+        rows.push([
+          type,
+          ...recipeCells,
+          ...COMPONENT_COLUMNS.map(({ name }) =>
+            getPath(component, name.slice(COMPONENT_PREFIX.length))
+          ),
+        ]);
+      }
+    }
+  }
+
+  return formatCsv(rows);
+};
+
+// ==========================================
+// IMPORT
+// ==========================================
+
+/**
+ * Convert a cell to its column's format
+ * @param {string} cell - Cell text, trimmed
+ * @param {Object} column - Column from RECIPE_CSV_COLUMNS
+ * @returns {Object} {value} or {error}; value is undefined for empty cells
+ */
+const convertCell = (cell, column) => {
+  if (cell === "") return { value: undefined };
+
+  switch (column.format) {
+    case "integer":
+      return /^-?\d+$/.test(cell)
+        ? { value: Number(cell) }
+        : { error: `"${cell}" is not a whole number` };
+    case "number": {
+      const value = Number(cell);
+      return Number.isFinite(value)
+        ? { value }
+        : { error: `"${cell}" is not a number` };
+    }
+    default:
+      return { value: cell };
+  }
+};
+
+/**
+ * Name the CSV column a validation error field belongs to
+ * The validators see each row as a recipe with a single component, so
+ * "recipe.components[0].quantity" becomes "component.quantity".
+ * @param {string} field - ValidationError field
+ * @returns {string} Column name
+ */
+const getErrorColumn = (field = "") =>
+  field
+    .replace(/^recipe\.components\[\d+\]\.?/, COMPONENT_PREFIX)
+    .replace(/\.$/, "");
+
+/**
+ * Check the header row of a recipe CSV
+ * @param {string[]} header - Header cells
+ * @returns {Array} Errors {row, column, message}
+ */
+const validateHeader = (header) => {
+  const errors = [];
+  const seen = new Set();
+
+  header.forEach((name) => {
+    if (!COLUMNS_BY_NAME.has(name)) {
+      errors.push({ row: 1, column: name, message: "Unknown column" });
+    } else if (seen.has(name)) {
+      errors.push({ row: 1, column: name, message: "Column appears twice" });
+    }
+    seen.add(name);
+  });
+
+  REQUIRED_COLUMNS.filter((name) => !seen.has(name)).forEach((name) =>
+    errors.push({ row: 1, column: name, message: "Column is missing" })
+  );
+
+  return errors;
+};
+
+/**
+ * Convert a recipe CSV to recipes data
+ * Rows are grouped into recipes by ID. Recipe columns may be left empty on
+ * the later rows of a recipe; when filled in they must match its first row.
+ * Every row, with the recipe columns of the first row filled in, is run
+ * through validateRecipe and validateRecipeStructure as a recipe with that
+ * row's component, so every row with a problem is reported, not only the
+ * first.
+ * @param {string} text - CSV text
+ * @returns {Object} {recipes, errors}
+ *   - recipes: recipe arrays keyed by the types found in the file; empty
+ *     when there are errors
+ *   - errors: [{row, column, message}] sorted by row, where row counts the
+ *     header as row 1, as spreadsheets do
+ * @throws {ValidationError} If the file is empty or is not valid CSV
+ */
+export const parseRecipesCsv = (text) => {
+  const [headerCells, ...dataRows] = parseCsv(text);
+  if (!headerCells || headerCells.every((cell) => cell.trim() === "")) {
+    throw new ValidationError("file", "The file has no header row");
+  }
+
+  const header = headerCells.map((cell) => cell.trim());
+  const headerErrors = validateHeader(header);
+  if (headerErrors.length > 0) {
+    return { recipes: {}, errors: headerErrors };
+  }
+
+  const errors = [];
+  const groups = new Map();
+
+  dataRows.forEach((cells, index) => {
+    const row = index + 2;
+    const rowErrors = [];
+    const addError = (column, message) =>
+      rowErrors.push({ row, column, message });
+
+    const values = {};
+    header.forEach((name, cellIndex) => {
+      values[name] = (cells[cellIndex] || "").trim();
+    });
+    if (Object.values(values).every((cell) => cell === "")) return;
+
+    const { type } = values;
+    if (!VALID_RECIPE_TYPES.includes(type)) {
+      addError("type", `Must be one of: ${VALID_RECIPE_TYPES.join(", ")}`);
+    }
+
+    // Later rows of a recipe take its first row's recipe columns
+    const group = groups.get(values.id);
+    if (group) {
+      if (type !== group.type) {
+        addError(
+          "type",
+          `ID ${values.id} is a ${group.type} on row ${group.row}`
+        );
+      }
+      RECIPE_FIELD_COLUMNS.forEach(({ name }) => {
+        if (!(name in values) || values[name] === "") {
+          values[name] = group.values[name];
+        } else if (values[name] !== group.values[name]) {
+          addError(name, `Differs from row ${group.row} for the same recipe`);
+        }
+      });
+    }
+
+    const rowRecipe = {};
+    let component = null;
+    RECIPE_CSV_COLUMNS.forEach((column) => {
+      if (column.name === "type" || !values[column.name]) return;
+
+      const { value, error } = convertCell(values[column.name], column);
+      if (error) {
+        addError(column.name, error);
+      } else if (column.name.startsWith(COMPONENT_PREFIX)) {
+        component = component || {};
+        setPath(component, column.name.slice(COMPONENT_PREFIX.length), value);
+      } else {
+        setPath(rowRecipe, column.name, value);
+      }
+    });
+
+    if (component && type === RECIPE_TYPES.RAW_COMPONENTS) {
+      addError(
+        COMPONENT_COLUMNS.find(({ name }) => values[name]).name,
+        "Raw components have no components"
+      );
+    }
+
+    if (rowErrors.length === 0) {
+      if (type !== RECIPE_TYPES.RAW_COMPONENTS) {
+        rowRecipe.recipe = {
+          ...rowRecipe.recipe,
+          components: component ? [component] : [],
+        };
+      }
+      try {
+        validateRecipe(rowRecipe);
+        validateRecipeStructure(rowRecipe, type);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        addError(getErrorColumn(error.field), error.details.reason);
+      }
+    }
+
+    // A recipe whose first row has errors is still grouped, so its later
+    // rows are checked against that row rather than reported as incomplete
+    errors.push(...rowErrors);
+    if (group) {
+      if (component && rowErrors.length === 0) {
+        group.components.push(component);
+      }
+    } else {
+      const { recipe: composition, ...fields } = rowRecipe;
+      groups.set(values.id, {
+        type,
+        row,
+        values,
+        recipe: fields,
+        composition,
+        components: component ? [component] : [],
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { recipes: {}, errors };
+  }
+
+  const recipes = {};
+  for (const group of groups.values()) {
+    const recipe = { ...group.recipe };
+    if (group.composition) {
+      recipe.recipe = { ...group.composition, components: group.components };
+    }
+    recipes[group.type] = [...(recipes[group.type] || []), recipe];
+  }
+  return { recipes, errors };
+};
@@ -0,0 +1,160 @@
+import recipesData from "../../../db/recipes.json";
+import { VALID_RECIPE_TYPES } from "../constants.js";
+import { ValidationError } from "../../../utils/errorHandler.js";
+import {
+  RECIPE_CSV_COLUMNS,
+  parseCsv,
+  recipesToCsv,
+  parseRecipesCsv,
+} from "./csv.js";
+import { transformForExport } from "./transformers.js";
+
+const HEADER = RECIPE_CSV_COLUMNS.map(({ name }) => name).join(",");
+
+/**
+ * Build a recipe CSV from named cells, one object per row
+ * @param {Array<Object>} rows - Cells keyed by column name
+ * @returns {string} CSV text with the full header
+ */
+const toCsv = (rows) =>
+  [
+    HEADER,
+    ...rows.map((cells) =>
+      RECIPE_CSV_COLUMNS.map(({ name }) => cells[name] ?? "").join(",")
+    ),
+  ].join("\n");
+
+const timberRow = {
+  type: "intermediate_recipes",
+  id: "2200",
+  name: "Oak Timber",
+  description: "Processes Oak Wood into Oak Timber",
+  "requirements.playerLevel": "0",
+  "requirements.artisanLevel": "novice",
+  "recipe.artisanSkill": "lumber_milling",
+  "recipe.workStation": "lumber_milling_bench",
+  "recipe.craftingTime": "5",
+  "recipe.artisanXp": "10",
+  "component.id": "1100",
+  "component.name": "Oak Wood",
+  "component.quantity": "1",
+};
+
+describe("recipe CSV round trip", () => {
+  test("the bundled recipes come back unchanged", () => {
+    const csv = recipesToCsv(transformForExport(recipesData));
+    const { recipes, errors } = parseRecipesCsv(csv);
+
+    expect(errors).toEqual([]);
+    VALID_RECIPE_TYPES.forEach((type) => {
+      expect(recipes[type]).toEqual(recipesData[type]);
+    });
+  });
+
+  test("only the requested types are exported", () => {
+    const csv = recipesToCsv(recipesData, ["raw_components"]);
+    const { recipes } = parseRecipesCsv(csv);
+
+    expect(Object.keys(recipes)).toEqual(["raw_components"]);
+  });
+
+  test("multi-component recipes take one row per component", () => {
+    const csv = recipesToCsv(recipesData, ["crafted_items"]);
+    const rows = parseCsv(csv).slice(1);
+    const componentCount = recipesData.crafted_items.reduce(
+      (total, item) => total + item.recipe.components.length,
+      0
+    );
+
+    expect(rows).toHaveLength(componentCount);
+  });
+});
+
+describe("quoted cells", () => {
+  const awkward = 'Oak, "seasoned"\nand dried';
+
+  test("commas, quotes and line breaks survive a round trip", () => {
+    const data = {
+      intermediate_recipes: [
+        {
+          ...recipesData.intermediate_recipes.find(({ id }) => id === 2200),
+          description: awkward,
+        },
+      ],
+    };
+
+    const csv = recipesToCsv(data, ["intermediate_recipes"]);
+    expect(csv).toContain('"Oak, ""seasoned""\nand dried"');
+
+    const { recipes, errors } = parseRecipesCsv(csv);
+    expect(errors).toEqual([]);
+    expect(recipes.intermediate_recipes[0].description).toBe(awkward);
+  });
+
+  test("parseCsv splits rows only outside quotes", () => {
+    expect(parseCsv('a,"b,c"\r\n"d\r\ne","f""g"\r\n')).toEqual([
+      ["a", "b,c"],
+      ["d\r\ne", 'f"g'],
+    ]);
+  });
+
+  test("an unclosed quote is rejected", () => {
+    expect(() => parseCsv('a,"b\nc')).toThrow(ValidationError);
+  });
+});
+
+describe("row errors", () => {
+  test("each bad row is reported by row and column", () => {
+    const { recipes, errors } = parseRecipesCsv(
+      toCsv([
+        timberRow,
+        { ...timberRow, "component.quantity": "lots" },
+        { ...timberRow, id: "2201", "recipe.outputQuantity": "0" },
+        { ...timberRow, id: "1100", type: "raw_components" },
+      ])
+    );
+
+    expect(recipes).toEqual({});
+    expect(errors).toEqual([
+      {
+        row: 3,
+        column: "component.quantity",
+        message: '"lots" is not a number',
+      },
+      expect.objectContaining({ row: 4, column: "recipe.outputQuantity" }),
+      {
+        row: 5,
+        column: "component.id",
+        message: "Raw components have no components",
+      },
+    ]);
+  });
+
+  test("later rows of a recipe must match its first row", () => {
+    const { errors } = parseRecipesCsv(
+      toCsv([timberRow, { ...timberRow, name: "Pine Timber" }])
+    );
+
+    expect(errors).toEqual([
+      {
+        row: 3,
+        column: "name",
+        message: "Differs from row 2 for the same recipe",
+      },
+    ]);
+  });
+
+  test("unknown and missing columns are header errors", () => {
+    const { errors } = parseRecipesCsv("name,colour\nOak Timber,brown\n");
+
+    expect(errors).toEqual([
+      { row: 1, column: "colour", message: "Unknown column" },
+      { row: 1, column: "type", message: "Column is missing" },
+      { row: 1, column: "id", message: "Column is missing" },
+    ]);
+  });
+
+  test("an empty file is rejected", () => {
+    expect(() => parseRecipesCsv("")).toThrow(ValidationError);
+  });
+});
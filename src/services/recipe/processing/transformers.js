@@ -1,4 +1,8 @@
-import { VALID_RECIPE_TYPES } from "../constants.js";
+import {
+  VALID_RECIPE_TYPES,
+  GATHERING_SKILLS,
+  SKILL_LEVEL_ORDER,
+} from "../constants.js";
 
 /**
  * Data transformation utilities for recipes
@@ -69,6 +73,44 @@ export const groupRecipesBy = (recipes, groupBy) => {
   }, {});
 };
 
+/**
+ * Group raw components by gathering skill for a gathering plan
+ * Skills follow GATHERING_SKILLS order, with unknown skills after them and
+ * components without gathering info last. Within a group components are
+ * ordered by skill level, then name.
+ * @param {Array} components - Raw components with optional gathering info
+ * @returns {Array} Groups [{skill, components, totalQuantity}], skill is null
+ *   for components without gathering info
+ */
+export const groupComponentsByGathering = (components = []) => {
+  const groups = groupRecipesBy(
+    components,
+    (component) => component.gathering?.skill
+  );
+  const skillOrder = Object.values(GATHERING_SKILLS);
+  const rank = (skill) =>
+    skill === "undefined"
+      ? Infinity
+      : skillOrder.includes(skill)
+        ? skillOrder.indexOf(skill)
+        : skillOrder.length;
+  const levelRank = (component) =>
+    SKILL_LEVEL_ORDER.indexOf(component.gathering?.skillLevel);
+
+  return Object.keys(groups)
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map((skill) => ({
+      skill: skill === "undefined" ? null : skill,
+      components: [...groups[skill]].sort(
+        (a, b) => levelRank(a) - levelRank(b) || a.name.localeCompare(b.name)
+      ),
+      totalQuantity: groups[skill].reduce(
+        (total, component) => total + component.quantity,
+        0
+      ),
+    }));
+};
+
 /**
  * Extract unique values from recipes for a given property
  * @param {Array} recipes - Array of recipes
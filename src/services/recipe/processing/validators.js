@@ -1,9 +1,18 @@
-import { VALID_RECIPE_TYPES, RECIPE_TYPES } from "../constants.js";
+import {
+  VALID_RECIPE_TYPES,
+  RECIPE_TYPES,
+  MATERIAL_GRADE_ORDER,
+} from "../constants.js";
 import {
   InvalidRecipeTypeError,
   ValidationError,
   RecipeNotFoundError,
 } from "../../../utils/errorHandler.js";
+import {
+  createRecipeGraph,
+  findRecipeCycles,
+  findRecipeCycleThrough,
+} from "../core/recipeGraph.js";
 
 /**
  * RECIPE VALIDATION MODULE
@@ -116,6 +125,16 @@ export const validateRecipe = (recipe, isUpdate = false) => {
     }
   }
 
+  // Validate variant label if present (alternative recipes sharing a name)
+  if (recipe.variant !== undefined) {
+    if (typeof recipe.variant !== "string" || !recipe.variant.trim()) {
+      throw new ValidationError(
+        "variant",
+        "Variant must be a non-empty string"
+      );
+    }
+  }
+
   // Validate requirements if present
   if (recipe.requirements !== undefined) {
     if (
@@ -187,6 +206,20 @@ const validateRawComponentStructure = (component, isUpdate = false) => {
   if (component.gathering) {
     validateGatheringInfo(component.gathering);
   }
+
+  // Vendor price is optional, in copper
+  if (component.vendorPrice !== undefined) {
+    if (
+      typeof component.vendorPrice !== "number" ||
+      !Number.isInteger(component.vendorPrice) ||
+      component.vendorPrice < 0
+    ) {
+      throw new ValidationError(
+        "vendorPrice",
+        "Vendor price must be a non-negative integer (copper)"
+      );
+    }
+  }
 };
 
 /**
@@ -246,6 +279,48 @@ const validateRecipeComposition = (recipeInfo) => {
     }
   }
 
+  // Validate output quantity if present (units produced per craft)
+  if (recipeInfo.outputQuantity !== undefined) {
+    if (
+      typeof recipeInfo.outputQuantity !== "number" ||
+      !Number.isInteger(recipeInfo.outputQuantity) ||
+      recipeInfo.outputQuantity < 1
+    ) {
+      throw new ValidationError(
+        "recipe.outputQuantity",
+        "Output quantity must be a positive integer"
+      );
+    }
+  }
+
+  // Validate crafting time if present (seconds per craft)
+  if (recipeInfo.craftingTime !== undefined) {
+    if (
+      typeof recipeInfo.craftingTime !== "number" ||
+      !Number.isFinite(recipeInfo.craftingTime) ||
+      recipeInfo.craftingTime <= 0
+    ) {
+      throw new ValidationError(
+        "recipe.craftingTime",
+        "Crafting time must be a positive number of seconds"
+      );
+    }
+  }
+
+  // Validate artisan XP if present (XP per craft)
+  if (recipeInfo.artisanXp !== undefined) {
+    if (
+      typeof recipeInfo.artisanXp !== "number" ||
+      !Number.isFinite(recipeInfo.artisanXp) ||
+      recipeInfo.artisanXp < 0
+    ) {
+      throw new ValidationError(
+        "recipe.artisanXp",
+        "Artisan XP must be a non-negative number"
+      );
+    }
+  }
+
   // Validate components if present
   if (recipeInfo.components !== undefined) {
     if (!Array.isArray(recipeInfo.components)) {
@@ -338,6 +413,16 @@ const validateComponent = (component, fieldPath) => {
       );
     }
   }
+
+  // Validate minimum material grade if present
+  if (component.minGrade !== undefined) {
+    if (!MATERIAL_GRADE_ORDER.includes(component.minGrade)) {
+      throw new ValidationError(
+        `${fieldPath}.minGrade`,
+        `Component grade must be one of: ${MATERIAL_GRADE_ORDER.join(", ")}`
+      );
+    }
+  }
 };
 
 // ==========================================
@@ -377,6 +462,58 @@ export const validateRecipesData = (recipes) => {
       throw new ValidationError(`recipes.${type}`, `${type} must be an array`);
     }
   });
+
+  // Validate artisan level XP thresholds if present
+  if (recipes.artisan_levels !== undefined) {
+    if (!Array.isArray(recipes.artisan_levels)) {
+      throw new ValidationError(
+        "recipes.artisan_levels",
+        "artisan_levels must be an array"
+      );
+    }
+
+    recipes.artisan_levels.forEach((level, index) => {
+      if (
+        level?.xpRequired !== undefined &&
+        (typeof level.xpRequired !== "number" ||
+          !Number.isFinite(level.xpRequired) ||
+          level.xpRequired < 0)
+      ) {
+        throw new ValidationError(
+          `recipes.artisan_levels[${index}].xpRequired`,
+          "XP required must be a non-negative number"
+        );
+      }
+    });
+  }
+};
+
+/**
+ * Validate that recipes data has no circular dependencies
+ * When a name is passed only a loop from that item back to itself is
+ * looked for, so an existing cycle elsewhere does not block unrelated edits
+ * @param {Object} recipes - Recipes data (recipe arrays keyed by type)
+ * @param {string} [itemName] - Item being added or updated
+ * @throws {ValidationError} If a cycle is found, with its full path
+ *   (e.g. "A → B → C → A")
+ */
+export const validateNoCircularDependencies = (recipes, itemName = null) => {
+  const graph = createRecipeGraph(
+    VALID_RECIPE_TYPES.flatMap((type) =>
+      (recipes?.[type] || []).map((recipe) => ({ ...recipe, type }))
+    )
+  );
+  const cycle =
+    itemName === null
+      ? findRecipeCycles(graph)[0]
+      : findRecipeCycleThrough(graph, itemName);
+
+  if (cycle) {
+    throw new ValidationError(
+      "recipe.components",
+      `Circular dependency: ${cycle.path.join(" → ")}`
+    );
+  }
 };
 
 /**
@@ -1,6 +1,16 @@
 import * as queries from "./core/queries.js";
 import * as calculations from "./core/calculations.js";
 import * as utilities from "./core/utilities.js";
+import * as recipeGraph from "./core/recipeGraph.js";
+import * as craftingPlan from "./core/craftingPlan.js";
+import * as planRequirements from "./core/planRequirements.js";
+import * as costs from "./core/costs.js";
+import * as makeVsBuy from "./core/makeVsBuy.js";
+import * as skillProgression from "./core/skillProgression.js";
+import * as inventoryCrafting from "./core/inventoryCrafting.js";
+import * as recipeImport from "./core/recipeImport.js";
+import * as transformers from "./processing/transformers.js";
+import * as storage from "./data/storage.js";
 
 /**
  * Create recipe service functions
@@ -18,6 +28,7 @@ export const createRecipeServiceFunctions = () => {
     getAllRecipes: queries.getAllRecipes,
     getRecipesByType: queries.getRecipesByType,
     getRecipeById: queries.getRecipeById,
+    getRecipeGraph: queries.getRecipeGraph,
   };
 
   // Initialize the calculation service
@@ -29,12 +40,13 @@ export const createRecipeServiceFunctions = () => {
     // ==========================================
     /**
      * Initialize the recipe service and load data
-     * DATA: Initializes JSON file reading and caching
-     * INPUT: None
+     * DATA: Selects the storage adapter, then loads and checks the database
+     * INPUT: Optional storage selection {storage, adapter, baseUrl, headers}
      * OUTPUT: Service initialization status
      *
      * @function initialize
-     * @returns {Promise<boolean>} Success status of initialization
+     * @param {Object} [options] - Storage selection (see STORAGE_ADAPTERS)
+     * @returns {Promise<Object>} {success, message}
      */
     initialize: utilities.initializeService,
 
@@ -45,7 +57,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Get all available recipes from the database
-     * DATA: JSON file → Array<RecipeObject>
+     * DATA: Storage adapter → Array<RecipeObject>
      * INPUT: None
      * OUTPUT: Array of recipe objects with {id, name, description, requirements, recipe, type}
      * @function getAllRecipes
@@ -55,7 +67,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Filter recipes by type (e.g., 'weapon', 'armor', 'consumable')
-     * DATA: JSON file → Filtered Array<RecipeObject>
+     * DATA: Storage adapter → Filtered Array<RecipeObject>
      * INPUT: String (recipe type)
      * OUTPUT: Array of recipe objects matching the type
      * @function getRecipesByType
@@ -66,7 +78,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Get single recipe by unique ID
-     * DATA: JSON file → Single RecipeObject
+     * DATA: Storage adapter → Single RecipeObject
      * INPUT: Recipe ID (number or string)
      * OUTPUT: Single recipe object or null if not found
      * @function getRecipeById
@@ -77,7 +89,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Filter recipes based on multiple criteria
-     * DATA: JSON file → Filtered Array<RecipeObject>
+     * DATA: Storage adapter → Filtered Array<RecipeObject>
      * INPUT: Filter criteria object
      * OUTPUT: Array of recipes matching all criteria
      * @function filterRecipes
@@ -88,7 +100,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Find recipes that use a specific component
-     * DATA: JSON file → Filtered Array<RecipeObject>
+     * DATA: Storage adapter → Filtered Array<RecipeObject>
      * INPUT: Component name string
      * OUTPUT: Array of recipes that require the specified component
      * @function getRecipesByComponent
@@ -97,9 +109,30 @@ export const createRecipeServiceFunctions = () => {
      */
     getRecipesByComponent: queries.getRecipesByComponent,
 
+    /**
+     * Trace every recipe that uses a component, directly or indirectly
+     * DATA: Recipe caches → Where-used tree {name, recipeCount, usedBy}
+     * INPUT: Component name, or reference {id, name} resolved by ID first
+     * OUTPUT: Nested users with quantities multiplied along each path
+     * @function getWhereUsedTree
+     * @param {string|Object} component - Component to trace
+     * @returns {Promise<Object>} Where-used tree rooted at the component
+     */
+    getWhereUsedTree: queries.getWhereUsedTree,
+
+    /**
+     * Get the recipe graph indexed by ID and normalised name
+     * DATA: Recipe caches → Graph {byId, byName, size}
+     * INPUT: None
+     * OUTPUT: Graph rebuilt whenever the recipe caches are invalidated
+     * @function getRecipeGraph
+     * @returns {Promise<Object>} Recipe graph used by the calculations
+     */
+    getRecipeGraph: queries.getRecipeGraph,
+
     /**
      * Get list of available artisan skills
-     * DATA: JSON file → Array<String>
+     * DATA: Storage adapter → Array<String>
      * INPUT: None
      * OUTPUT: Array of unique artisan skill names
      * @function getArtisanSkills
@@ -109,7 +142,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Get list of available gathering skills
-     * DATA: JSON file → Array<String>
+     * DATA: Storage adapter → Array<String>
      * INPUT: None
      * OUTPUT: Array of unique gathering skill names
      * @function getGatheringSkills
@@ -119,7 +152,7 @@ export const createRecipeServiceFunctions = () => {
 
     /**
      * Get statistical information about the recipe database
-     * DATA: JSON file → Statistics Object
+     * DATA: Storage adapter → Statistics Object
      * INPUT: None
      * OUTPUT: Object with counts, averages, and other stats
      * @function getStatistics
@@ -130,7 +163,9 @@ export const createRecipeServiceFunctions = () => {
     // ==========================================
     // MUTATION OPERATIONS (WRITE)
     // Work with: Array<Object> → Modified Array<Object>
-    // Note: These don't modify JSON files, only runtime data
+    // Note: Changes are saved through the active storage adapter (bundled
+    //       JSON, IndexedDB, HTTP or memory; see getStorageAdapter), never
+    //       to recipes.json itself (see exportRecipes)
     // ==========================================
 
     /**
@@ -178,6 +213,7 @@ export const createRecipeServiceFunctions = () => {
      * DATA: Array<RecipeObjects> → Array<ComponentObjects>
      * INPUT: Array of recipe objects with quantities
      * OUTPUT: Consolidated array of raw components with total quantities
+     *         and the quantity each recipe contributes (usedBy)
      * @function processRecipeListToRawComponents
      * @param {Array<Object>} recipeList - List of recipes with quantities
      * @returns {Promise<Array<Object>>} Consolidated raw components
@@ -185,6 +221,31 @@ export const createRecipeServiceFunctions = () => {
     processRecipeListToRawComponents:
       calculations.processRecipeListToRawComponents,
 
+    /**
+     * Build one crafting tree per recipe in the list
+     * DATA: Array<RecipeObjects> → Array<TreeNodeObjects>
+     * INPUT: Array of recipe objects with quantities
+     * OUTPUT: Tree per recipe with intermediate tiers kept as child nodes
+     * @function processRecipeListToCraftingTrees
+     * @param {Array<Object>} recipeList - List of recipes with quantities
+     * @returns {Promise<Array<Object>>} Crafting tree root nodes
+     */
+    processRecipeListToCraftingTrees:
+      calculations.processRecipeListToCraftingTrees,
+
+    /**
+     * Build crafting trees synchronously against a prebuilt recipe graph
+     * DATA: RecipeGraph + Array<RecipeObjects> → Array<TreeNodeObjects>
+     * INPUT: Graph from getRecipeGraph, recipe list, breakdown options
+     * OUTPUT: Same trees as processRecipeListToCraftingTrees, without awaiting
+     * @function processRecipeListToCraftingTreesSync
+     * @param {Object} graph - Recipe graph
+     * @param {Array<Object>} recipeList - List of recipes with quantities
+     * @returns {Array<Object>} Crafting tree root nodes
+     */
+    processRecipeListToCraftingTreesSync:
+      calculations.processRecipeListToCraftingTreesSync,
+
     /**
      * Add a single recipe to an existing recipe list
      * DATA: Array<RecipeObjects> → Array<RecipeObjects> (with new item)
@@ -209,6 +270,147 @@ export const createRecipeServiceFunctions = () => {
      */
     breakDownToRawComponents: calculations.breakDownToRawComponents,
 
+    /**
+     * Break down a component synchronously against a prebuilt recipe graph
+     * DATA: RecipeGraph + Component name → Array<ComponentObjects>
+     * INPUT: Graph from getRecipeGraph, component name and quantity
+     * OUTPUT: Array of raw components needed
+     * @function breakDownToRawComponentsSync
+     * @param {Object} graph - Recipe graph
+     * @param {string} componentName - Name of component to break down
+     * @param {number} quantity - Quantity needed (default: 1)
+     * @returns {Array<Object>} Raw components
+     */
+    breakDownToRawComponentsSync: calculations.breakDownToRawComponentsSync,
+
+    /**
+     * Build the full crafting tree for a single component
+     * DATA: Component name → TreeNodeObject
+     * INPUT: Component name and quantity needed
+     * OUTPUT: Node with {id, name, quantity, type, artisanSkill, workStation, children}
+     * @function buildCraftingTree
+     * @param {string} componentName - Name of component to expand
+     * @param {number} quantity - Quantity needed (default: 1)
+     * @returns {Promise<Object>} Crafting tree root node
+     */
+    buildCraftingTree: calculations.buildCraftingTree,
+
+    /**
+     * Build the crafting tree synchronously against a prebuilt recipe graph
+     * DATA: RecipeGraph + Component name → TreeNodeObject
+     * INPUT: Graph from getRecipeGraph, component name and quantity
+     * OUTPUT: Same node as buildCraftingTree
+     * @function buildCraftingTreeSync
+     * @param {Object} graph - Recipe graph
+     * @param {string} componentName - Name of component to expand
+     * @param {number} quantity - Quantity needed (default: 1)
+     * @returns {Object} Crafting tree root node
+     */
+    buildCraftingTreeSync: calculations.buildCraftingTreeSync,
+
+    /**
+     * List leftover intermediates from batch rounding
+     * DATA: Surplus pool → Array<ComponentObjects>
+     * INPUT: Surplus pool object passed as options.surplus to a breakdown
+     * OUTPUT: Array of {id, name, grade, quantity} leftovers sorted by name
+     * @function summarizeSurplus
+     * @param {Object} surplusPool - Pool filled by the breakdown
+     * @returns {Array<Object>} Leftover intermediates
+     */
+    summarizeSurplus: calculations.summarizeSurplus,
+
+    /**
+     * List leftover intermediates from batch rounding in crafting trees
+     * DATA: Array<CraftingTrees> → Array<ComponentObjects>
+     * INPUT: Crafting tree root nodes, from any breakdown
+     * OUTPUT: Array of {id, name, grade, quantity} leftovers sorted by name
+     * @function collectTreeSurplus
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @returns {Array<Object>} Leftover intermediates
+     */
+    collectTreeSurplus: calculations.collectTreeSurplus,
+
+    /**
+     * Consolidate the raw leaves of crafting trees into one component list
+     * DATA: Array<TreeNodeObjects> → Array<ComponentObjects>
+     * INPUT: Trees from processRecipeListToCraftingTrees
+     * OUTPUT: Consolidated raw components, as processRecipeListToRawComponents,
+     *         each with usedBy records of the quantity per selected recipe
+     * @function consolidateCraftingTrees
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @returns {Array<Object>} Consolidated raw components
+     */
+    consolidateCraftingTrees: calculations.consolidateCraftingTrees,
+
+    /**
+     * Roll up the crafting time of one crafting tree
+     * DATA: TreeNodeObject → {seconds, untimedCrafts}
+     * INPUT: A tree from buildCraftingTree or processRecipeListToCraftingTrees
+     * OUTPUT: Seconds for crafts × craftingTime, plus the number of crafts
+     *         whose recipe has no crafting time
+     * @function calculateCraftingTime
+     * @param {Object} tree - Crafting tree node
+     * @returns {Object} Crafting time roll-up
+     */
+    calculateCraftingTime: calculations.calculateCraftingTime,
+
+    /**
+     * List items in a breakdown that have alternative recipes
+     * DATA: Array<TreeNodeObjects> → Array<VariantObjects>
+     * INPUT: Crafting trees built with recipeChoices / variantStrategy options
+     * OUTPUT: Array of {name, selectedId, alternatives} sorted by item name
+     * @function collectRecipeVariants
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @returns {Array<Object>} Items with the variant used and its alternatives
+     */
+    collectRecipeVariants: calculations.collectRecipeVariants,
+
+    /**
+     * List the circular dependencies a breakdown stopped at
+     * DATA: Array<TreeNodeObjects> → Array<CycleObjects>
+     * INPUT: Crafting trees
+     * OUTPUT: Array of {name, path}, each path from an item back to itself
+     * @function collectCircularDependencies
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @returns {Array<Object>} Circular dependencies met in the trees
+     */
+    collectCircularDependencies: calculations.collectCircularDependencies,
+
+    /**
+     * Find the circular dependencies anywhere in the recipe database
+     * DATA: RecipeGraph → Array<CycleObjects>
+     * INPUT: Graph from getRecipeGraph
+     * OUTPUT: Array of {path, ids}, each path from an item back to itself
+     * @function findRecipeCycles
+     * @param {Object} graph - Recipe graph
+     * @returns {Array<Object>} Cycles with their full paths
+     */
+    findRecipeCycles: recipeGraph.findRecipeCycles,
+
+    /**
+     * Find a circular dependency through one item
+     * DATA: RecipeGraph + item name → CycleObject | null
+     * INPUT: Graph from getRecipeGraph and the item to check
+     * OUTPUT: Shortest {path, ids} from the item back to itself, or null
+     * @function findRecipeCycleThrough
+     * @param {Object} graph - Recipe graph
+     * @param {string} itemName - Item name
+     * @returns {Object|null} Cycle through the item
+     */
+    findRecipeCycleThrough: recipeGraph.findRecipeCycleThrough,
+
+    /**
+     * Find component references whose ID and name disagree
+     * DATA: RecipeGraph → Array<ReferenceIssueObjects>
+     * INPUT: Graph from getRecipeGraph
+     * OUTPUT: Array of {recipeId, recipeName, componentId, componentName,
+     *         resolvedId, resolvedName, issue} with the item the breakdown uses
+     * @function findComponentReferenceIssues
+     * @param {Object} graph - Recipe graph
+     * @returns {Array<Object>} Mismatched component references
+     */
+    findComponentReferenceIssues: recipeGraph.findComponentReferenceIssues,
+
     /**
      * Remove a recipe from the recipe list
      * @function removeRecipeFromList
@@ -243,6 +445,264 @@ export const createRecipeServiceFunctions = () => {
      */
     clearRecipeList: calculations.clearRecipeList,
 
+    // ==========================================
+    // PLANNING OPERATIONS
+    // Work with: Crafting trees → Ordered plan steps
+    // ==========================================
+
+    /**
+     * Build a step-by-step crafting plan (build order)
+     * DATA: Array<TreeNodeObjects> → Plan {steps, gatherCount, craftCount, totalCrafts}
+     * INPUT: Crafting trees from processRecipeListToCraftingTrees
+     * OUTPUT: Gather steps, then merged craft steps sorted by dependency depth
+     * @function buildCraftingPlan
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @returns {Object} Crafting plan
+     */
+    buildCraftingPlan: craftingPlan.buildCraftingPlan,
+
+    /**
+     * Group a crafting plan by workstation to minimise station hopping
+     * DATA: Plan → {visits, stations, gatherSteps}
+     * INPUT: Plan from buildCraftingPlan
+     * OUTPUT: Station visits in valid dependency order, plus crafts and
+     *         visits per station
+     * @function groupCraftingPlanByWorkstation
+     * @param {Object} plan - Crafting plan
+     * @returns {Object} Workstation grouped plan
+     */
+    groupCraftingPlanByWorkstation: craftingPlan.groupCraftingPlanByWorkstation,
+
+    /**
+     * Summarise the skills and levels a plan requires
+     * DATA: Array<TreeNodeObjects> + RecipeGraph → {playerLevel, artisanSkills, gatheringSkills}
+     * INPUT: Crafting trees and the recipe graph they were built from
+     * OUTPUT: Highest level per artisan and gathering skill and the minimum
+     *         player level, each with the recipe that drives it
+     * @function summarizePlanRequirements
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @param {Object} graph - Recipe graph (see getRecipeGraph)
+     * @returns {Object} Requirements summary
+     */
+    summarizePlanRequirements: planRequirements.summarizePlanRequirements,
+
+    /**
+     * Group the raw shopping list by gathering skill
+     * DATA: Array<RawComponentObjects> → Array<{skill, components, totalQuantity}>
+     * INPUT: Consolidated raw components with gathering info
+     * OUTPUT: Mining, lumberjacking, herbalism, fishing, hunting and vendor
+     *         groups, each ordered by skill level
+     * @function groupComponentsByGathering
+     * @param {Array<Object>} components - Consolidated raw components
+     * @returns {Array<Object>} Gathering groups
+     */
+    groupComponentsByGathering: transformers.groupComponentsByGathering,
+
+    /**
+     * Roll up material costs per selected recipe and for the whole plan
+     * DATA: Array<TreeNodeObjects> + RecipeGraph + Prices → {recipes, total, unpriced, isComplete}
+     * INPUT: Crafting trees, the recipe graph and market prices in copper
+     * OUTPUT: Copper cost of the raw materials still to acquire, using market
+     *         prices first and database vendor prices second
+     * @function calculatePlanCost
+     * @param {Array<Object>} trees - Crafting tree root nodes
+     * @param {Object} graph - Recipe graph (see getRecipeGraph)
+     * @param {Object} prices - Market prices keyed by item ID
+     * @returns {Object} Plan cost
+     */
+    calculatePlanCost: costs.calculatePlanCost,
+
+    /**
+     * Add unit prices and costs to consolidated raw components
+     * DATA: Array<RawComponentObjects> → Array<RawComponentObjects + {unitPrice, priceSource, cost}>
+     * @function priceComponents
+     * @param {Array<Object>} components - Consolidated raw components
+     * @param {Object} graph - Recipe graph
+     * @param {Object} prices - Market prices keyed by item ID
+     * @returns {Array<Object>} Priced components
+     */
+    priceComponents: costs.priceComponents,
+
+    /**
+     * Decide make or buy for each intermediate and plan around the result
+     * DATA: RecipeGraph + Array<RecipeListItems> + Prices → {trees, decisions, buyIds, totalSavings}
+     * INPUT: Recipe graph, selected recipe list, breakdown options with {prices}
+     * OUTPUT: Crafting trees that stop at bought intermediates, and the
+     *         copper each make or buy decision saves
+     * @function optimizeMakeVsBuy
+     * @param {Object} graph - Recipe graph (see getRecipeGraph)
+     * @param {Array<Object>} recipeList - Selected recipes with quantities
+     * @param {Object} options - Breakdown options plus market prices
+     * @returns {Object} Optimised plan and savings report
+     */
+    optimizeMakeVsBuy: makeVsBuy.optimizeMakeVsBuy,
+
+    /**
+     * Get the XP needed to reach each artisan level
+     * DATA: artisan_levels → Array<{level, xpRequired}>
+     * INPUT: Artisan levels from getArtisanSkills
+     * OUTPUT: Levels with an XP threshold, lowest first
+     * @function getSkillLevelThresholds
+     * @param {Array<Object>} artisanLevels - Artisan level definitions
+     * @returns {Array<Object>} Level thresholds
+     */
+    getSkillLevelThresholds: skillProgression.getSkillLevelThresholds,
+
+    /**
+     * Plan the crafts that take an artisan skill to a target level
+     * DATA: RecipeGraph + Options → {steps, totalXp, totalCost, totalTime, recipeList, ...}
+     * INPUT: Recipe graph, skill, current XP, target level, level thresholds,
+     *        strategy (cheapest or fastest) and market prices
+     * OUTPUT: Recipes and craft counts per level, with the recipe list to
+     *         add to the selected recipes
+     * @function planSkillProgression
+     * @param {Object} graph - Recipe graph (see getRecipeGraph)
+     * @param {Object} options - Planner options
+     * @returns {Object} Skill progression plan
+     */
+    planSkillProgression: skillProgression.planSkillProgression,
+
+    /**
+     * Find the recipes that can be crafted from an inventory
+     * DATA: Inventory → {craftable, nearMisses}
+     * INPUT: Owned quantities keyed by graded item key, plus the largest shortfall
+     *        (in distinct materials) still reported as a near miss
+     * OUTPUT: Craftable recipes with how many times each can be crafted, and
+     *         near misses with the exact materials missing for one craft
+     * @function findCraftableRecipes
+     * @param {Object} inventory - Owned quantities keyed by graded item key
+     * @param {Object} options - {maxMissing, recipeChoices, variantStrategy}
+     * @returns {Promise<Object>} Craftable recipes and near misses
+     */
+    findCraftableRecipes: inventoryCrafting.findCraftableRecipes,
+
+    // ==========================================
+    // DATABASE STORAGE
+    // ==========================================
+
+    /**
+     * Download the recipe database as a JSON file
+     * DATA: Active storage adapter → recipes.json download
+     * INPUT: Optional file name
+     * OUTPUT: File in the same shape as the bundled recipes.json, including
+     *         every change made since it was seeded
+     * @function exportRecipes
+     * @param {string} [fileName="recipes.json"] - Name of the downloaded file
+     * @returns {Promise<boolean>} True when the download was started
+     */
+    exportRecipes: storage.exportRecipes,
+
+    /**
+     * Download the recipes as a CSV file for spreadsheets
+     * DATA: Active storage adapter → transformForExport → recipesToCsv → recipes.csv
+     * INPUT: Optional file name and recipe types
+     * OUTPUT: One row per recipe component, recipe columns repeated on each
+     *         row (see RECIPE_CSV_COLUMNS)
+     * @function exportRecipesCsv
+     * @param {string} [fileName="recipes.csv"] - Name of the downloaded file
+     * @param {string[]} [types] - Recipe types to include; all by default
+     * @returns {Promise<boolean>} True when the download was started
+     */
+    exportRecipesCsv: storage.exportRecipesCsv,
+
+    /**
+     * Get the storage adapter the recipe database is read from
+     * DATA: Active adapter → {name, persistent, read, write}
+     * INPUT: None
+     * OUTPUT: Adapter chosen by initialize
+     * @function getStorageAdapter
+     * @returns {Object} Storage adapter (see STORAGE_ADAPTERS)
+     */
+    getStorageAdapter: storage.getStorageAdapter,
+
+    /**
+     * Compare an uploaded recipe database with the current one
+     * DATA: JSON file text → validateRecipesData → diff against storage
+     * INPUT: Contents of an exported recipes.json
+     * OUTPUT: New, changed and removed recipes and ID collisions, matched by
+     *         ID, each with both versions and the fields that differ
+     * @function previewRecipeImport
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} {changes, unchanged}
+     */
+    previewRecipeImport: recipeImport.previewRecipeImport,
+
+    /**
+     * Compare an uploaded recipe CSV with the current database
+     * DATA: CSV text → validateRecipeStructure per row → diff against storage
+     * INPUT: Contents of a recipe CSV, e.g. from exportRecipesCsv
+     * OUTPUT: Errors by row and column when any row is invalid, otherwise
+     *         the same changes as previewRecipeImport for the recipe types
+     *         in the file
+     * @function previewRecipeCsvImport
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} {changes, unchanged, errors}
+     */
+    previewRecipeCsvImport: recipeImport.previewRecipeCsvImport,
+
+    /**
+     * Apply the accepted changes of an import
+     * DATA: Accepted changes → storage operations → caches invalidated
+     * INPUT: Changes from previewRecipeImport or previewRecipeCsvImport the
+     *        user accepted
+     * OUTPUT: Changes applied and changes the storage operations rejected
+     * @function applyRecipeImport
+     * @param {Array} changes - Accepted changes
+     * @returns {Promise<Object>} {applied, failed}
+     */
+    applyRecipeImport: recipeImport.applyRecipeImport,
+
+    /**
+     * Check whether the bundled recipes changed since the database was seeded
+     * DATA: Stored dataVersion vs recipes.json dataVersion
+     * INPUT: None (known once the recipes have been read)
+     * OUTPUT: Both data versions when they differ, otherwise null
+     * @function getSeedUpdate
+     * @returns {Object|null} {storedVersion, bundledVersion}
+     */
+    getSeedUpdate: storage.getSeedUpdate,
+
+    /**
+     * Compare the bundled recipes.json with the current database
+     * DATA: recipes.json → diff against storage
+     * INPUT: None
+     * OUTPUT: Same changes as previewRecipeImport, for merging a newer seed
+     * @function previewSeedMerge
+     * @returns {Promise<Object>} {changes, unchanged}
+     */
+    previewSeedMerge: recipeImport.previewSeedMerge,
+
+    /**
+     * Apply the accepted changes of a seed merge
+     * DATA: Accepted changes → storage operations → stored dataVersion raised
+     * INPUT: Changes from previewSeedMerge the user accepted
+     * OUTPUT: Changes applied and changes the storage operations rejected
+     * @function applySeedMerge
+     * @param {Array} changes - Accepted changes
+     * @returns {Promise<Object>} {applied, failed}
+     */
+    applySeedMerge: recipeImport.applySeedMerge,
+
+    /**
+     * Replace the database with the bundled recipes.json
+     * DATA: recipes.json → storage → caches invalidated
+     * INPUT: None
+     * OUTPUT: Every change made since seeding is dropped
+     * @function reseedRecipes
+     * @returns {Promise<boolean>} True when saved
+     */
+    reseedRecipes: recipeImport.reseedRecipes,
+
+    /**
+     * Keep the current database and stop offering the bundled update
+     * DATA: Stored dataVersion ← recipes.json dataVersion → caches invalidated
+     * INPUT: None
+     * OUTPUT: Recipes unchanged
+     * @function acceptSeedVersion
+     * @returns {Promise<boolean>} True when saved
+     */
+    acceptSeedVersion: recipeImport.acceptSeedVersion,
+
     // ==========================================
     // CACHE MANAGEMENT
     // ==========================================
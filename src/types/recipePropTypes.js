@@ -17,17 +17,28 @@ const recipePropType = PropTypes.shape({
   id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
   name: PropTypes.string.isRequired,
   description: PropTypes.string,
+  variant: PropTypes.string, // Label for alternative recipes sharing a name
   icon: PropTypes.string, // Optional icon path
   requirements: recipeRequirementsPropType, // Make optional since some components might not have it
   recipe: PropTypes.shape({
     artisanSkill: PropTypes.string.isRequired,
     workStation: PropTypes.string.isRequired,
+    outputQuantity: PropTypes.number, // Units produced per craft (default 1)
+    craftingTime: PropTypes.number, // Seconds per craft (optional)
+    artisanXp: PropTypes.number, // Artisan XP per craft (optional)
     components: PropTypes.arrayOf(
       PropTypes.shape({
         id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
           .isRequired,
         name: PropTypes.string.isRequired,
         quantity: PropTypes.number.isRequired,
+        minGrade: PropTypes.oneOf([
+          "common",
+          "uncommon",
+          "rare",
+          "epic",
+          "legendary",
+        ]), // Lowest material grade accepted (optional)
       })
     ).isRequired,
   }).isRequired,
@@ -50,6 +61,8 @@ const rawComponentPropType = PropTypes.shape({
     ]).isRequired,
     tool: PropTypes.string.isRequired,
   }),
+  /** Vendor price in copper */
+  vendorPrice: PropTypes.number,
 });
 
 // Export for use in other components
@@ -46,7 +46,7 @@ export class ValidationError extends RecipeError {
     super(
       `Validation error for field '${field}': ${message}`,
       "VALIDATION_ERROR",
-      { field }
+      { field, reason: message }
     );
     this.name = "ValidationError";
     this.field = field;
@@ -77,6 +77,20 @@ export class FileOperationError extends RecipeError {
   }
 }
 
+/**
+ * Storage adapter error
+ */
+export class StorageError extends RecipeError {
+  constructor(adapter, operation, message) {
+    super(
+      `Failed to ${operation} recipes (${adapter} storage): ${message}`,
+      "STORAGE_ERROR",
+      { adapter, operation }
+    );
+    this.name = "StorageError";
+  }
+}
+
 /**
  * Component calculation error
  */
@@ -149,6 +163,7 @@ export default {
   ValidationError,
   DuplicateRecipeError,
   FileOperationError,
+  StorageError,
   ComponentCalculationError,
   createErrorResponse,
   createSuccessResponse,
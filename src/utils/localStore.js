@@ -0,0 +1,71 @@
+/**
+ * Small wrapper around window.localStorage for saving app state
+ * Values are stored as JSON. Read and write failures (private browsing,
+ * quota, corrupt data) are logged and never thrown, so the app keeps working
+ * without persistence.
+ */
+
+/**
+ * Check whether local storage can be used
+ * @returns {boolean} True when window.localStorage is available
+ */
+const hasLocalStorage = () => {
+  try {
+    return typeof window !== "undefined" && Boolean(window.localStorage);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read a JSON value from local storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing valid is stored
+ * @returns {*} Stored value or fallback
+ */
+export const readLocalState = (key, fallback) => {
+  if (!hasLocalStorage()) return fallback;
+
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (error) {
+    console.warn(`⚠️ Could not read saved state "${key}":`, error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Write a JSON value to local storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} True when the value was saved
+ */
+export const writeLocalState = (key, value) => {
+  if (!hasLocalStorage()) return false;
+
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not save state "${key}":`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Remove a value from local storage
+ * @param {string} key - Storage key
+ * @returns {boolean} True when nothing is stored under the key any more
+ */
+export const removeLocalState = (key) => {
+  if (!hasLocalStorage()) return false;
+
+  try {
+    window.localStorage.removeItem(key);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not remove saved state "${key}":`, error.message);
+    return false;
+  }
+};
@@ -0,0 +1,147 @@
+import {
+  readLocalState,
+  writeLocalState,
+  removeLocalState,
+} from "./localStore";
+
+/**
+ * Versioned save of the planner state in local storage
+ * The selected recipe list, the "Have" counts, the plan settings, the
+ * price book and the inventory are saved together under one key with a
+ * version number, so a later change to their shape can migrate old saves
+ * instead of breaking on them.
+ *
+ * Saved shape:
+ *   { version, savedAt, state: { recipeList, haveQuantities, planSettings,
+ *     priceBook, inventory } }
+ *
+ * Recipes are saved as a copy of the recipe, not just its ID, so the list can
+ * be shown before the database loads; syncRecipes then checks the copies
+ * against the database.
+ */
+
+export const PERSISTED_STATE_KEY = "craftingPlanner.state";
+export const PERSISTED_STATE_VERSION = 1;
+
+// Keys used before the versioned save, one per slice; removed once their
+// contents are saved under PERSISTED_STATE_KEY
+const LEGACY_SLICE_KEYS = {
+  priceBook: "craftingPlanner.priceBook",
+  planSettings: "craftingPlanner.planSettings",
+};
+
+/**
+ * Upgrade steps by the version they upgrade from
+ * Each step takes the saved state of that version and returns the next one.
+ */
+const MIGRATIONS = {
+  // Version 0: separate price book and plan settings keys, nothing else saved
+  0: (saved) => saved,
+};
+
+/**
+ * Read the saves made before versioning as a version 0 state
+ * @returns {Object|null} Saved state or null when there is none
+ */
+const readLegacyState = () => {
+  const state = {};
+  for (const [slice, key] of Object.entries(LEGACY_SLICE_KEYS)) {
+    const saved = readLocalState(key, null);
+    if (saved && typeof saved === "object") {
+      state[slice] = saved;
+    }
+  }
+  return Object.keys(state).length > 0 ? state : null;
+};
+
+/**
+ * Bring a saved state up to the current version
+ * @param {Object} saved - Saved state
+ * @param {number} version - Version it was saved with
+ * @returns {Object|null} Current state, or null when it cannot be upgraded
+ */
+const migrateState = (saved, version) => {
+  if (!Number.isInteger(version) || version > PERSISTED_STATE_VERSION) {
+    console.warn(`⚠️ Ignoring saved state with unknown version ${version}`);
+    return null;
+  }
+
+  let state = saved;
+  for (let from = version; from < PERSISTED_STATE_VERSION; from++) {
+    state = MIGRATIONS[from](state);
+  }
+  return state;
+};
+
+/**
+ * Write slices under the versioned key at the current version
+ * @param {Object} state - Slices to save
+ * @returns {boolean} True when the state was saved
+ */
+const writeVersionedState = (state) =>
+  writeLocalState(PERSISTED_STATE_KEY, {
+    version: PERSISTED_STATE_VERSION,
+    savedAt: new Date().toISOString(),
+    state,
+  });
+
+/**
+ * Move the saves made before versioning under the versioned key
+ * The legacy keys are only removed once the migrated state is saved, so a
+ * failed write leaves them to be migrated on the next load.
+ * @returns {Object|null} Migrated state or null when there is none
+ */
+const migrateLegacyState = () => {
+  const state = migrateState(readLegacyState(), 0);
+  if (!state) return null;
+
+  if (writeVersionedState(state)) {
+    Object.values(LEGACY_SLICE_KEYS).forEach(removeLocalState);
+  }
+  return state;
+};
+
+/**
+ * Read the saved planner state
+ * @returns {Object} Saved slices at the current version; empty when nothing
+ *   usable is saved
+ */
+export const loadPersistedState = () => {
+  const saved = readLocalState(PERSISTED_STATE_KEY, null);
+  const state = saved
+    ? migrateState(saved.state, saved.version)
+    : migrateLegacyState();
+
+  return state && typeof state === "object" ? state : {};
+};
+
+/**
+ * Save the planner state
+ * Only each recipe list item's recipe, quantity and grade are kept; flags
+ * from syncRecipes are worked out again on the next load.
+ * @param {Object} state - Slices to save
+ * @param {Array} state.recipeList - Selected recipe list items
+ * @param {Object} state.haveQuantities - "Have" counts by component key
+ * @param {Object} state.planSettings - Plan settings
+ * @param {Object} state.priceBook - Price book
+ * @param {Object} state.inventory - Inventory ({items} by graded item key)
+ * @returns {boolean} True when the state was saved
+ */
+export const savePersistedState = ({
+  recipeList,
+  haveQuantities,
+  planSettings,
+  priceBook,
+  inventory,
+}) =>
+  writeVersionedState({
+    recipeList: recipeList.map(({ recipe, quantity, grade }) => ({
+      recipe,
+      quantity,
+      grade,
+    })),
+    haveQuantities,
+    planSettings,
+    priceBook,
+    inventory,
+  });
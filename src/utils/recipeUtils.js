@@ -4,6 +4,8 @@ import {
   createSearchFunction,
 } from "./lookupUtils.js";
 import { sortByName } from "../services/recipe/processing/sorting.js";
+import { splitCoins } from "../services/recipe/core/costs.js";
+import { MATERIAL_GRADES } from "../services/recipe/constants.js";
 
 /**
  * Configuration for recipe lookup maps
@@ -124,6 +126,54 @@ const consolidateComponentsById = (components) => {
   return sortByName(consolidatedArray, "asc");
 };
 
+/**
+ * Pure function to turn a snake_case identifier into display text
+ * @param {string} identifier - Identifier such as "metalworking_bench"
+ * @returns {string} Display text such as "metalworking bench"
+ */
+const formatIdentifier = (identifier) =>
+  identifier ? String(identifier).replace(/_/g, " ") : "";
+
+/**
+ * Format a copper amount as gold, silver and copper (e.g. "1g 20s 5c")
+ * @param {number} amount - Amount in copper
+ * @returns {string} Formatted amount, "0c" for nothing
+ */
+const formatCoins = (amount) => {
+  const { gold, silver, copper } = splitCoins(amount);
+  const parts = [];
+  if (gold) parts.push(`${gold}g`);
+  if (silver) parts.push(`${silver}s`);
+  if (copper || parts.length === 0) parts.push(`${copper}c`);
+  return parts.join(" ");
+};
+
+/**
+ * Format a duration in seconds (e.g. "1h 5m", "2m 30s", "45s")
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, "0s" for nothing
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const remainder = total % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if ((remainder && !hours) || parts.length === 0) parts.push(`${remainder}s`);
+  return parts.join(" ");
+};
+
+/**
+ * Add a grade requirement to an item name (e.g. "Copper Ore (uncommon+)")
+ * @param {string} name - Item name
+ * @param {string} [grade] - Lowest grade accepted; common adds nothing
+ * @returns {string} Display name
+ */
+const formatGradedName = (name, grade) =>
+  grade && grade !== MATERIAL_GRADES.COMMON ? `${name} (${grade}+)` : name;
+
 export {
   createRecipeLookups,
   createRawComponentLookups,
@@ -131,6 +181,10 @@ export {
   findRecipe,
   findRawComponent,
   consolidateComponentsById,
+  formatIdentifier,
+  formatCoins,
+  formatDuration,
+  formatGradedName,
   RECIPE_LOOKUP_CONFIGS,
   RAW_COMPONENT_LOOKUP_CONFIGS,
 };